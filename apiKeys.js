@@ -0,0 +1,211 @@
+// apiKeys.js
+//
+// API-key authentication, scopes, rate limits and daily quotas. Keys are
+// defined in API_KEYS_FILE, or as inline JSON in API_KEYS, by name:
+//
+//   { "avidia": {
+//       "key": "…",                 or "key_sha256": "<hex>" to keep it out of the file
+//       "scopes": ["ingest", "parse-pdf"],
+//       "rate_per_minute": 60,
+//       "daily": { "requests": 5000, "renderer_calls": 2000, "pdf_pages": 10000, "ocr_seconds": 3600 } } }
+//
+// Scopes: ingest (/ingest*, /ingestions, /jobs, /watches, queue routes),
+// image-proxy, parse-pdf, ocr, admin (/cache, /site-profiles, /debug, other
+// keys' /usage); "*" grants all. Every limit is optional. The key is sent
+// as x-api-key or as Authorization: Bearer <key>. Only /image-proxy, whose
+// URLs go into <img> tags that cannot set headers, also takes ?api_key=;
+// the parameter is dropped from req.query once checked, so it never reaches
+// ingestion history.
+//
+// Missing/unknown key: 401; scope not granted: 403; over rate_per_minute or
+// a daily quota (see usageMeter.js): 429 with Retry-After. With no keys
+// configured the API stays open as before and usage is counted under
+// "anonymous". GET /usage reports the caller's usage.
+
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { USAGE_METRICS, meterUsage, usageDay, usageKeys, usageReport, usageToday, withUsage } from './usageMeter.js';
+
+export const SCOPES = ['ingest', 'image-proxy', 'parse-pdf', 'ocr', 'admin'];
+const ANONYMOUS = { name: 'anonymous', scopes: new Set(['*']), ratePerMinute: 0, daily: {} };
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+function normalizeKey(name, raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('must be an object');
+  const hash = raw.key_sha256 ? String(raw.key_sha256).toLowerCase() : raw.key ? sha256(raw.key) : null;
+  if (!hash || !/^[0-9a-f]{64}$/.test(hash)) throw new Error('needs "key" or a hex "key_sha256"');
+  const scopes = (Array.isArray(raw.scopes) ? raw.scopes : []).map(String);
+  const unknown = scopes.filter(s => s !== '*' && !SCOPES.includes(s));
+  if (unknown.length) throw new Error(`unknown scopes ${unknown.join(', ')} (expected ${SCOPES.join('|')} or *)`);
+  const daily = {};
+  for (const [m, v] of Object.entries(raw.daily && typeof raw.daily === 'object' ? raw.daily : {})) {
+    if (!USAGE_METRICS.includes(m)) throw new Error(`unknown daily quota "${m}" (expected ${USAGE_METRICS.join('|')})`);
+    if (!(Number(v) >= 0)) throw new Error(`daily.${m} must be a number >= 0`);
+    daily[m] = Number(v);
+  }
+  const ratePerMinute = raw.rate_per_minute != null ? Number(raw.rate_per_minute) : 0;
+  if (!(ratePerMinute >= 0)) throw new Error('rate_per_minute must be a number >= 0');
+  return { name, hash, scopes: new Set(scopes), ratePerMinute, daily };
+}
+
+function readConfig() {
+  const file = process.env.API_KEYS_FILE;
+  if (file) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (process.env.API_KEYS) return JSON.parse(process.env.API_KEYS);
+  return {};
+}
+
+let keys = null; // sha256(key) -> key
+
+function loadKeys() {
+  if (keys) return keys;
+  keys = new Map();
+  let config = {};
+  try { config = readConfig(); }
+  catch (e) { console.warn(`api keys: cannot read config: ${e.message}`); }
+  for (const [name, raw] of Object.entries(config || {})) {
+    try {
+      const k = normalizeKey(name, raw);
+      keys.set(k.hash, k);
+    } catch (e) {
+      console.warn(`api keys: "${name}" ignored: ${e.message}`);
+    }
+  }
+  return keys;
+}
+
+// Query parameters that carry credentials; never kept in stored options.
+export const CREDENTIAL_PARAMS = ['api_key', 'apikey', 'access_token'];
+
+/** `q` without credential parameters. */
+export function withoutCredentialParams(q) {
+  const out = { ...q };
+  for (const p of CREDENTIAL_PARAMS) delete out[p];
+  return out;
+}
+
+function presentedKey(req, { queryKey = false } = {}) {
+  const auth = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  const fromQuery = queryKey && typeof req.query.api_key === 'string' ? req.query.api_key : '';
+  return req.get('x-api-key') || (auth && auth[1].trim()) || fromQuery || '';
+}
+
+/** The key a request authenticates as: the anonymous key when none are configured, else the match or null. */
+function keyFor(req, opts) {
+  const all = loadKeys();
+  if (!all.size) return ANONYMOUS;
+  const presented = presentedKey(req, opts);
+  return presented ? all.get(sha256(presented)) || null : null;
+}
+
+const hasScope = (key, scope) => key.scopes.has('*') || key.scopes.has(scope);
+
+/* ================== Limits ================== */
+const buckets = new Map(); // key name -> { tokens, at }
+
+/** Take one token from the key's per-minute bucket; the wait in ms when empty. */
+function takeToken(key) {
+  if (!key.ratePerMinute) return 0;
+  const perMs = key.ratePerMinute / 60000;
+  const b = buckets.get(key.name) || { tokens: key.ratePerMinute, at: Date.now() };
+  b.tokens = Math.min(key.ratePerMinute, b.tokens + (Date.now() - b.at) * perMs);
+  b.at = Date.now();
+  buckets.set(key.name, b);
+  if (b.tokens < 1) return Math.ceil((1 - b.tokens) / perMs);
+  b.tokens -= 1;
+  return 0;
+}
+
+/** The first daily quota the key has used up today, or null. */
+function exhaustedQuota(key) {
+  const used = usageToday(key.name);
+  for (const [metric, limit] of Object.entries(key.daily)) {
+    if (used[metric] >= limit) return { metric, limit, used: used[metric] };
+  }
+  return null;
+}
+
+function secondsToMidnightUtc() {
+  return Math.ceil((Date.parse(`${usageDay()}T00:00:00Z`) + 86400000 - Date.now()) / 1000);
+}
+
+/* ================== Middleware ================== */
+/**
+ * Express middleware: authenticate the caller, require `scope`, apply its
+ * rate limit and daily quotas, count the request, and run the rest of the
+ * request with usage metered against the key (req.apiKey = { name, scopes }).
+ *
+ * @param {string} scope one of SCOPES
+ * @param {{ queryKey?: boolean }} [opts] `queryKey`: also accept ?api_key=
+ *   (only for URLs that end up where headers cannot be set)
+ */
+export function requireScope(scope, { queryKey = false } = {}) {
+  return (req, res, next) => {
+    const key = keyFor(req, { queryKey });
+    for (const p of CREDENTIAL_PARAMS) delete req.query[p];
+    if (!key) return res.status(401).json({ error: 'Missing or invalid API key (x-api-key)' });
+    if (!hasScope(key, scope)) return res.status(403).json({ error: `API key "${key.name}" lacks scope "${scope}"` });
+    const quota = exhaustedQuota(key);
+    if (quota) {
+      res.set('Retry-After', String(secondsToMidnightUtc()));
+      return res.status(429).json({ error: `Daily quota exceeded: ${quota.metric} ${quota.used}/${quota.limit}`, quota });
+    }
+    const waitMs = takeToken(key);
+    if (waitMs) {
+      res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+      return res.status(429).json({ error: `Rate limit exceeded (${key.ratePerMinute}/min)` });
+    }
+    req.apiKey = { name: key.name, scopes: [...key.scopes] };
+    withUsage(key.name, () => {
+      meterUsage('requests');
+      next();
+    });
+  };
+}
+
+/** Whether the key `req` was authenticated with (requireScope) grants `scope`. */
+export function callerHasScope(req, scope) {
+  const scopes = (req.apiKey && req.apiKey.scopes) || [];
+  return scopes.includes('*') || scopes.includes(scope);
+}
+
+/** Configured keys (no secrets), for GET /admin/status. */
+export function apiKeyStats() {
+  const all = [...loadKeys().values()];
+  return { enabled: all.length > 0, keys: all.length };
+}
+
+/* ================== Routes ================== */
+function keyLimits(key) {
+  return { scopes: [...key.scopes], rate_per_minute: key.ratePerMinute || null, daily: key.daily };
+}
+
+/**
+ * Mount GET /usage: the caller's usage for the last `days` (default 30,
+ * max 90) with today's remaining quota. Keys with the admin scope may pass
+ * ?key=<name>, or ?key=* for every key.
+ *
+ * @param {import('express').Express} app
+ */
+export default function setupUsageRoutes(app) {
+  app.get('/usage', (req, res) => {
+    const key = keyFor(req);
+    if (!key) return res.status(401).json({ error: 'Missing or invalid API key (x-api-key)' });
+    const days = Math.min(90, Math.max(1, parseInt(String(req.query.days || '30'), 10) || 30));
+    const wanted = req.query.key ? String(req.query.key) : key.name;
+    if (wanted !== key.name && !hasScope(key, 'admin')) {
+      return res.status(403).json({ error: `API key "${key.name}" lacks scope "admin"` });
+    }
+    const configured = new Map([...loadKeys().values()].map(k => [k.name, k]));
+    const names = wanted === '*' ? [...new Set([...configured.keys(), ...usageKeys()])] : [wanted];
+    const report = names.map(name => {
+      const k = configured.get(name) || (name === key.name ? key : null);
+      const today = usageToday(name);
+      const remaining = {};
+      for (const [m, limit] of Object.entries((k && k.daily) || {})) remaining[m] = Math.max(0, limit - today[m]);
+      return { ...usageReport(name, { days }), ...(k ? { limits: keyLimits(k), remaining_today: remaining } : {}) };
+    });
+    res.json(wanted === '*' ? { keys: report } : report[0]);
+  });
+}
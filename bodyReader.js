@@ -0,0 +1,126 @@
+// bodyReader.js
+//
+// Reading fetched pages: readBodyLimited() streams a response body and gives
+// up as soon as it passes the size limit (MAX_HTML_BYTES for pages), instead
+// of downloading everything first; decodeHtmlBody() turns the bytes into text
+// in the page's own charset.
+//
+// The charset comes from, in order: a byte-order mark, the Content-Type
+// charset, then <meta charset> / <meta http-equiv="Content-Type"> in the
+// first 4 KB. A meta tag naming a legacy charset is ignored when the bytes
+// are valid UTF-8 (serialised DOMs from the renderer keep the original tag).
+// With no declaration, valid UTF-8 is UTF-8 and anything else windows-1252,
+// the browsers' default for undeclared pages.
+
+const SNIFF_BYTES = 4096;
+
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], charset: 'utf-8' },
+  { bytes: [0xfe, 0xff], charset: 'utf-16be' },
+  { bytes: [0xff, 0xfe], charset: 'utf-16le' },
+];
+
+export function tooLargeError(bytes, maxBytes) {
+  const err = new Error(`response-too-large(${bytes} > ${maxBytes} bytes)`);
+  err.code = 'ETOOLARGE';
+  err.status = 502;
+  return err;
+}
+
+/**
+ * The body of `res` as a Buffer, read chunk by chunk. Rejects with an
+ * ETOOLARGE error (and cancels the download) once more than `maxBytes`
+ * arrive, or right away when Content-Length already says so.
+ *
+ * @param {Response} res
+ * @param {number} [maxBytes]
+ * @returns {Promise<Buffer>}
+ */
+export async function readBodyLimited(res, maxBytes = Infinity) {
+  const declared = parseInt(res.headers.get('content-length') || '', 10);
+  if (Number.isFinite(declared) && declared > maxBytes) {
+    await res.body?.cancel().catch(() => {});
+    throw tooLargeError(declared, maxBytes);
+  }
+  if (!res.body) return Buffer.alloc(0);
+  const chunks = [];
+  let total = 0;
+  const reader = res.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > maxBytes) {
+      await reader.cancel().catch(() => {});
+      throw tooLargeError(total, maxBytes);
+    }
+    chunks.push(value);
+  }
+  // Not Buffer.concat: small results would share the pool, and pdf.js
+  // ignores byteOffset.
+  const out = Buffer.alloc(total);
+  let at = 0;
+  for (const c of chunks) {
+    out.set(c, at);
+    at += c.byteLength;
+  }
+  return out;
+}
+
+/** A charset label TextDecoder understands, normalised; null otherwise. */
+function usableCharset(label) {
+  const l = String(label || '').trim().replace(/^["']|["']$/g, '').toLowerCase();
+  if (!l) return null;
+  try { return new TextDecoder(l).encoding; } catch { return null; }
+}
+
+function charsetFromContentType(contentType) {
+  const m = /charset\s*=\s*("?)([^";,\s]+)\1/i.exec(String(contentType || ''));
+  return m ? usableCharset(m[2]) : null;
+}
+
+function charsetFromMeta(buf) {
+  const head = buf.subarray(0, SNIFF_BYTES).toString('latin1');
+  const m = /<meta[^>]+charset\s*=\s*["']?\s*([a-z0-9_.:-]+)/i.exec(head);
+  return m ? usableCharset(m[1]) : null;
+}
+
+function isValidUtf8(buf) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buf);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Work out the charset of an HTML body.
+ *
+ * @param {Buffer} buf
+ * @param {string|null} [contentType] the response's Content-Type header
+ * @returns {{ charset: string, source: 'bom'|'header'|'meta'|'utf8'|'default' }}
+ */
+export function detectCharset(buf, contentType = null) {
+  for (const bom of BOMS) {
+    if (bom.bytes.every((b, i) => buf[i] === b)) return { charset: bom.charset, source: 'bom' };
+  }
+  const header = charsetFromContentType(contentType);
+  if (header) return { charset: header, source: 'header' };
+  const meta = charsetFromMeta(buf);
+  const utf8 = isValidUtf8(buf);
+  if (meta && !(utf8 && meta !== 'utf-8')) return { charset: meta, source: 'meta' };
+  return utf8 ? { charset: 'utf-8', source: 'utf8' } : { charset: 'windows-1252', source: 'default' };
+}
+
+/**
+ * Decode an HTML body in its detected charset (a BOM is dropped).
+ *
+ * @param {Buffer} buf
+ * @param {string|null} [contentType]
+ * @returns {{ html: string, charset: string, source: string }}
+ */
+export function decodeHtmlBody(buf, contentType = null) {
+  const found = detectCharset(buf, contentType);
+  return { html: new TextDecoder(found.charset).decode(buf), ...found };
+}
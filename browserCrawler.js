@@ -8,17 +8,24 @@
 // data blobs; link hints (manuals/datasheets/etc.); shadow-DOM text; CSS
 // background images; SEO meta; images with alt; browser console warnings/errors;
 // and JSON/XML network responses. It also handles common cookie banners,
-// clicks hash-link tabs, scrolls to trigger lazy loads, and falls back to
-// installing Chromium when missing.
+// clicks hash-link tabs and scrolls to trigger lazy loads. Pages run in
+// pooled browsers (browserPool.js), each in a fresh context, and every
+// request they make passes the SSRF guard (ssrfGuard.js guardPage).
 //
 // The returned shape is designed to augment existing static scraper output
 // without modifying the existing scraping logic.
+//
+// renderPage() is the built-in renderer: it returns a page's HTML after the
+// same cookie/expand/scroll treatment, for /ingest with renderer=local or as
+// the fallback when the render API fails.
 
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import path from 'path';
-import { chromium } from 'playwright';
-import { execSync } from 'child_process';
+import { acquireHostSlot } from './hostPoliteness.js';
+import { withBrowserPage } from './browserPool.js';
+import { contextOptionsFor } from './outboundIdentity.js';
+import { assertAllowedUrl, guardPage } from './ssrfGuard.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -123,6 +130,9 @@ function filterEnglish(text) {
     .trim();
 }
 
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36';
+const LOAD_STATES = new Set(['load', 'domcontentloaded', 'networkidle']);
+
 /* --------------------------- Page-side collectors ------------------------ */
 
 /**
@@ -662,123 +672,181 @@ async function collectImagesWithAlt(page) {
  * @param {number} [opts.navigationTimeoutMs=30000]
  * @param {string} [opts.userAgent='Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36']
  * @param {{width:number,height:number}} [opts.viewport={width:1366,height:900}]
- * @param {boolean} [opts.headless=true]
  * @param {boolean} [opts.enforceEnglishHeuristic=true]   // apply ASCII-heavy line filtering
  * @param {number}  [opts.productImageLimit=2]            // cap filtered product images in links.images
  * @param {boolean} [opts.includeHtml=false]              // attach full_html (debug)
+ * @param {AbortSignal} [opts.signal]                     // request deadline: closes the page's context when it fires
  */
 export async function browseProduct(url, opts = {}) {
   const {
     navigationTimeoutMs = 30000,
-    userAgent = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36',
+    userAgent = DEFAULT_USER_AGENT,
     viewport = { width: 1366, height: 900 },
-    headless = true,
     enforceEnglishHeuristic = true,
     productImageLimit = 2,
     includeHtml = false,
+    signal = null,
   } = opts;
 
-  let browser;
+  if (signal && signal.aborted) return { ok: false, error: String(signal.reason) };
   try {
-    browser = await chromium.launch({ headless });
-  } catch (err) {
-    const msg = String(err || '');
-    if (/Executable\s+doesn\'t\s+exist|failed\s+to\s+launch/i.test(msg)) {
+    // Closing the context on abort makes whatever page call is pending
+    // reject, which ends up in the catch below.
+    return await withBrowserPage(async (page) => {
+      const consoleLogs = [];
+      page.on('console', (msg) => {
+        const t = msg.type();
+        if (t === 'error' || t === 'warning') consoleLogs.push({ type: t, text: msg.text() });
+      });
+
+      // The navigation counts against the host's politeness limits like any fetch.
+      await assertAllowedUrl(url);
+      await guardPage(page);
+      const release = await acquireHostSlot(url, { signal });
       try {
-        execSync('npx playwright install chromium', { stdio: 'ignore' });
-        browser = await chromium.launch({ headless });
-      } catch (installErr) {
-        return { ok: false, error: String(installErr) };
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: navigationTimeoutMs });
+        await page.waitForLoadState('networkidle', { timeout: navigationTimeoutMs }).catch(() => {});
+      } finally {
+        release();
       }
-    } else {
-      return { ok: false, error: String(err) };
-    }
-  }
+      // Redirects inside Chromium bypass the route check; vet where we landed.
+      await assertAllowedUrl(page.url());
 
-  const context = await browser.newContext({ userAgent, viewport });
-  const page = await context.newPage();
+      await acceptCookiesIfPresent(page);
+      await autoExpand(page);
 
-  const consoleLogs = [];
-  page.on('console', (msg) => {
-    const t = msg.type();
-    if (t === 'error' || t === 'warning') consoleLogs.push({ type: t, text: msg.text() });
-  });
+      // Explicitly click all hash-link tabs (e.g., Spectra's #tab-2)
+      try {
+        const tabLinks = await page.$$('[href^="#tab-"]');
+        for (const link of tabLinks) {
+          const href = await link.getAttribute('href');
+          await link.click().catch(() => {});
+          if (href) await page.waitForSelector(href, { timeout: 1000 }).catch(() => {});
+          await page.waitForTimeout(200);
+        }
+      } catch { /* ignore */ }
 
-  try {
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: navigationTimeoutMs });
-    await page.waitForLoadState('networkidle', { timeout: navigationTimeoutMs }).catch(() => {});
+      // Trigger lazy-loads by scrolling
+      for (let i = 0; i < 4; i++) {
+        await page.mouse.wheel(0, 2000);
+        await page.waitForTimeout(350);
+      }
 
-    await acceptCookiesIfPresent(page);
-    await autoExpand(page);
+      // Optionally capture full HTML for debugging (not returned by default)
+      const full_html = includeHtml ? await page.content() : null;
 
-    // Explicitly click all hash-link tabs (e.g., Spectra's #tab-2)
-    try {
-      const tabLinks = await page.$$('[href^="#tab-"]');
-      for (const link of tabLinks) {
-        const href = await link.getAttribute('href');
-        await link.click().catch(() => {});
-        if (href) await page.waitForSelector(href, { timeout: 1000 }).catch(() => {});
-        await page.waitForTimeout(200);
-      }
-    } catch { /* ignore */ }
+      // Collect primary artifacts
+      let visible_text = await collectVisibleText(page);
+      let sections = await collectSections(page);
 
-    // Trigger lazy-loads by scrolling
-    for (let i = 0; i < 4; i++) {
-      await page.mouse.wheel(0, 2000);
-      await page.waitForTimeout(350);
-    }
+      // Clean sections (and visible text) with English-line heuristic if enabled
+      if (enforceEnglishHeuristic) {
+        visible_text = filterEnglish(visible_text);
 
-    // Optionally capture full HTML for debugging (not returned by default)
-    const full_html = includeHtml ? await page.content() : null;
+        const cleaned = {};
+        for (const key of ['description', 'specifications', 'features', 'included']) {
+          cleaned[key] = filterEnglish(sections[key] || '');
+        }
+        // carry over dl and tabs (not filtered for fidelity)
+        cleaned.dl = sections.dl || '';
+        cleaned.tabs = sections.tabs || {};
+        sections = cleaned;
+
+        // Drop trivial placeholder features
+        if (sections.features && sections.features.trim().toLowerCase() === 'company info') {
+          sections.features = '';
+        }
+      }
 
-    // Collect primary artifacts
-    let visible_text = await collectVisibleText(page);
-    let sections = await collectSections(page);
+      const { links, links_extra } = await collectLinks(page, { productImageLimit });
+      const seo_meta = await collectSeoMeta(page);
+      const microdata = await collectMicrodata(page);
+      const inline_data = await collectInlineData(page);
+      const link_hints = await collectLinkHints(page);
+      const shadow_text = await collectShadowText(page);
+      const css_backgrounds = await collectCssBackgrounds(page);
+      const images_with_alt = await collectImagesWithAlt(page);
+
+      const payload = {
+        source_url: url,
+        fetched_at: new Date().toISOString(),
+        ...(includeHtml ? { full_html } : {}), // excluded by default
+        visible_text,
+        sections, // includes .dl and .tabs
+        links,    // Code B-compatible: {anchors, images, pdfs, jsons}
+        seo_meta,
+        console: consoleLogs,
+      };
+
+      return { ok: true, raw_browse: payload };
+    }, { signal, contextOptions: contextOptionsFor(url, { userAgent, viewport }) });
+  } catch (err) {
+    return { ok: false, error: String(signal && signal.aborted ? signal.reason : err) };
+  }
+}
 
-    // Clean sections (and visible text) with English-line heuristic if enabled
-    if (enforceEnglishHeuristic) {
-      visible_text = filterEnglish(visible_text);
+/**
+ * Render a page to HTML in a local Chromium, with the render API's options.
+ *
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {'full'|'fast'} [opts.mode='full']   // full: accept cookies, expand tabs/accordions, scroll for lazy loads
+ * @param {string} [opts.selector]             // wait (best effort) for this selector before capturing
+ * @param {number|string} [opts.wait]          // extra ms before capturing, or the load state to navigate to (load|domcontentloaded|networkidle)
+ * @param {number} [opts.timeoutMs=45000]      // navigation and selector timeout
+ * @param {string} [opts.userAgent]
+ * @param {AbortSignal} [opts.signal]          // request deadline: closes the page's context when it fires
+ * @returns {Promise<{ html: string, status: number, url: string }>}
+ *   Throws when the page cannot be loaded; err.status is the page's HTTP
+ *   status when it answered with an error.
+ */
+export async function renderPage(url, opts = {}) {
+  const {
+    mode = 'full',
+    selector = null,
+    wait = null,
+    timeoutMs = 45000,
+    userAgent = DEFAULT_USER_AGENT,
+    signal = null,
+  } = opts;
 
-      const cleaned = {};
-      for (const key of ['description', 'specifications', 'features', 'included']) {
-        cleaned[key] = filterEnglish(sections[key] || '');
+  if (signal && signal.aborted) throw signal.reason;
+  try {
+    return await withBrowserPage(async (page) => {
+      const waitUntil = LOAD_STATES.has(String(wait)) ? String(wait) : 'domcontentloaded';
+      await assertAllowedUrl(url);
+      await guardPage(page);
+      const release = await acquireHostSlot(url, { signal });
+      let resp;
+      try {
+        resp = await page.goto(url, { waitUntil, timeout: timeoutMs });
+      } finally {
+        release();
       }
-      // carry over dl and tabs (not filtered for fidelity)
-      cleaned.dl = sections.dl || '';
-      cleaned.tabs = sections.tabs || {};
-      sections = cleaned;
-
-      // Drop trivial placeholder features
-      if (sections.features && sections.features.trim().toLowerCase() === 'company info') {
-        sections.features = '';
+      await assertAllowedUrl(page.url());
+      const status = resp ? resp.status() : 0;
+      if (status >= 400) {
+        const err = new Error(`local-render-status-${status}`);
+        err.status = status;
+        throw err;
       }
-    }
 
-    const { links, links_extra } = await collectLinks(page, { productImageLimit });
-    const seo_meta = await collectSeoMeta(page);
-    const microdata = await collectMicrodata(page);
-    const inline_data = await collectInlineData(page);
-    const link_hints = await collectLinkHints(page);
-    const shadow_text = await collectShadowText(page);
-    const css_backgrounds = await collectCssBackgrounds(page);
-    const images_with_alt = await collectImagesWithAlt(page);
-
-    const payload = {
-      source_url: url,
-      fetched_at: new Date().toISOString(),
-      ...(includeHtml ? { full_html } : {}), // excluded by default
-      visible_text,
-      sections, // includes .dl and .tabs
-      links,    // Code B-compatible: {anchors, images, pdfs, jsons}
-      seo_meta,
-      console: consoleLogs,
-    };
+      if (mode !== 'fast') {
+        await page.waitForLoadState('networkidle', { timeout: timeoutMs }).catch(() => {});
+        await acceptCookiesIfPresent(page);
+        await autoExpand(page);
+        for (let i = 0; i < 4; i++) {
+          await page.mouse.wheel(0, 2000);
+          await page.waitForTimeout(350);
+        }
+      }
+      if (selector) await page.waitForSelector(String(selector), { timeout: timeoutMs }).catch(() => {});
+      const ms = parseInt(String(wait), 10);
+      if (Number.isFinite(ms) && ms > 0) await page.waitForTimeout(Math.min(ms, timeoutMs));
 
-    return { ok: true, raw_browse: payload };
+      return { html: await page.content(), status, url: page.url() };
+    }, { signal, contextOptions: contextOptionsFor(url, { userAgent, viewport: { width: 1366, height: 900 } }) });
   } catch (err) {
-    return { ok: false, error: String(err) };
-  } finally {
-    await context.close().catch(() => {});
-    await browser.close().catch(() => {});
+    throw signal && signal.aborted ? signal.reason : err;
   }
 }
@@ -0,0 +1,179 @@
+// browserPool.js
+//
+// Shared Chromium instances for browseProduct and the local renderer
+// (renderPage in browserCrawler.js). Up to BROWSER_POOL_SIZE browsers
+// (default 2) are launched on demand and reused; each job gets a fresh
+// context (cookies, storage, cache) that is closed when it ends, and a
+// browser runs one job at a time. A browser is retired after
+// BROWSER_MAX_PAGES jobs (default 50) or as soon as it disconnects (crash).
+// Jobs beyond the pool wait in a FIFO queue for up to
+// BROWSER_QUEUE_TIMEOUT_MS (default 30s) and then fail with 503.
+//
+// Chromium is never installed at request time (the postinstall script runs
+// `npx playwright install`); a missing executable fails the job with a hint.
+// shutdownBrowserPool() closes every browser (SIGTERM, see server.js).
+// Playwright itself is only loaded when the first browser is needed.
+
+const POOL_SIZE = Math.max(1, parseInt(process.env.BROWSER_POOL_SIZE || '2', 10));
+const MAX_PAGES = Math.max(1, parseInt(process.env.BROWSER_MAX_PAGES || '50', 10));
+const QUEUE_TIMEOUT_MS = parseInt(process.env.BROWSER_QUEUE_TIMEOUT_MS || '30000', 10);
+
+const slots = [];   // { browser, jobs, busy, retired }
+const waiting = []; // { grant(slot), fail(err) }
+let closed = false;
+const counters = { launched: 0, recycled: 0, crashed: 0, jobs: 0, queue_timeouts: 0 };
+
+function poolError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = 503;
+  return err;
+}
+
+async function launchBrowser() {
+  const { chromium } = await import('playwright');
+  try {
+    return await chromium.launch({ headless: true });
+  } catch (err) {
+    if (/Executable\s+doesn't\s+exist/i.test(String(err))) {
+      throw poolError('Chromium is not installed (run `npx playwright install chromium`)', 'ENOBROWSER');
+    }
+    throw err;
+  }
+}
+
+function removeSlot(slot) {
+  const i = slots.indexOf(slot);
+  if (i >= 0) slots.splice(i, 1);
+  if (slot.browser) slot.browser.close().catch(() => {});
+}
+
+/** Start a browser for a new (already busy) slot. */
+function launchSlot() {
+  const slot = { browser: null, jobs: 0, busy: true, retired: false };
+  slots.push(slot);
+  return launchBrowser().then(browser => {
+    if (closed) {
+      browser.close().catch(() => {});
+      throw poolError('browser pool is shut down', 'EPOOLCLOSED');
+    }
+    counters.launched++;
+    slot.browser = browser;
+    browser.on('disconnected', () => {
+      if (!slot.retired && !closed) counters.crashed++;
+      slot.retired = true;
+      if (!slot.busy) {
+        removeSlot(slot);
+        dispatch();
+      }
+    });
+    return slot;
+  }, err => {
+    removeSlot(slot);
+    dispatch();
+    throw err;
+  });
+}
+
+// Hand idle browsers (or room for a new one) to waiters, oldest first.
+function dispatch() {
+  while (waiting.length && !closed) {
+    const idle = slots.find(s => !s.busy && !s.retired);
+    if (idle) {
+      idle.busy = true;
+      waiting.shift().grant(idle);
+    } else if (slots.length < POOL_SIZE) {
+      const w = waiting.shift();
+      launchSlot().then(w.grant, w.fail);
+    } else {
+      break;
+    }
+  }
+}
+
+function acquire(signal) {
+  if (closed) return Promise.reject(poolError('browser pool is shut down', 'EPOOLCLOSED'));
+  if (signal && signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const leave = (err) => {
+      const i = waiting.indexOf(w);
+      if (i >= 0) waiting.splice(i, 1);
+      done();
+      reject(err);
+    };
+    const w = {
+      grant: (slot) => { done(); resolve(slot); },
+      fail: (err) => { done(); reject(err); },
+    };
+    const onAbort = () => leave(signal.reason);
+    const timer = setTimeout(() => {
+      counters.queue_timeouts++;
+      leave(poolError(`no browser free within ${QUEUE_TIMEOUT_MS}ms`, 'EPOOLBUSY'));
+    }, QUEUE_TIMEOUT_MS);
+    timer.unref();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    waiting.push(w);
+    dispatch();
+  });
+}
+
+function release(slot) {
+  slot.jobs++;
+  if (!slot.retired && (slot.jobs >= MAX_PAGES || !slot.browser.isConnected())) {
+    if (slot.browser.isConnected()) counters.recycled++;
+    slot.retired = true;
+  }
+  slot.busy = false;
+  if (slot.retired) removeSlot(slot);
+  dispatch();
+}
+
+/**
+ * Run `fn(page)` on a fresh context of a pooled browser and resolve to its
+ * result. When `signal` aborts, the context is closed, which makes the
+ * pending page call reject.
+ *
+ * @template T
+ * @param {(page: import('playwright').Page) => Promise<T>} fn
+ * @param {{ signal?: AbortSignal, contextOptions?: object }} [opts]
+ * @returns {Promise<T>}
+ */
+export async function withBrowserPage(fn, { signal = null, contextOptions = {} } = {}) {
+  const slot = await acquire(signal);
+  counters.jobs++;
+  let context = null;
+  const onAbort = () => { if (context) context.close().catch(() => {}); };
+  try {
+    context = await slot.browser.newContext(contextOptions);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (signal && signal.aborted) throw signal.reason;
+    return await fn(await context.newPage());
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    if (context) await context.close().catch(() => {});
+    release(slot);
+  }
+}
+
+/** Close every browser and fail queued jobs; later jobs fail with 503. */
+export async function shutdownBrowserPool() {
+  closed = true;
+  for (const w of waiting.splice(0)) w.fail(poolError('browser pool is shut down', 'EPOOLCLOSED'));
+  await Promise.all(slots.splice(0).map(s => (s.browser ? s.browser.close().catch(() => {}) : null)));
+}
+
+/** Pool size, usage and lifetime counters, for GET /admin/status. */
+export function browserPoolStats() {
+  return {
+    size: POOL_SIZE,
+    max_pages: MAX_PAGES,
+    browsers: slots.length,
+    busy: slots.filter(s => s.busy).length,
+    queued: waiting.length,
+    ...counters,
+  };
+}
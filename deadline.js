@@ -0,0 +1,118 @@
+// deadline.js
+//
+// Request-wide deadline for /ingest (TOTAL_TIMEOUT_MS). The deadline's
+// AbortSignal is handed down to every slow step: renderer fetches, tab
+// hydration, PDF downloads and parsing, OCR and Playwright. When it fires,
+// pending I/O is aborted, the pipeline stops starting new stages and the
+// request answers with what the finished stages extracted.
+//
+// The same signal also carries client disconnects (clientAbortSignal): the
+// work is abandoned and the run ends with status 499.
+
+/** The abort reason once the deadline has passed. */
+export function deadlineError(ms) {
+  const err = new Error(`deadline exceeded (${ms}ms)`);
+  err.name = 'DeadlineError';
+  err.code = 'EDEADLINE';
+  return err;
+}
+
+export function isDeadlineError(e) {
+  return !!e && e.code === 'EDEADLINE';
+}
+
+/** The abort reason when the caller went away (nginx's 499). */
+export function cancelledError() {
+  const err = new Error('Client closed request');
+  err.name = 'CancelledError';
+  err.code = 'ECANCELLED';
+  err.status = 499;
+  return err;
+}
+
+export function isCancelledError(e) {
+  return !!e && e.code === 'ECANCELLED';
+}
+
+/**
+ * A signal that aborts with cancelledError() when the client disconnects
+ * before `res` is finished. Listens on the response: the request's own
+ * 'close' fires as soon as its body has been read.
+ *
+ * @param {import('http').ServerResponse} res
+ * @returns {AbortSignal}
+ */
+export function clientAbortSignal(res) {
+  const ctrl = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) ctrl.abort(cancelledError()); });
+  return ctrl.signal;
+}
+
+/**
+ * Start a deadline `ms` from now.
+ *
+ * @param {number} ms
+ * @returns {{ signal: AbortSignal, ms: number, expiresAt: number,
+ *   remaining: () => number, expired: () => boolean, clear: () => void }}
+ */
+export function createDeadline(ms) {
+  const ctrl = new AbortController();
+  const expiresAt = Date.now() + ms;
+  const timer = setTimeout(() => ctrl.abort(deadlineError(ms)), ms);
+  timer.unref();
+  return {
+    signal: ctrl.signal,
+    ms,
+    expiresAt,
+    remaining: () => Math.max(0, expiresAt - Date.now()),
+    expired: () => ctrl.signal.aborted,
+    clear: () => clearTimeout(timer),
+  };
+}
+
+/**
+ * A signal that aborts after `ms` or when `parent` aborts, whichever comes
+ * first. `reason` is used for the local timeout.
+ */
+export function timeoutSignal(ms, parent = null, reason = null) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(reason || new Error('timeout')), ms);
+  timer.unref();
+  const signal = parent ? AbortSignal.any([ctrl.signal, parent]) : ctrl.signal;
+  return { signal, clear: () => clearTimeout(timer) };
+}
+
+/**
+ * Settle with `promise`, or reject with the abort reason as soon as `signal`
+ * aborts. For work that cannot itself be cancelled (pdf-parse, tesseract):
+ * the caller stops waiting and the result is discarded.
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) {
+    Promise.resolve(promise).catch(() => {});
+    return Promise.reject(signal.reason);
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    Promise.resolve(promise).then(
+      v => { signal.removeEventListener('abort', onAbort); resolve(v); },
+      e => { signal.removeEventListener('abort', onAbort); reject(e); },
+    );
+  });
+}
+
+/**
+ * setTimeout as a promise that ends early (rejecting) when `signal` aborts.
+ * Either way the timer is cleared and the abort listener removed.
+ */
+export function sleepUnless(ms, signal) {
+  if (!signal) return new Promise(r => setTimeout(r, ms));
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => { clearTimeout(timer); reject(signal.reason); };
+    const timer = setTimeout(() => { signal.removeEventListener('abort', onAbort); resolve(); }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,438 @@
+// fetchCache.js
+//
+// Cache for fetched documents: rendered pages, direct fetches, remote tab
+// panes and PDF manuals. CACHE_BACKEND picks where entries live:
+//
+//   memory   (default) in-process LRU of CACHE_MAX_ITEMS entries, lost on restart
+//   file     CACHE_DIR (./data/cache), one JSON file per entry under <host>/
+//   redis    CACHE_REDIS_URL (falls back to REDIS_URL); needs the `redis` package
+//
+// Entries are fresh for CACHE_TTL_MS. Entries that came with an ETag or
+// Last-Modified are kept for CACHE_STALE_TTL_MS longer so fetchCached() can
+// revalidate them (If-None-Match / If-Modified-Since) instead of downloading
+// again. Backend failures are logged and treated as misses.
+//
+// Keys come from cacheKey(kind, url, options); kind is one of
+// render | direct | pane | pdf. purgeCache({ url } | { host }) drops every
+// kind and option variant for that page or host.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { httpFetch } from './httpClient.js';
+import { decodeHtmlBody, readBodyLimited } from './bodyReader.js';
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'cache');
+
+const ENABLE_CACHE = String(process.env.ENABLE_CACHE || 'true').toLowerCase() === 'true';
+const BACKEND = (process.env.CACHE_BACKEND || 'memory').trim().toLowerCase();
+const TTL_MS = parseInt(process.env.CACHE_TTL_MS || '180000', 10); // 3 min
+const STALE_TTL_MS = parseInt(process.env.CACHE_STALE_TTL_MS || '86400000', 10); // 24 h
+const MAX_ITEMS = parseInt(process.env.CACHE_MAX_ITEMS || '100', 10);
+const MAX_ENTRY_BYTES = parseInt(process.env.CACHE_MAX_ENTRY_BYTES || '10000000', 10);
+const CACHE_DIR = process.env.CACHE_DIR || DEFAULT_DIR;
+const REDIS_URL = process.env.CACHE_REDIS_URL || process.env.REDIS_URL || '';
+const REDIS_PREFIX = process.env.CACHE_REDIS_PREFIX || 'medx:cache:';
+
+function hostOf(url) {
+  try { return new URL(url).hostname.toLowerCase(); } catch { return ''; }
+}
+
+/** True for a plain hostname: lowercase letters, digits, dots and dashes, no "..". */
+export function isCacheHost(host) {
+  return typeof host === 'string' && /^[a-z0-9.-]+$/.test(host) && !host.includes('..');
+}
+
+/** The URL part of a cacheKey(). */
+function keyUrl(key) {
+  return key.slice(key.indexOf(':') + 1).split('|')[0];
+}
+
+/**
+ * Cache key for a document. Options that change what comes back (mode,
+ * wait, selector, ...) are part of the key; undefined/empty ones are not.
+ */
+export function cacheKey(kind, url, options = {}) {
+  const opts = Object.keys(options).sort()
+    .filter(k => options[k] != null && options[k] !== '')
+    .map(k => `${k}=${options[k]}`);
+  return [`${kind}:${url}`, ...opts].join('|');
+}
+
+/* ================== Backends ================== */
+// Every backend stores plain entry objects:
+//   { key, kind, url, host, stored_at, expires_at, keep_until,
+//     encoding: 'utf8'|'base64', body, bytes, etag?, last_modified?,
+//     final_url?, content_type?, charset? }
+//
+// Text bodies are stored decoded (charset = what they were decoded from).
+
+export function createMemoryCache({ maxItems = MAX_ITEMS } = {}) {
+  const entries = new Map(); // insertion order doubles as LRU order
+  return {
+    kind: 'memory',
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      entries.delete(key);
+      if (e.keep_until < Date.now()) return null;
+      entries.set(key, e);
+      return e;
+    },
+    async set(entry) {
+      entries.delete(entry.key);
+      while (entries.size >= maxItems) entries.delete(entries.keys().next().value);
+      entries.set(entry.key, entry);
+    },
+    async purge({ url, host }) {
+      let n = 0;
+      for (const [k, e] of entries) {
+        if ((url && e.url === url) || (host && e.host === host)) { entries.delete(k); n++; }
+      }
+      return n;
+    },
+    async stats() {
+      let bytes = 0;
+      for (const e of entries.values()) bytes += e.bytes || 0;
+      return { entries: entries.size, bytes, max_items: maxItems };
+    },
+  };
+}
+
+export function createFileCache({ dir = CACHE_DIR } = {}) {
+  const fileFor = (host, key) => path.join(dir, host || '_', `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+  const readEntry = async (file) => {
+    try { return JSON.parse(await fs.promises.readFile(file, 'utf8')); }
+    catch (e) { if (e.code === 'ENOENT' || e instanceof SyntaxError) return null; throw e; }
+  };
+  const hostDirs = async () => {
+    try { return await fs.promises.readdir(dir); }
+    catch (e) { if (e.code === 'ENOENT') return []; throw e; }
+  };
+  // Host directories must resolve to a direct child of `dir`; purge({ host })
+  // reaches this with a caller-supplied name.
+  const root = path.resolve(dir);
+  const hostDir = (host) => {
+    const d = path.resolve(root, host);
+    if (path.dirname(d) !== root) throw Object.assign(new Error(`Invalid cache host: ${host}`), { code: 'EBADHOST' });
+    return d;
+  };
+  const filesIn = async (host) => {
+    try { return (await fs.promises.readdir(hostDir(host))).filter(f => f.endsWith('.json')); }
+    catch (e) { if (e.code === 'ENOENT') return []; throw e; }
+  };
+
+  return {
+    kind: 'file',
+    dir,
+    async get(key) {
+      const file = fileFor(hostOf(keyUrl(key)), key);
+      const e = await readEntry(file);
+      if (!e || e.key !== key) return null;
+      if (e.keep_until < Date.now()) {
+        await fs.promises.rm(file, { force: true });
+        return null;
+      }
+      return e;
+    },
+    async set(entry) {
+      const file = fileFor(hostOf(keyUrl(entry.key)), entry.key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(entry));
+      await fs.promises.rename(tmp, file);
+    },
+    async purge({ url, host }) {
+      if (host) {
+        const n = (await filesIn(host)).length;
+        await fs.promises.rm(hostDir(host), { recursive: true, force: true });
+        return n;
+      }
+      let n = 0;
+      const h = hostOf(url) || '_';
+      for (const f of await filesIn(h)) {
+        const file = path.join(dir, h, f);
+        const e = await readEntry(file);
+        if (e && e.url === url) { await fs.promises.rm(file, { force: true }); n++; }
+      }
+      return n;
+    },
+    async stats() {
+      let entries = 0, bytes = 0;
+      for (const h of await hostDirs()) {
+        for (const f of await filesIn(h)) {
+          entries++;
+          bytes += (await fs.promises.stat(path.join(dir, h, f)).catch(() => ({ size: 0 }))).size;
+        }
+      }
+      return { entries, bytes, dir };
+    },
+  };
+}
+
+export async function createRedisCache({ url = REDIS_URL, prefix = REDIS_PREFIX } = {}) {
+  if (!url) throw new Error('CACHE_BACKEND=redis needs CACHE_REDIS_URL or REDIS_URL');
+  let createClient;
+  try {
+    ({ createClient } = await import('redis'));
+  } catch {
+    throw new Error('CACHE_BACKEND=redis needs the "redis" package (npm install redis)');
+  }
+  // No offline queue: while Redis is down, commands fail at once (cache
+  // misses) instead of holding up ingests.
+  const client = createClient({ url, disableOfflineQueue: true, socket: { connectTimeout: 5000 } });
+  let lastError = '';
+  client.on('error', (e) => {
+    const msg = String(e.code || e.message);
+    if (msg !== lastError) console.warn(`cache: redis: ${e.message || msg}`);
+    lastError = msg;
+  });
+  client.on('ready', () => { lastError = ''; });
+  try {
+    // connect() keeps retrying on its own; give up on this attempt after 10s.
+    await Promise.race([
+      client.connect(),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('connect timeout')), 10000).unref()),
+    ]);
+  } catch (e) {
+    client.disconnect().catch(() => {});
+    throw new Error(`redis cache: cannot connect: ${e.message}`);
+  }
+
+  const entryKey = (key) => `${prefix}e:${key}`;
+  const urlSet = (u) => `${prefix}url:${u}`;
+  const hostSet = (h) => `${prefix}host:${h}`;
+  const dropSet = async (setKey) => {
+    const keys = await client.sMembers(setKey);
+    if (keys.length) await client.del(keys.map(entryKey));
+    await client.del(setKey);
+    return keys.length;
+  };
+
+  return {
+    kind: 'redis',
+    async get(key) {
+      const raw = await client.get(entryKey(key));
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(entry) {
+      const px = Math.max(1, entry.keep_until - Date.now());
+      await client.multi()
+        .set(entryKey(entry.key), JSON.stringify(entry), { PX: px })
+        .sAdd(urlSet(entry.url), entry.key)
+        .sAdd(hostSet(entry.host), entry.key)
+        .pExpire(urlSet(entry.url), STALE_TTL_MS + TTL_MS)
+        .pExpire(hostSet(entry.host), STALE_TTL_MS + TTL_MS)
+        .exec();
+    },
+    async purge({ url, host }) {
+      return host ? dropSet(hostSet(host)) : dropSet(urlSet(url));
+    },
+    async stats() {
+      let entries = 0;
+      for await (const keys of client.scanIterator({ MATCH: `${prefix}e:*`, COUNT: 500 })) {
+        entries += Array.isArray(keys) ? keys.length : 1;
+      }
+      return { entries, prefix };
+    },
+  };
+}
+
+const RETRY_BACKEND_MS = 30000;
+let backendPromise = null;
+let backendFailedAt = 0;
+
+/** The configured backend (resolved once; retried 30s after a failed connect). */
+export function getCacheBackend() {
+  if (backendPromise) return backendPromise;
+  if (Date.now() - backendFailedAt < RETRY_BACKEND_MS) return Promise.reject(new Error('cache backend unavailable'));
+  if (BACKEND === 'file') backendPromise = Promise.resolve(createFileCache());
+  else if (BACKEND === 'redis') backendPromise = createRedisCache();
+  else {
+    if (BACKEND !== 'memory') console.warn(`cache: unknown CACHE_BACKEND "${BACKEND}"; using memory`);
+    backendPromise = Promise.resolve(createMemoryCache());
+  }
+  backendPromise = backendPromise.catch((e) => {
+    backendPromise = null;
+    backendFailedAt = Date.now();
+    throw e;
+  });
+  return backendPromise;
+}
+
+/* ================== Cache API ================== */
+const counters = { hits: 0, misses: 0, revalidated: 0, stores: 0, skipped_large: 0, errors: 0 };
+
+function backendError(op, e) {
+  counters.errors++;
+  console.warn(`cache: ${op} failed: ${String((e && e.message) || e)}`);
+}
+
+function decode(entry) {
+  let body = entry.body;
+  if (entry.encoding === 'base64') {
+    // Copy out of Node's shared pool: pdf.js ignores a Buffer's byteOffset.
+    const pooled = Buffer.from(entry.body, 'base64');
+    body = Buffer.alloc(pooled.length);
+    pooled.copy(body);
+  }
+  return { ...entry, body, fresh: entry.expires_at > Date.now() };
+}
+
+/**
+ * Look up `key`. Returns the entry with `body` (string or Buffer, as
+ * stored) and `fresh`, or null. Stale entries are only returned with
+ * `allowStale` (for revalidation).
+ */
+export async function cacheGet(key, { allowStale = false } = {}) {
+  if (!ENABLE_CACHE) return null;
+  let entry = null;
+  try {
+    entry = await (await getCacheBackend()).get(key);
+  } catch (e) {
+    backendError('get', e);
+  }
+  const out = entry ? decode(entry) : null;
+  if (out && out.fresh) counters.hits++;
+  else counters.misses++;
+  return out && (out.fresh || allowStale) ? out : null;
+}
+
+/**
+ * Store `body` (string or Buffer) under `key`. `url` is the page the entry
+ * belongs to (what DELETE /cache?url= matches); `etag`/`lastModified`
+ * enable revalidation after the entry goes stale.
+ */
+export async function cacheSet(key, { url, body, etag = null, lastModified = null, finalUrl = null, contentType = null, charset = null }) {
+  if (!ENABLE_CACHE || body == null) return;
+  const binary = Buffer.isBuffer(body);
+  const bytes = binary ? body.length : Buffer.byteLength(body, 'utf8');
+  if (bytes > MAX_ENTRY_BYTES) {
+    counters.skipped_large++;
+    return;
+  }
+  const storedAt = Date.now();
+  const entry = {
+    key,
+    kind: key.slice(0, key.indexOf(':')),
+    url,
+    host: hostOf(url),
+    stored_at: new Date(storedAt).toISOString(),
+    expires_at: storedAt + TTL_MS,
+    keep_until: storedAt + TTL_MS + (etag || lastModified ? STALE_TTL_MS : 0),
+    encoding: binary ? 'base64' : 'utf8',
+    body: binary ? body.toString('base64') : body,
+    bytes,
+  };
+  if (etag) entry.etag = etag;
+  if (lastModified) entry.last_modified = lastModified;
+  if (finalUrl && finalUrl !== url) entry.final_url = finalUrl;
+  if (contentType) entry.content_type = contentType;
+  if (charset) entry.charset = charset;
+  try {
+    await (await getCacheBackend()).set(entry);
+    counters.stores++;
+  } catch (e) {
+    backendError('set', e);
+  }
+}
+
+/**
+ * GET `url` through the cache. A fresh entry is returned without a request;
+ * a stale one is revalidated with If-None-Match / If-Modified-Since and
+ * reused on 304. Resolves to { ok, status, body: Buffer|null, url,
+ * contentType, cache: 'hit'|'revalidated'|'miss' }, plus `text` and
+ * `charset` (see bodyReader.js decodeHtmlBody) unless `binary`. The download is
+ * aborted as soon as it passes `maxBytes` (ETOOLARGE).
+ *
+ * @param {string} url
+ * @param {object} [init] fetch init (headers, signal, redirect)
+ * @param {{ kind?: string, key?: string, maxBytes?: number, binary?: boolean,
+ *   cached?: object|null }} [opts]
+ *   `binary` stores the body as bytes (PDFs) rather than text; `cached` is
+ *   an entry the caller already looked up with cacheGet(key, { allowStale: true }).
+ */
+export async function fetchCached(url, init = {}, { kind = 'direct', key = cacheKey(kind, url), maxBytes = Infinity, binary = kind === 'pdf', cached: known } = {}) {
+  const cached = known !== undefined ? known : await cacheGet(key, { allowStale: true });
+  const asResult = (e, cache) => ({
+    ok: true,
+    status: 200,
+    body: Buffer.isBuffer(e.body) ? e.body : Buffer.from(e.body, 'utf8'),
+    ...(Buffer.isBuffer(e.body) ? {} : { text: e.body, charset: e.charset || null }),
+    url: e.final_url || e.url,
+    contentType: e.content_type || null,
+    cache,
+  });
+  if (cached && cached.fresh) return asResult(cached, 'hit');
+
+  const headers = { ...(init.headers || {}) };
+  if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+  if (cached && cached.last_modified) headers['If-Modified-Since'] = cached.last_modified;
+  const r = await httpFetch(cached ? (cached.final_url || url) : url, { ...init, headers });
+
+  if (r.status === 304 && cached) {
+    counters.revalidated++;
+    await cacheSet(key, {
+      url: cached.url,
+      body: cached.body,
+      etag: r.headers.get('etag') || cached.etag,
+      lastModified: r.headers.get('last-modified') || cached.last_modified,
+      finalUrl: cached.final_url,
+      contentType: cached.content_type,
+      charset: cached.charset,
+    });
+    return asResult(cached, 'revalidated');
+  }
+  if (!r.ok) {
+    await r.body?.cancel().catch(() => {});
+    return { ok: false, status: r.status, body: null, url: r.url || url, contentType: r.headers.get('content-type'), cache: 'miss' };
+  }
+  const buf = await readBodyLimited(r, maxBytes);
+  const contentType = r.headers.get('content-type');
+  const decoded = binary ? null : decodeHtmlBody(buf, contentType);
+  await cacheSet(key, {
+    url,
+    body: binary ? buf : decoded.html,
+    etag: r.headers.get('etag'),
+    lastModified: r.headers.get('last-modified'),
+    finalUrl: r.url,
+    contentType,
+    charset: decoded && decoded.charset,
+  });
+  return {
+    ok: true,
+    status: r.status,
+    body: buf,
+    ...(decoded ? { text: decoded.html, charset: decoded.charset } : {}),
+    url: r.url || url,
+    contentType,
+    cache: 'miss',
+  };
+}
+
+/** Drop every entry for a page (`url`) or a whole `host`. Resolves to the count. */
+export async function purgeCache({ url, host } = {}) {
+  if (!url && !host) throw new Error('purgeCache needs url or host');
+  if (host && !isCacheHost(String(host).toLowerCase())) throw new Error(`Invalid cache host: ${host}`);
+  const backend = await getCacheBackend();
+  return backend.purge({ url, host: host ? String(host).toLowerCase() : undefined });
+}
+
+/** Backend, configuration and hit/miss counters for GET /cache/stats. */
+export async function cacheStats() {
+  const out = {
+    enabled: ENABLE_CACHE,
+    backend: BACKEND,
+    ttl_ms: TTL_MS,
+    stale_ttl_ms: STALE_TTL_MS,
+    max_entry_bytes: MAX_ENTRY_BYTES,
+    ...counters,
+  };
+  try {
+    Object.assign(out, await (await getCacheBackend()).stats());
+  } catch (e) {
+    out.error = String((e && e.message) || e);
+  }
+  return out;
+}
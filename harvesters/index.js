@@ -1,10 +1,20 @@
-export { extractWordPressTabs } from './wordpress.js';
-export { extractSalesforceTabs } from './salesforce.js';
-export { extractShopifyTabs } from './shopify.js';
-export { extractBigCommerceTabs } from './bigcommerce.js';
-export { extractMagentoTabs } from './magento.js';
-export { extractSquarespaceTabs } from './squarespace.js';
-export { extractWixTabs } from './wix.js';
+import { extractWordPressTabs } from './wordpress.js';
+import { extractSalesforceTabs } from './salesforce.js';
+import { extractShopifyTabs } from './shopify.js';
+import { extractBigCommerceTabs } from './bigcommerce.js';
+import { extractMagentoTabs } from './magento.js';
+import { extractSquarespaceTabs } from './squarespace.js';
+import { extractWixTabs } from './wix.js';
+
+export {
+  extractWordPressTabs,
+  extractSalesforceTabs,
+  extractShopifyTabs,
+  extractBigCommerceTabs,
+  extractMagentoTabs,
+  extractSquarespaceTabs,
+  extractWixTabs,
+};
 
 export function getTabHarvester(siteType) {
   switch (siteType) {
@@ -0,0 +1,107 @@
+// hmacSigning.js
+//
+// HMAC-SHA256 signatures on JSON bodies sent between services: render-engine
+// POST /ingest and its callbacks (tools/render-engine/ingest-signature.mjs)
+// and watch webhooks (watchRoutes.js).
+//
+// strict (replay-proof):
+//   x-avidiatech-timestamp: <unix seconds>
+//   x-avidiatech-nonce:     <16-128 chars of [A-Za-z0-9_-], unique per request>
+//   x-avidiatech-signature: v1=<hex HMAC of "<timestamp>.<nonce>.<exact body bytes>">
+//   A receiver rejects timestamps outside its tolerance and nonces it has
+//   already seen inside it, and may accept several secrets while keys are
+//   rotated (the sender always signs with the newest).
+//
+// legacy: x-avidiatech-signature is the hex HMAC of the body alone, with no
+// timestamp or nonce; kept for receivers that have not moved over.
+
+import crypto from 'node:crypto';
+
+export const SIGNATURE_HEADER = 'x-avidiatech-signature';
+export const TIMESTAMP_HEADER = 'x-avidiatech-timestamp';
+export const NONCE_HEADER = 'x-avidiatech-nonce';
+
+const NONCE_RE = /^[A-Za-z0-9_-]{16,128}$/;
+
+/** Comma-separated secrets, newest first. */
+export function parseSecrets(raw) {
+  return String(raw || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+export function hmacHex(secret, ...parts) {
+  const h = crypto.createHmac('sha256', secret);
+  for (const p of parts) h.update(p);
+  return h.digest('hex');
+}
+
+/** Constant-time comparison of two hex digests. */
+export function sameDigest(a, b) {
+  const x = Buffer.from(String(a || ''), 'utf8');
+  const y = Buffer.from(String(b || ''), 'utf8');
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * Signature headers for `body` (the exact string or bytes sent), signed with
+ * `secret`. Empty without a secret.
+ *
+ * @param {string|Buffer} body
+ * @param {string} secret
+ * @param {{ mode?: 'strict'|'legacy', now?: number }} [opts]
+ * @returns {Record<string, string>}
+ */
+export function signatureHeaders(body, secret, { mode = 'strict', now = Date.now() } = {}) {
+  if (!secret) return {};
+  if (mode === 'legacy') return { [SIGNATURE_HEADER]: hmacHex(secret, body) };
+  const timestamp = String(Math.floor(now / 1000));
+  const nonce = crypto.randomBytes(16).toString('hex');
+  return {
+    [TIMESTAMP_HEADER]: timestamp,
+    [NONCE_HEADER]: nonce,
+    [SIGNATURE_HEADER]: `v1=${hmacHex(secret, `${timestamp}.${nonce}.`, body)}`,
+  };
+}
+
+/**
+ * A strict-mode verifier with its own replay memory (in process).
+ *
+ * @param {{ toleranceS?: number, maxNonces?: number }} [opts]
+ * @returns {(headers: Record<string, string|string[]|undefined>, body: Buffer|string,
+ *            secrets: string[], now?: number) => { ok: boolean, reason?: string }}
+ *   reasons: no_secret_configured, missing_signature, bad_timestamp, bad_nonce,
+ *   stale_timestamp, bad_signature, replayed_nonce
+ */
+export function createSignatureVerifier({ toleranceS = 300, maxNonces = 100000 } = {}) {
+  const seen = new Map(); // nonce -> expiry (ms)
+
+  function claim(nonce, now) {
+    if (seen.has(nonce) && seen.get(nonce) > now) return false;
+    if (seen.size >= maxNonces) {
+      for (const [n, expires] of seen) if (expires <= now) seen.delete(n);
+    }
+    // Older timestamps are refused anyway, so twice the tolerance is enough.
+    seen.set(nonce, now + 2 * toleranceS * 1000);
+    return true;
+  }
+
+  return function verify(headers, body, secrets, now = Date.now()) {
+    const get = (name) => {
+      const v = headers[name];
+      return Array.isArray(v) ? v[0] : v;
+    };
+    if (!secrets.length) return { ok: false, reason: 'no_secret_configured' };
+    const timestamp = get(TIMESTAMP_HEADER);
+    const nonce = get(NONCE_HEADER);
+    const signature = String(get(SIGNATURE_HEADER) || '');
+    if (!timestamp || !nonce || !signature) return { ok: false, reason: 'missing_signature' };
+    if (!/^\d{1,12}$/.test(timestamp)) return { ok: false, reason: 'bad_timestamp' };
+    if (!NONCE_RE.test(nonce)) return { ok: false, reason: 'bad_nonce' };
+    if (Math.abs(now / 1000 - Number(timestamp)) > toleranceS) return { ok: false, reason: 'stale_timestamp' };
+
+    const given = signature.replace(/^v1=/, '').toLowerCase();
+    const valid = secrets.some(secret => sameDigest(hmacHex(secret, `${timestamp}.${nonce}.`, body), given));
+    if (!valid) return { ok: false, reason: 'bad_signature' };
+    if (!claim(nonce, now)) return { ok: false, reason: 'replayed_nonce' };
+    return { ok: true };
+  };
+}
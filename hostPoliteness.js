@@ -0,0 +1,275 @@
+// hostPoliteness.js
+//
+// Per-host politeness for every outbound request: renderer calls (counted
+// against the page being rendered, not the renderer), direct fetches, remote
+// tab panes, manual PDFs, OCR images, the image proxy and Playwright
+// navigations. For each host:
+//
+//   HOST_MAX_CONCURRENCY   requests in flight at once (default 4)
+//   HOST_MAX_RPS           request starts per second (default 2; 0 = no limit)
+//
+// A request slot is held until the response headers arrive. With
+// RESPECT_ROBOTS_TXT=true, /robots.txt is read once per origin (cached for
+// ROBOTS_CACHE_TTL_MS, default 1h) using the ROBOTS_USER_AGENT group (or *):
+// disallowed URLs fail with a 403 EROBOTS error and Crawl-delay slows the
+// host down further. A missing or unreachable robots.txt allows everything.
+//
+// Site profiles override the defaults per host:
+//
+//   "politeness": { "concurrency": 1, "rps": 0.5, "robots": true }
+//
+// Waiting ends early when the caller's signal aborts (deadline, client
+// disconnect). Waits and refusals during an ingest are collected with
+// withPolitenessLog() and reported in _debug.politeness.
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { getSiteProfile } from './siteProfiles.js';
+import { abortable, sleepUnless, timeoutSignal } from './deadline.js';
+import { guardedFetch } from './ssrfGuard.js';
+
+const MAX_CONCURRENCY = Math.max(1, parseInt(process.env.HOST_MAX_CONCURRENCY || '4', 10));
+const MAX_RPS = Math.max(0, parseFloat(process.env.HOST_MAX_RPS || '2'));
+const RESPECT_ROBOTS = String(process.env.RESPECT_ROBOTS_TXT || 'false').toLowerCase() === 'true';
+const ROBOTS_USER_AGENT = process.env.ROBOTS_USER_AGENT || 'MedicalExIngest';
+const ROBOTS_CACHE_TTL_MS = parseInt(process.env.ROBOTS_CACHE_TTL_MS || '3600000', 10);
+const ROBOTS_TIMEOUT_MS = 5000;
+const MAX_LOGGED = 20;
+
+/* ================== Limits ================== */
+/** Effective limits for a host: env defaults, then the site profile's `politeness`. */
+export function hostLimits(host) {
+  const p = (getSiteProfile(host) || {}).politeness || {};
+  return {
+    concurrency: p.concurrency != null ? p.concurrency : MAX_CONCURRENCY,
+    rps: p.rps != null ? p.rps : MAX_RPS,
+    robots: p.robots != null ? !!p.robots : RESPECT_ROBOTS,
+  };
+}
+
+function hostOf(url) {
+  try { return new URL(url).hostname.toLowerCase(); } catch { return ''; }
+}
+
+/* ================== robots.txt ================== */
+/**
+ * Parse robots.txt into the rules and Crawl-delay that apply to `agent`:
+ * the groups naming it, otherwise the * groups.
+ *
+ * @returns {{ rules: {allow: boolean, path: string}[], crawlDelay: number|null }}
+ */
+export function parseRobots(txt, agent = ROBOTS_USER_AGENT) {
+  const groups = [];
+  let cur = null;
+  let inAgents = false;
+  for (const raw of String(txt || '').split(/\r?\n/)) {
+    const m = /^\s*([A-Za-z-]+)\s*:\s*(.*?)\s*$/.exec(raw.replace(/#.*/, ''));
+    if (!m) continue;
+    const field = m[1].toLowerCase();
+    const value = m[2];
+    if (field === 'user-agent') {
+      if (!inAgents) groups.push(cur = { agents: [], rules: [], crawlDelay: null });
+      cur.agents.push(value.toLowerCase());
+      inAgents = true;
+      continue;
+    }
+    inAgents = false;
+    if (!cur) continue;
+    if ((field === 'allow' || field === 'disallow') && value) cur.rules.push({ allow: field === 'allow', path: value });
+    else if (field === 'crawl-delay' && Number.isFinite(parseFloat(value))) cur.crawlDelay = Math.max(0, parseFloat(value));
+  }
+  const ua = agent.toLowerCase();
+  let chosen = groups.filter(g => g.agents.some(a => a !== '*' && ua.includes(a)));
+  if (!chosen.length) chosen = groups.filter(g => g.agents.includes('*'));
+  const delays = chosen.map(g => g.crawlDelay).filter(d => d != null);
+  return { rules: chosen.flatMap(g => g.rules), crawlDelay: delays.length ? Math.max(...delays) : null };
+}
+
+function ruleRegex(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path).split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Longest matching rule wins; Allow wins a tie.
+ *
+ * @returns {{ allowed: boolean, rule: string|null }}
+ */
+export function robotsAllows(rules, pathAndQuery) {
+  let best = null;
+  for (const r of rules) {
+    if (!ruleRegex(r.path).test(pathAndQuery)) continue;
+    if (!best || r.path.length > best.path.length || (r.path.length === best.path.length && r.allow)) best = r;
+  }
+  if (!best || best.allow) return { allowed: true, rule: best ? `Allow: ${best.path}` : null };
+  return { allowed: false, rule: `Disallow: ${best.path}` };
+}
+
+const robotsCache = new Map();
+
+async function loadRobots(origin) {
+  const to = timeoutSignal(ROBOTS_TIMEOUT_MS);
+  try {
+    const r = await guardedFetch(`${origin}/robots.txt`, { headers: { 'User-Agent': ROBOTS_USER_AGENT }, signal: to.signal, redirect: 'follow' });
+    if (!r.ok) return { rules: [], crawlDelay: null, status: r.status };
+    return { ...parseRobots(await r.text()), status: r.status };
+  } catch (e) {
+    return { rules: [], crawlDelay: null, status: 0, error: String((e && e.message) || e) };
+  } finally {
+    to.clear();
+  }
+}
+
+/** robots.txt for the URL's origin (shared by concurrent callers, cached). */
+function robotsFor(url) {
+  const origin = new URL(url).origin;
+  const hit = robotsCache.get(origin);
+  if (hit && Date.now() - hit.at < ROBOTS_CACHE_TTL_MS) return hit.promise;
+  const promise = loadRobots(origin);
+  robotsCache.set(origin, { at: Date.now(), promise });
+  return promise;
+}
+
+export function robotsError(url, rule) {
+  const err = new Error(`blocked by robots.txt (${rule}): ${url}`);
+  err.name = 'RobotsError';
+  err.code = 'EROBOTS';
+  err.status = 403;
+  return err;
+}
+
+/* ================== Slots ================== */
+const hosts = new Map();
+
+function hostState(host) {
+  let st = hosts.get(host);
+  if (!st) hosts.set(host, st = { active: 0, waiting: [], nextAt: 0 });
+  return st;
+}
+
+// A freed slot goes straight to the next waiter, so newcomers cannot jump the queue.
+function releaseSlot(st) {
+  const next = st.waiting.shift();
+  if (next) next.resolve();
+  else st.active--;
+}
+
+function waitForSlot(st, signal) {
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve: () => { signal?.removeEventListener('abort', onAbort); resolve(); } };
+    const onAbort = () => {
+      const i = st.waiting.indexOf(waiter);
+      if (i >= 0) st.waiting.splice(i, 1);
+      reject(signal.reason);
+    };
+    if (signal && signal.aborted) return reject(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    st.waiting.push(waiter);
+  });
+}
+
+/* ================== Report ================== */
+const logStore = new AsyncLocalStorage();
+
+/** Run `fn` collecting the throttling/refusals of every request it makes into `log`. */
+export function withPolitenessLog(log, fn) {
+  return logStore.run(log, fn);
+}
+
+export function createPolitenessLog() {
+  return { throttled: [], blocked: [], throttled_count: 0, waited_ms: 0 };
+}
+
+/** The _debug.politeness section, or null when nothing was throttled or refused. */
+export function politenessReport(log) {
+  if (!log || (!log.throttled_count && !log.blocked.length)) return null;
+  return {
+    throttled_count: log.throttled_count,
+    waited_ms: log.waited_ms,
+    throttled: log.throttled,
+    blocked: log.blocked,
+  };
+}
+
+function note(kind, entry) {
+  const log = logStore.getStore();
+  if (!log) return;
+  if (kind === 'blocked') {
+    if (!log.blocked.some(b => b.url === entry.url)) log.blocked.push(entry);
+    return;
+  }
+  log.throttled_count++;
+  log.waited_ms += entry.waited_ms;
+  if (log.throttled.length < MAX_LOGGED) log.throttled.push(entry);
+}
+
+/**
+ * Wait until a request to `url` may start: robots.txt allows it, the host
+ * has a free slot and its rate limit (or Crawl-delay) has passed. Resolves
+ * to a release() for the slot; throws the robots error or the abort reason.
+ *
+ * @param {string} url
+ * @param {{ signal?: AbortSignal }} [opts]
+ * @returns {Promise<() => void>}
+ */
+export async function acquireHostSlot(url, { signal = null } = {}) {
+  const host = hostOf(url);
+  if (!host) return () => {};
+  const limits = hostLimits(host);
+  let crawlDelay = null;
+  if (limits.robots) {
+    const robots = await abortable(robotsFor(url), signal);
+    const u = new URL(url);
+    const verdict = robotsAllows(robots.rules, u.pathname + u.search);
+    if (!verdict.allowed) {
+      note('blocked', { host, url, reason: 'robots.txt', rule: verdict.rule });
+      throw robotsError(url, verdict.rule);
+    }
+    crawlDelay = robots.crawlDelay;
+  }
+
+  const st = hostState(host);
+  const started = Date.now();
+  let reason = null;
+  if (st.active < limits.concurrency && !st.waiting.length) st.active++;
+  else {
+    reason = 'concurrency';
+    try { await waitForSlot(st, signal); }
+    catch (e) { note('throttled', { host, url, reason, waited_ms: Date.now() - started, aborted: true }); throw e; }
+  }
+
+  const interval = Math.max(limits.rps > 0 ? 1000 / limits.rps : 0, (crawlDelay || 0) * 1000);
+  const at = Math.max(Date.now(), st.nextAt);
+  st.nextAt = at + interval;
+  if (at > Date.now()) {
+    reason = reason || (crawlDelay && crawlDelay * 1000 >= interval ? 'crawl-delay' : 'rate');
+    try { await sleepUnless(at - Date.now(), signal); }
+    catch (e) {
+      releaseSlot(st);
+      note('throttled', { host, url, reason, waited_ms: Date.now() - started, aborted: true });
+      throw e;
+    }
+  }
+  if (reason) note('throttled', { host, url, reason, waited_ms: Date.now() - started });
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    releaseSlot(st);
+  };
+}
+
+/** Current per-host state, for GET /admin/status. */
+export function politenessStats() {
+  const out = {};
+  for (const [host, st] of hosts) {
+    if (st.active || st.waiting.length) out[host] = { active: st.active, waiting: st.waiting.length };
+  }
+  return {
+    max_concurrency: MAX_CONCURRENCY,
+    max_rps: MAX_RPS,
+    respect_robots: RESPECT_ROBOTS,
+    busy_hosts: out,
+  };
+}
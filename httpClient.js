@@ -0,0 +1,165 @@
+// httpClient.js
+//
+// The one fetch() every outbound ingest request goes through (renderer
+// calls, direct HTML fetches, manual PDFs, remote tabs, image proxy, OCR
+// images). INGEST_HTTP_MODE picks what it does:
+//
+//   live     plain fetch (default)
+//   record   real fetch, and save each response to the cassette directory
+//   replay   answer only from the cassette directory; no network at all
+//
+// A cassette is one JSON file per request (method + URL + request body),
+// holding status, response headers and the base64 body. Network errors are
+// recorded too, so a failing fetch replays as the same failure. Repeated
+// requests for the same URL replay the last recorded response. Renderer
+// calls are keyed by their full URL, so replay with the RENDER_API_URL that
+// was used when recording (it is never contacted).
+// INGEST_HTTP_CASSETTE_DIR sets the directory (default ./cassettes).
+//
+// Live and record requests first wait for their host's politeness slot
+// (hostPoliteness.js); replay never touches the network and does not wait.
+// Every request to a host carries its outbound identity (proxy, user agent,
+// headers; see outboundIdentity.js); renderer calls pass the page's identity
+// to the render API as query parameters. Live and record requests, and every
+// redirect they follow, pass the SSRF guard (ssrfGuard.js); for renderer
+// calls the guard checks the page being rendered.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { acquireHostSlot } from './hostPoliteness.js';
+import { applyIdentity, applyRendererIdentity, proxyFetch } from './outboundIdentity.js';
+import { assertAllowedUrl, guardedFetch } from './ssrfGuard.js';
+
+const MODES = new Set(['live', 'record', 'replay']);
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'cassettes');
+// Never written to disk: they identify the recording session, not the page.
+const DROP_HEADERS = new Set(['set-cookie', 'set-cookie2']);
+const NULL_BODY_STATUS = new Set([101, 204, 205, 304]);
+
+let mode = (process.env.INGEST_HTTP_MODE || 'live').trim().toLowerCase();
+let cassetteDir = process.env.INGEST_HTTP_CASSETTE_DIR || DEFAULT_DIR;
+if (!MODES.has(mode)) {
+  console.warn(`httpClient: unknown INGEST_HTTP_MODE "${mode}"; using live`);
+  mode = 'live';
+}
+
+/** Current mode and cassette directory. */
+export function httpMode() {
+  return { mode, cassette_dir: cassetteDir };
+}
+
+/** Switch mode/directory at runtime (tests, scripts). */
+export function setHttpMode(next, dir) {
+  const m = String(next || '').trim().toLowerCase();
+  if (!MODES.has(m)) throw new Error(`unknown http mode "${next}" (expected ${[...MODES].join('|')})`);
+  mode = m;
+  if (dir) cassetteDir = dir;
+}
+
+function requestParts(input, init = {}) {
+  const url = String((input && input.url) || input);
+  const method = String(init.method || (input && input.method) || 'GET').toUpperCase();
+  const body = init.body == null ? '' : typeof init.body === 'string' ? init.body : Buffer.isBuffer(init.body) ? init.body.toString('base64') : '';
+  return { url, method, body };
+}
+
+/** Cassette file for a request: readable host prefix plus a hash of the rest. */
+export function cassettePath({ url, method, body }) {
+  let host = 'unknown';
+  try { host = new URL(url).hostname.replace(/[^a-z0-9.-]+/gi, '_'); } catch {}
+  const hash = crypto.createHash('sha1').update(`${method} ${url}\n${body}`).digest('hex').slice(0, 16);
+  return path.join(cassetteDir, host, `${method.toLowerCase()}-${hash}.json`);
+}
+
+function writeCassette(file, entry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(entry, null, 2) + '\n');
+}
+
+function toResponse(entry) {
+  const body = NULL_BODY_STATUS.has(entry.status) ? null : Buffer.from(entry.body_base64 || '', 'base64');
+  return new Response(body, { status: entry.status, statusText: entry.status_text || '', headers: entry.headers || {} });
+}
+
+function abortError(signal) {
+  const reason = signal && signal.reason;
+  if (reason instanceof Error) return reason;
+  const err = new Error('This operation was aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+async function replay(req, init) {
+  if (init.signal && init.signal.aborted) throw abortError(init.signal);
+  const file = cassettePath(req);
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    const err = new TypeError(`no cassette for ${req.method} ${req.url} (${path.relative(process.cwd(), file)})`);
+    err.code = 'ECASSETTEMISS';
+    throw err;
+  }
+  if (entry.error) {
+    const err = new TypeError(entry.error.message);
+    if (entry.error.name) err.name = entry.error.name;
+    if (entry.error.code) err.code = entry.error.code;
+    throw err;
+  }
+  return toResponse(entry);
+}
+
+async function record(req, input, init, doFetch = fetch) {
+  const file = cassettePath(req);
+  const meta = { url: req.url, method: req.method, recorded_at: new Date().toISOString() };
+  let res;
+  try {
+    res = await doFetch(input, init);
+  } catch (e) {
+    // A caller's own abort (timeout) is not a property of the remote site.
+    if (!(init.signal && init.signal.aborted)) {
+      writeCassette(file, { ...meta, error: { name: e && e.name, code: e && (e.code || (e.cause && e.cause.code)), message: String((e && e.message) || e) } });
+    }
+    throw e;
+  }
+  const buf = Buffer.from(await res.arrayBuffer());
+  const headers = {};
+  for (const [k, v] of res.headers) if (!DROP_HEADERS.has(k)) headers[k] = v;
+  // fetch() already decoded the body, so the original encoding no longer applies.
+  delete headers['content-encoding'];
+  delete headers['content-length'];
+  const entry = { ...meta, final_url: res.url, status: res.status, status_text: res.statusText, headers, body_base64: buf.toString('base64') };
+  writeCassette(file, entry);
+  return toResponse(entry);
+}
+
+/**
+ * Drop-in replacement for fetch() that honours INGEST_HTTP_MODE.
+ *
+ * @param {string|URL|Request} input
+ * @param {RequestInit} [init]
+ * @param {{ target?: string }} [opts]  `target`: the page a renderer call
+ *   fetches; politeness applies to its host instead of the renderer's.
+ * @returns {Promise<Response>}
+ */
+export async function httpFetch(input, init = {}, { target = null } = {}) {
+  const req = requestParts(input, init);
+  // The identity belongs to the page's host: the render API gets it as
+  // parameters. Cassettes stay keyed by the URL without them (`req`).
+  const { init: sent, proxy, hostHeaders } = target ? { init, proxy: null, hostHeaders: [] } : applyIdentity(req.url, init);
+  const sentInput = target ? applyRendererIdentity(req.url, target) : input;
+  if (mode === 'replay') return replay(req, sent);
+  // The renderer is ours to call; the page it will fetch is what gets checked.
+  // Direct requests only get the cheap check here: guardedFetch resolves them.
+  await assertAllowedUrl(target || req.url, { resolve: !!target });
+  const release = await acquireHostSlot(target || req.url, { signal: init.signal });
+  try {
+    const viaProxy = proxy ? await proxyFetch(proxy) : null;
+    const doFetch = target ? fetch : (i, o) => guardedFetch(i, o, { doFetch: viaProxy, hostHeaders });
+    return mode === 'live' ? await doFetch(sentInput, sent) : await record(req, sentInput, sent, doFetch);
+  } finally {
+    release();
+  }
+}
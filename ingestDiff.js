@@ -0,0 +1,156 @@
+// ingestDiff.js
+//
+// Structured diff between two /ingest results of the same product page, for
+// spotting supplier changes: spec revisions, new or removed images and
+// manuals, feature edits, description rewrites, discontinued notices.
+//
+// Either side may be a v1 record or a v2 (format=v2) record. Comparison is
+// done on normalised values so noise does not show up as a change:
+// whitespace and case, list order, bullet characters, trailing punctuation,
+// spec-key spelling (`Tip Type` vs `tip_type`) and cache-busting query
+// strings on image/PDF URLs.
+
+import crypto from 'node:crypto';
+import { toIngestV2 } from './ingestSchema.js';
+
+const DISCONTINUED_RE = /\b(discontinued|no longer (available|manufactured|sold)|end[- ]of[- ]life|obsolete|while supplies last)\b/i;
+const FILE_EXT_RE = /\.(jpe?g|png|gif|webp|avif|svg|pdf)$/i;
+
+const text = (v) => String(v == null ? '' : v)
+  .replace(/[•·▪●]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+const textKey = (v) => text(v).toLowerCase().replace(/^[-*\s]+/, '').replace(/[\s.;:,!]+$/, '');
+const specKey = (k) => String(k || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/** URL identity for images/manuals: scheme-less, and query-less for plain files. */
+function urlKey(u) {
+  const s = String(u || '').trim();
+  try {
+    const url = new URL(s);
+    const keepQuery = !FILE_EXT_RE.test(url.pathname);
+    return `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}${keepQuery ? url.search : ''}`.toLowerCase();
+  } catch {
+    return s.toLowerCase();
+  }
+}
+
+function canonical(rec) {
+  if (!rec || typeof rec !== 'object') return toIngestV2({});
+  return rec.schema_version === '2.0' || 'source_url' in rec ? rec : toIngestV2(rec);
+}
+
+/** Set-style diff of two lists under `keyFn`; keeps the original values. */
+function listDiff(before = [], after = [], keyFn = textKey) {
+  const index = (list) => {
+    const m = new Map();
+    for (const v of list) {
+      const k = keyFn(v);
+      if (k && !m.has(k)) m.set(k, v);
+    }
+    return m;
+  };
+  const a = index(before);
+  const b = index(after);
+  return {
+    added: [...b].filter(([k]) => !a.has(k)).map(([, v]) => v),
+    removed: [...a].filter(([k]) => !b.has(k)).map(([, v]) => v),
+  };
+}
+
+function specsDiff(before = {}, after = {}) {
+  const index = (specs) => new Map(Object.entries(specs || {}).map(([k, v]) => [specKey(k), { key: k, value: text(v) }]));
+  const a = index(before);
+  const b = index(after);
+  const out = { added: {}, removed: {}, changed: {} };
+  for (const [k, cur] of b) {
+    const prev = a.get(k);
+    if (!prev) out.added[cur.key] = cur.value;
+    else if (textKey(prev.value) !== textKey(cur.value)) out.changed[cur.key] = { before: prev.value, after: cur.value };
+  }
+  for (const [k, prev] of a) {
+    if (!b.has(k)) out.removed[prev.key] = prev.value;
+  }
+  return out;
+}
+
+function sentences(s) {
+  return text(s).split(/(?<=[.!?])\s+/).map(t => t.trim()).filter(Boolean);
+}
+
+function isDiscontinued(rec) {
+  const parts = [rec.name, rec.description && rec.description.text, ...(rec.features || []), ...Object.values(rec.specs || {})];
+  return parts.some(p => DISCONTINUED_RE.test(String(p || '')));
+}
+
+/**
+ * Diff two ingest results of the same page.
+ *
+ * @param {object} previous Earlier result (v1 or v2 shape).
+ * @param {object} current  New result (v1 or v2 shape).
+ * @returns {{ changed: boolean, summary: object, fields: object, specs: object,
+ *   features: object, images: object, manuals: object, description: object,
+ *   discontinued: { before: boolean, after: boolean } }}
+ */
+export function diffIngestResults(previous, current) {
+  const a = canonical(previous);
+  const b = canonical(current);
+
+  const fields = {};
+  for (const f of ['name', 'brand', 'sku']) {
+    if (textKey(a[f]) !== textKey(b[f])) fields[f] = { before: a[f] ?? null, after: b[f] ?? null };
+  }
+
+  const specs = specsDiff(a.specs, b.specs);
+  const features = listDiff(a.features, b.features);
+  const images = listDiff((a.images || []).map(i => i.url), (b.images || []).map(i => i.url), urlKey);
+  const manuals = listDiff(a.documents && a.documents.manuals, b.documents && b.documents.manuals, urlKey);
+
+  const descA = a.description && a.description.text;
+  const descB = b.description && b.description.text;
+  const descChanged = textKey(descA) !== textKey(descB);
+  const descLines = descChanged ? listDiff(sentences(descA), sentences(descB)) : { added: [], removed: [] };
+  const description = { changed: descChanged, added: descLines.added, removed: descLines.removed };
+
+  const discontinued = { before: isDiscontinued(a), after: isDiscontinued(b) };
+
+  const count = (d) => ({ added: Object.keys(d.added).length, removed: Object.keys(d.removed).length, ...(d.changed ? { changed: Object.keys(d.changed).length } : {}) });
+  const summary = {
+    fields: Object.keys(fields),
+    specs: count(specs),
+    features: count(features),
+    images: count(images),
+    manuals: count(manuals),
+    description: descChanged,
+    discontinued: discontinued.after && !discontinued.before,
+  };
+  const changed = summary.fields.length > 0 || descChanged || discontinued.before !== discontinued.after ||
+    [summary.specs, summary.features, summary.images, summary.manuals].some(c => Object.values(c).some(Boolean));
+
+  return { changed, summary, fields, specs, features, images, manuals, description, discontinued };
+}
+
+/**
+ * Hash of the meaningful content of a result, normalised the same way as
+ * diffIngestResults(): two results with equal hashes produce an empty diff.
+ *
+ * @param {object} rec Result (v1 or v2 shape).
+ * @returns {string} hex sha256
+ */
+export function contentHash(rec) {
+  const r = canonical(rec);
+  const sortedKeys = (list, keyFn) => [...new Set((list || []).map(keyFn).filter(Boolean))].sort();
+  const specs = Object.entries(r.specs || {}).map(([k, v]) => [specKey(k), textKey(v)]).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const doc = {
+    name: textKey(r.name),
+    brand: textKey(r.brand),
+    sku: textKey(r.sku),
+    description: textKey(r.description && r.description.text),
+    specs,
+    features: sortedKeys(r.features, textKey),
+    images: sortedKeys((r.images || []).map(i => i.url), urlKey),
+    manuals: sortedKeys(r.documents && r.documents.manuals, urlKey),
+    discontinued: isDiscontinued(r),
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(doc)).digest('hex');
+}
@@ -0,0 +1,178 @@
+// ingestPipeline.js
+//
+// A small registry/runner for the named stages that make up an /ingest run.
+// Stages execute in registration order against one shared context object
+// ({ q, targetUrl, opts, html, norm, diag, ... }) and may read or replace any
+// field on it. Callers choose a subset with `only` (?stages=) or drop stages
+// with `skip` (?skip=); a site profile may flip stage defaults with
+// `enable`/`disable`. Required stages always run. Per-stage timing,
+// warnings and errors are recorded on ctx.diag.stages.
+
+/**
+ * Split a "a,b, c" style list (string or array) into a Set of lowercased
+ * stage names. Returns null when nothing was given.
+ *
+ * @param {string|string[]|undefined} value
+ * @returns {Set<string>|null}
+ */
+export function parseStageList(value) {
+  if (value == null || value === '') return null;
+  const parts = (Array.isArray(value) ? value : String(value).split(','))
+    .map(s => String(s).trim().toLowerCase())
+    .filter(Boolean);
+  return parts.length ? new Set(parts) : null;
+}
+
+/**
+ * Create an empty pipeline.
+ *
+ * A stage is { name, run(ctx), enabled?(ctx), required?, io?, description?,
+ * source? }. `source` names the extractor behind the stage for provenance.
+ * `enabled` decides whether the stage runs by default (when the caller did
+ * not pass an explicit `only` list); it defaults to always-on. `io` marks
+ * stages that wait on the network or other processes; only those are
+ * subject to the run's deadline `signal`.
+ */
+export function createPipeline() {
+  const stages = [];
+
+  function timeoutError(stage, signal) {
+    const reason = signal && signal.reason;
+    const err = new Error(`Deadline exceeded during required stage ${stage.name}${reason && reason.message ? ` (${reason.message})` : ''}`);
+    err.status = 504;
+    return err;
+  }
+
+  function abortStatus(signal) {
+    return signal.reason && signal.reason.code === 'ECANCELLED' ? 'cancelled' : 'timeout';
+  }
+
+  function indexOf(name) {
+    return stages.findIndex(s => s.name === name);
+  }
+
+  /**
+   * Register a stage. By default it is appended; pass `before` or `after`
+   * with an existing stage name to place it elsewhere. Registering a name
+   * that already exists replaces that stage in place.
+   */
+  function register(stage, { before, after } = {}) {
+    if (!stage || !stage.name || typeof stage.run !== 'function') {
+      throw new Error('pipeline stage needs a name and a run(ctx) function');
+    }
+    const entry = { required: false, ...stage, name: String(stage.name).toLowerCase() };
+    const existing = indexOf(entry.name);
+    if (existing !== -1) {
+      stages[existing] = entry;
+      return entry;
+    }
+    const anchor = before ? indexOf(before) : after ? indexOf(after) : -1;
+    if ((before || after) && anchor === -1) {
+      throw new Error(`pipeline stage "${before || after}" not found`);
+    }
+    if (anchor === -1) stages.push(entry);
+    else stages.splice(before ? anchor : anchor + 1, 0, entry);
+    return entry;
+  }
+
+  function names() {
+    return stages.map(s => s.name);
+  }
+
+  function list() {
+    return stages.map(s => ({ name: s.name, required: !!s.required, description: s.description || '' }));
+  }
+
+  /**
+   * Run the stages against `ctx`. Unknown names in `only`/`skip` are
+   * rejected with a 400 before anything runs. A failing optional stage is
+   * recorded and the run continues; a failing required stage (or an error
+   * carrying an HTTP `status`) aborts the run.
+   *
+   * `enable`/`disable` override a stage's own `enabled(ctx)` default; they
+   * come from configuration rather than the caller, so unknown names there
+   * are reported as warnings instead of rejected. An explicit `only` or
+   * `skip` from the caller still wins.
+   *
+   * `hooks.before(stage, ctx)` / `hooks.after(stage, ctx, rec)` wrap every
+   * stage that actually runs (after also runs when the stage failed).
+   *
+   * `signal` is the request deadline. An `io` stage that was running when
+   * it aborted, or that would start after it, gets status "timeout"; local
+   * stages still run so the partial record is cleaned up as usual. A
+   * required stage cut short throws instead (status 504). When the signal
+   * was aborted by a client disconnect (reason code ECANCELLED) the status
+   * is "cancelled" instead.
+   *
+   * @param {object} ctx Shared context; must carry `diag` with a warnings array.
+   * @param {{ only?: Set<string>|null, skip?: Set<string>|null,
+   *           enable?: Set<string>|null, disable?: Set<string>|null,
+   *           hooks?: { before?: Function, after?: Function },
+   *           signal?: AbortSignal|null }} [sel]
+   */
+  async function run(ctx, { only = null, skip = null, enable = null, disable = null, hooks = {}, signal = null } = {}) {
+    const known = new Set(names());
+    const unknown = [...(only || []), ...(skip || [])].filter(n => !known.has(n));
+    if (unknown.length) {
+      const err = new Error(`Unknown stage(s): ${unknown.join(', ')}. Known: ${names().join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+
+    const diag = ctx.diag;
+    diag.stages = diag.stages || [];
+    for (const n of [...(enable || []), ...(disable || [])]) {
+      if (!known.has(n)) diag.warnings.push(`unknown stage "${n}" in stage defaults; ignored`);
+    }
+
+    for (const stage of stages) {
+      const rec = { name: stage.name, status: 'ok', ms: 0, warnings: [] };
+      diag.stages.push(rec);
+
+      let byDefault = stage.enabled ? !!stage.enabled(ctx) : true;
+      if (enable && enable.has(stage.name)) byDefault = true;
+      if (disable && disable.has(stage.name)) byDefault = false;
+      let selected = only ? only.has(stage.name) : byDefault;
+      if (skip && skip.has(stage.name)) selected = false;
+      if (!selected && stage.required) {
+        if (skip && skip.has(stage.name)) diag.warnings.push(`stage ${stage.name} is required; running it anyway`);
+        selected = true;
+      }
+      if (!selected) {
+        rec.status = 'skipped';
+        continue;
+      }
+      const deadlined = !!(signal && stage.io);
+      if (deadlined && signal.aborted) {
+        if (stage.required) throw timeoutError(stage, signal);
+        rec.status = abortStatus(signal);
+        continue;
+      }
+
+      const w0 = diag.warnings.length;
+      const t0 = Date.now();
+      if (hooks.before) hooks.before(stage, ctx);
+      try {
+        await stage.run(ctx);
+        if (deadlined && signal.aborted) rec.status = abortStatus(signal);
+      } catch (e) {
+        if (deadlined && signal.aborted) {
+          rec.status = abortStatus(signal);
+        } else {
+          rec.status = 'error';
+          rec.error = String((e && e.message) || e);
+          if (stage.required || (e && e.status)) throw e;
+          diag.warnings.push(`${stage.name}: ${rec.error}`);
+        }
+      } finally {
+        rec.ms = Date.now() - t0;
+        rec.warnings = diag.warnings.slice(w0);
+        if (hooks.after) hooks.after(stage, ctx, rec);
+      }
+      if ((rec.status === 'timeout' || rec.status === 'cancelled') && stage.required) throw timeoutError(stage, signal);
+    }
+    return ctx;
+  }
+
+  return { register, run, names, list };
+}
@@ -0,0 +1,149 @@
+// ingestSchema.js
+//
+// Versioned response shapes for /ingest. Every response carries
+// `schema_version` and is checked against the matching JSON Schema in
+// json_schemas/ (ingest-response.v1 / .v2); violations are reported, never
+// thrown, so a schema gap cannot fail an ingest.
+//
+//   v1  the record as the pipeline builds it (default, existing callers)
+//   v2  canonical shape from toIngestV2(): one name per concept, no
+//       pipeline intermediates (tabs, pdf_kv, *_md, _browse, ...)
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+
+const SCHEMA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'json_schemas');
+
+export const INGEST_FORMATS = { v1: '1.0', v2: '2.0' };
+
+const ajv = new Ajv2020({ allErrors: true, strict: false });
+addFormats(ajv);
+
+const validators = {};
+for (const format of Object.keys(INGEST_FORMATS)) {
+  const file = path.join(SCHEMA_DIR, `ingest-response.${format}.schema.json`);
+  validators[format] = ajv.compile(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/** The JSON Schema document for a format, for GET /ingest/schema. */
+export function ingestSchema(format = 'v1') {
+  const v = validators[format];
+  return v ? v.schema : null;
+}
+
+/**
+ * Resolve the `format` option. Returns 'v1' when absent; null when the value
+ * is not a known format.
+ */
+export function parseIngestFormat(value) {
+  const f = String(value == null || value === '' ? 'v1' : value).trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(INGEST_FORMATS, f) ? f : null;
+}
+
+/**
+ * Validate a response body. Returns { valid, errors } where each error is
+ * { path, message } (path is a JSON pointer into the response).
+ */
+export function validateIngestResponse(body, format = 'v1') {
+  const validate = validators[format];
+  if (!validate) return { valid: false, errors: [{ path: '', message: `unknown format "${format}"` }] };
+  const valid = validate(body);
+  const errors = valid ? [] : (validate.errors || []).map(e => ({
+    path: e.instancePath || '/',
+    message: e.keyword === 'additionalProperties'
+      ? `unexpected property "${e.params.additionalProperty}"`
+      : e.message,
+  }));
+  return { valid: !!valid, errors };
+}
+
+const str = (v) => {
+  const s = v == null ? '' : String(v).trim();
+  return s || null;
+};
+const strList = (v) => (Array.isArray(v) ? v.map(x => (x == null ? '' : String(x).trim())).filter(Boolean) : []);
+
+function v2Image(img) {
+  const url = str(img && typeof img === 'object' ? img.url : img);
+  if (!url) return null;
+  const out = { url };
+  if (img && typeof img === 'object') {
+    if (str(img.alt)) out.alt = String(img.alt).trim();
+    for (const dim of ['width', 'height']) {
+      const n = parseInt(img[dim], 10);
+      if (Number.isFinite(n) && n >= 0) out[dim] = n;
+    }
+  }
+  return out;
+}
+
+function v2Provenance(p) {
+  if (!p || typeof p !== 'object') return {};
+  const out = {};
+  if (p.name_raw) out.name = p.name_raw;
+  if (p.brand) out.brand = p.brand;
+  if (p.description_raw) out.description = p.description_raw;
+  if (p.specs) out.specs = p.specs;
+  if (p.features) out.features = p.features;
+  if (p.images) out.images = p.images;
+  return out;
+}
+
+/**
+ * Build the canonical v2 record from a v1 pipeline record.
+ *
+ * @param {object} norm The record produced by runIngest.
+ * @returns {object}
+ */
+export function toIngestV2(norm = {}) {
+  const specs = {};
+  for (const [k, v] of Object.entries(norm.specs || {})) {
+    const s = str(v);
+    if (k && s) specs[k] = s;
+  }
+  const included = strList(norm.includedItems).length ? strList(norm.includedItems) : strList(norm.sections && norm.sections.included);
+  const quality = norm.quality || { overall: 0, fields: {}, signals: {} };
+
+  const documents = {
+    manuals: strList(norm.pdf_manual_urls && norm.pdf_manual_urls.length ? norm.pdf_manual_urls : norm.manuals),
+    failed: strList(norm.manuals_failed),
+  };
+  if (str(norm.pdf_text)) documents.pdf_text = norm.pdf_text;
+  if (Array.isArray(norm.specs_pdf) && norm.specs_pdf.length) {
+    documents.pdf_specs = norm.specs_pdf
+      .filter(kv => kv && str(kv.key))
+      .map(kv => ({ key: String(kv.key), value: kv.value == null ? '' : String(kv.value) }));
+  }
+  if (strList(norm.features_pdf).length) documents.pdf_features = strList(norm.features_pdf);
+
+  const out = {
+    schema_version: INGEST_FORMATS.v2,
+    source_url: String(norm.source || ''),
+    name: str(norm.name_raw),
+    brand: str(norm.brand),
+    sku: str(norm.sku) || str(norm.mpn),
+    description: { text: str(norm.description_raw), markdown: str(norm.description_md) },
+    specs,
+    features: strList(norm.features_raw),
+    included_items: included,
+    images: (Array.isArray(norm.images) ? norm.images : []).map(v2Image).filter(Boolean),
+    documents,
+    variants: Array.isArray(norm.variant_matrix) ? norm.variant_matrix.filter(v => v && typeof v === 'object') : [],
+    quality: {
+      overall: quality.overall,
+      fields: quality.fields,
+      signals: quality.signals || {},
+      needs_review: !!norm.needs_review,
+    },
+    provenance: v2Provenance(norm._provenance),
+  };
+  if (str(norm.family_id)) out.family_id = String(norm.family_id);
+  if (norm.partial) {
+    out.partial = true;
+    out.incomplete_stages = strList(norm.incomplete_stages);
+  }
+  return out;
+}
@@ -0,0 +1,333 @@
+// ingestionStore.js
+//
+// Persistent history of ingestions: request options, hash of the HTML the
+// pipeline ran on, normalised result, diagnostics and timings. Used for
+// audits and for reprocessing old pages after an extractor fix.
+//
+// INGESTION_STORE picks the backend:
+//
+//   file     (default) JSON files under INGESTION_STORE_DIR
+//            (./data/ingestions): records/<id>.json, html/<sha256>.html
+//            (deduplicated, only when INGESTION_KEEP_HTML is not "false")
+//            and index.ndjson with one summary line per ingestion
+//   memory   in-process only, lost on restart (tests)
+//   none     keep nothing
+//   <path>   a module whose default export is createIngestionStore(options)
+//            returning the same interface:
+//
+//   save(record) -> Promise<id>          get(id) -> Promise<record|null>
+//   list({ url, owner, limit, before }) -> Promise<summary[]> (newest first)
+//   getHtml(sha256) -> Promise<string|null>
+//   prune() -> Promise<{ removed }>      (optional) apply retention now
+//
+// Retention (memory and file backends; custom modules get the same options):
+//
+//   INGESTION_RETENTION_DAYS   drop ingestions older than this (default 90;
+//                              0 = keep forever)
+//   INGESTION_MAX_RECORDS      keep at most this many, newest first (default
+//                              100000; 0 = no cap)
+//
+// The memory store prunes on every save. The file store never holds the index
+// in memory: list() reads index.ndjson backwards until it has enough rows, and
+// pruning rewrites it in one streaming pass (with the records and any HTML no
+// longer referenced) when the count passes the cap by 10%, or at most hourly
+// for the age limit.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import readline from 'node:readline';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'ingestions');
+const DEFAULT_RETENTION_DAYS = 90;
+const DEFAULT_MAX_RECORDS = 100000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_EVERY_MS = 60 * 60 * 1000;
+const READ_CHUNK_BYTES = 64 * 1024;
+
+/** Time-ordered id: sorts the same way as created_at. */
+export function newIngestionId(at = Date.now()) {
+  return `${at.toString(36).padStart(9, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+export function htmlHash(html) {
+  return crypto.createHash('sha256').update(String(html || '')).digest('hex');
+}
+
+/** The index line for a record. */
+function summarize(rec) {
+  return {
+    id: rec.id,
+    url: rec.url,
+    created_at: rec.created_at,
+    status: rec.status,
+    http_status: rec.http_status,
+    source: rec.source,
+    html_sha256: rec.html_sha256,
+    total_ms: rec.timings && rec.timings.total_ms,
+    quality: rec.result && rec.result.quality ? rec.result.quality.overall : null,
+    reprocessed_from: rec.reprocessed_from || null,
+    owner: rec.owner || null,
+  };
+}
+
+function matchesFilter(s, { url, owner, before } = {}) {
+  if (url && s.url !== url) return false;
+  if (owner && s.owner !== owner) return false;
+  if (before && !(s.id < before)) return false;
+  return true;
+}
+
+/** Summaries (newest first) matching the list() filter, up to `limit`. */
+function filterSummaries(newestFirst, opts = {}) {
+  const { limit = 50 } = opts;
+  const out = [];
+  for (const s of newestFirst) {
+    if (out.length >= limit) break;
+    if (matchesFilter(s, opts)) out.push(s);
+  }
+  return out;
+}
+
+/** Oldest created_at (ms) still kept, or 0 when there is no age limit. */
+function retentionCutoff(retentionDays, now = Date.now()) {
+  return retentionDays > 0 ? now - retentionDays * DAY_MS : 0;
+}
+
+const expired = (s, cutoff) => cutoff > 0 && Date.parse(s.created_at) < cutoff;
+
+function* newestFirst(list) {
+  for (let i = list.length - 1; i >= 0; i--) yield list[i];
+}
+
+export function createMemoryIngestionStore({ retentionDays = DEFAULT_RETENTION_DAYS, maxRecords = DEFAULT_MAX_RECORDS } = {}) {
+  const records = new Map();
+  const html = new Map();
+  let index = [];
+
+  function prune() {
+    const cutoff = retentionCutoff(retentionDays);
+    const over = maxRecords > 0 ? Math.max(0, index.length - maxRecords) : 0;
+    const kept = index.filter((s, i) => i >= over && !expired(s, cutoff));
+    if (kept.length === index.length) return 0;
+    const keptIds = new Set(kept.map(s => s.id));
+    for (const s of index) if (!keptIds.has(s.id)) records.delete(s.id);
+    const keptHtml = new Set(kept.map(s => s.html_sha256));
+    for (const sha of html.keys()) if (!keptHtml.has(sha)) html.delete(sha);
+    const removed = index.length - kept.length;
+    index = kept;
+    return removed;
+  }
+
+  return {
+    kind: 'memory',
+    async save(rec) {
+      const { html: body, ...rest } = rec;
+      if (body != null && rest.html_sha256) html.set(rest.html_sha256, body);
+      records.set(rest.id, rest);
+      index.push(summarize(rest));
+      prune();
+      return rest.id;
+    },
+    async prune() { return { removed: prune() }; },
+    async get(id) { return records.get(id) || null; },
+    async list(opts) { return filterSummaries(newestFirst(index), opts); },
+    async getHtml(sha) { return html.get(sha) ?? null; },
+  };
+}
+
+/**
+ * Parsed index.ndjson lines, last line first, read in chunks from the end of
+ * the file. Torn or unparsable lines (after a crash) are skipped.
+ */
+async function* readIndexBackwards(file) {
+  let fh;
+  try { fh = await fs.promises.open(file, 'r'); }
+  catch (e) { if (e.code === 'ENOENT') return; throw e; }
+  try {
+    let pos = (await fh.stat()).size;
+    let rest = Buffer.alloc(0); // start of a line whose beginning is not read yet
+    while (pos > 0) {
+      const len = Math.min(READ_CHUNK_BYTES, pos);
+      pos -= len;
+      const chunk = Buffer.alloc(len);
+      await fh.read(chunk, 0, len, pos);
+      const buf = Buffer.concat([chunk, rest]);
+      let end = buf.length;
+      for (let i = buf.length - 1; i >= 0; i--) {
+        if (buf[i] !== 0x0a) continue;
+        const line = parseLine(buf.subarray(i + 1, end));
+        if (line) yield line;
+        end = i;
+      }
+      rest = buf.subarray(0, end);
+    }
+    const first = parseLine(rest);
+    if (first) yield first;
+  } finally {
+    await fh.close();
+  }
+}
+
+function parseLine(bytes) {
+  const text = bytes.toString('utf8').trim();
+  if (!text) return null;
+  try { return JSON.parse(text); } catch { return null; }
+}
+
+export function createFileIngestionStore({ dir = DEFAULT_DIR, keepHtml = true, retentionDays = DEFAULT_RETENTION_DAYS, maxRecords = DEFAULT_MAX_RECORDS } = {}) {
+  const recordsDir = path.join(dir, 'records');
+  const htmlDir = path.join(dir, 'html');
+  const indexFile = path.join(dir, 'index.ndjson');
+  let count = null; // index lines, counted by the first prune
+  let lastPrune = 0;
+
+  // Appends and the prune rewrite of index.ndjson must not interleave.
+  let tail = Promise.resolve();
+  const serial = (fn) => {
+    const run = tail.then(fn);
+    tail = run.catch(() => {});
+    return run;
+  };
+
+  const validId = (id) => /^[a-z0-9-]+$/i.test(String(id || ''));
+
+  async function unlinkQuietly(file) {
+    try { await fs.promises.unlink(file); }
+    catch (e) { if (e.code !== 'ENOENT') throw e; }
+  }
+
+  /** Streams index.ndjson into a new file without the expired or surplus rows. */
+  async function prune() {
+    if (!fs.existsSync(indexFile)) return { removed: 0 };
+    const cutoff = retentionCutoff(retentionDays);
+    let total = 0;
+    if (maxRecords > 0) {
+      for await (const line of readline.createInterface({ input: fs.createReadStream(indexFile), crlfDelay: Infinity })) {
+        if (line.trim()) total++;
+      }
+    }
+    const over = maxRecords > 0 ? Math.max(0, total - maxRecords) : 0;
+
+    const tmpFile = `${indexFile}.tmp`;
+    const out = fs.createWriteStream(tmpFile);
+    const dropped = [];
+    const keptHtml = new Set();
+    let seen = 0;
+    let kept = 0;
+    for await (const line of readline.createInterface({ input: fs.createReadStream(indexFile), crlfDelay: Infinity })) {
+      if (!line.trim()) continue;
+      let s = null;
+      try { s = JSON.parse(line); } catch { /* torn line: drop it */ }
+      if (!s || seen++ < over || expired(s, cutoff)) {
+        if (s) dropped.push(s);
+        continue;
+      }
+      if (s.html_sha256) keptHtml.add(s.html_sha256);
+      if (!out.write(line + '\n')) await new Promise(resolve => out.once('drain', resolve));
+      kept++;
+    }
+    await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+    await fs.promises.rename(tmpFile, indexFile);
+
+    for (const s of dropped) {
+      if (validId(s.id)) await unlinkQuietly(path.join(recordsDir, `${s.id}.json`));
+      if (s.html_sha256 && !keptHtml.has(s.html_sha256) && /^[a-f0-9]{64}$/.test(s.html_sha256)) {
+        await unlinkQuietly(path.join(htmlDir, `${s.html_sha256}.html`));
+      }
+    }
+    count = kept;
+    lastPrune = Date.now();
+    return { removed: dropped.length };
+  }
+
+  function pruneDue() {
+    if (!(retentionDays > 0 || maxRecords > 0)) return false;
+    if (count == null) return true;
+    if (maxRecords > 0 && count >= maxRecords + Math.max(1, Math.floor(maxRecords / 10))) return true;
+    return retentionDays > 0 && Date.now() - lastPrune >= PRUNE_EVERY_MS;
+  }
+
+  return {
+    kind: 'file',
+    dir,
+    async save(rec) {
+      const { html: body, ...rest } = rec;
+      await fs.promises.mkdir(recordsDir, { recursive: true });
+      await fs.promises.writeFile(path.join(recordsDir, `${rest.id}.json`), JSON.stringify(rest) + '\n');
+      // The HTML goes in with the index line: a prune running in between
+      // could otherwise delete a shared file this record is about to use.
+      await serial(async () => {
+        if (keepHtml && body != null && rest.html_sha256) {
+          await fs.promises.mkdir(htmlDir, { recursive: true });
+          const file = path.join(htmlDir, `${rest.html_sha256}.html`);
+          if (!fs.existsSync(file)) await fs.promises.writeFile(file, body);
+        }
+        await fs.promises.appendFile(indexFile, JSON.stringify(summarize(rest)) + '\n');
+        if (count != null) count++;
+        if (pruneDue()) {
+          try { await prune(); }
+          catch (e) { console.warn(`ingestion store: prune failed: ${e.message || e}`); }
+        }
+      });
+      return rest.id;
+    },
+    prune() { return serial(prune); },
+    async get(id) {
+      if (!validId(id)) return null;
+      try { return JSON.parse(await fs.promises.readFile(path.join(recordsDir, `${id}.json`), 'utf8')); }
+      catch (e) { if (e.code === 'ENOENT') return null; throw e; }
+    },
+    async list(opts = {}) {
+      const { limit = 50 } = opts;
+      const out = [];
+      if (limit <= 0) return out;
+      for await (const s of readIndexBackwards(indexFile)) {
+        if (matchesFilter(s, opts)) out.push(s);
+        if (out.length >= limit) break;
+      }
+      return out;
+    },
+    async getHtml(sha) {
+      if (!/^[a-f0-9]{64}$/.test(String(sha || ''))) return null;
+      try { return await fs.promises.readFile(path.join(htmlDir, `${sha}.html`), 'utf8'); }
+      catch (e) { if (e.code === 'ENOENT') return null; throw e; }
+    },
+  };
+}
+
+function createNullIngestionStore() {
+  return {
+    kind: 'none',
+    async save(rec) { return rec.id; },
+    async get() { return null; },
+    async list() { return []; },
+    async getHtml() { return null; },
+  };
+}
+
+let storePromise = null;
+
+/** The configured store (resolved once; custom modules are imported lazily). */
+export function getIngestionStore() {
+  if (storePromise) return storePromise;
+  const kind = (process.env.INGESTION_STORE || 'file').trim();
+  const options = {
+    dir: process.env.INGESTION_STORE_DIR || DEFAULT_DIR,
+    keepHtml: String(process.env.INGESTION_KEEP_HTML || 'true').toLowerCase() !== 'false',
+    retentionDays: Math.max(0, Number(process.env.INGESTION_RETENTION_DAYS || DEFAULT_RETENTION_DAYS) || 0),
+    maxRecords: Math.max(0, parseInt(process.env.INGESTION_MAX_RECORDS || String(DEFAULT_MAX_RECORDS), 10) || 0),
+  };
+  if (kind === 'file') storePromise = Promise.resolve(createFileIngestionStore(options));
+  else if (kind === 'memory') storePromise = Promise.resolve(createMemoryIngestionStore(options));
+  else if (kind === 'none') storePromise = Promise.resolve(createNullIngestionStore());
+  else {
+    storePromise = import(pathToFileURL(path.resolve(kind)).href).then(m => {
+      const create = m.default || m.createIngestionStore;
+      if (typeof create !== 'function') throw new Error(`INGESTION_STORE module ${kind} has no default export`);
+      return create(options);
+    });
+  }
+  return storePromise;
+}
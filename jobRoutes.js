@@ -0,0 +1,166 @@
+// jobRoutes.js
+//
+// Async ingest jobs for callers whose HTTP timeout is shorter than a full
+// ingest (mode=full, tab hydration, manuals with OCR, browse=true).
+// POST /jobs/ingest queues the run and answers at once with a job id; the
+// job runs in this process, at most JOBS_CONCURRENCY at a time (default 2),
+// with no Redis or other external queue and a deadline of JOBS_TIMEOUT_MS
+// (default 5 min) instead of TOTAL_TIMEOUT_MS. Finished jobs are kept for
+// JOBS_TTL_MS (default 1h) and lost on restart; the ingestion history
+// (GET /ingestions/:id) keeps the result beyond that. A job runs in the
+// async context of the request that queued it, so its renderer calls, PDF
+// pages and OCR count against the caller's API key (usageMeter.js). A job
+// belongs to that key: other keys get 404 for it unless they have the admin
+// scope.
+//
+//   POST /jobs/ingest        { url, options? }  -> 202 { job_id, status, ... }
+//   GET  /jobs/:id           status, current stage, progress 0–100
+//   GET  /jobs/:id/result    200 result | 202 still running | job's error status
+
+import crypto from 'node:crypto';
+import { AsyncResource } from 'node:async_hooks';
+
+const CONCURRENCY = Math.max(1, parseInt(process.env.JOBS_CONCURRENCY || '2', 10));
+const MAX_QUEUED = parseInt(process.env.JOBS_MAX_QUEUED || '100', 10);
+const TTL_MS = parseInt(process.env.JOBS_TTL_MS || '3600000', 10);
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+function publicJob(job) {
+  const { result, q, inCallerContext, ...rest } = job;
+  return {
+    ...rest,
+    status_url: `/jobs/${job.id}`,
+    result_url: `/jobs/${job.id}/result`,
+  };
+}
+
+function sweep() {
+  const cutoff = Date.now() - TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.finished_at && Date.parse(job.finished_at) < cutoff) jobs.delete(id);
+  }
+}
+
+let runFn = null;
+
+function pump() {
+  while (running < CONCURRENCY && queue.length) {
+    const job = queue.shift();
+    running++;
+    execute(job).finally(() => {
+      running--;
+      pump();
+    });
+  }
+}
+
+async function execute(job) {
+  job.status = 'running';
+  job.started_at = new Date().toISOString();
+  const report = ({ stage, progress }) => {
+    job.stage = stage;
+    job.progress = Math.max(job.progress, progress);
+  };
+  try {
+    const { body, ingestionId } = await job.inCallerContext(() => runFn(job.q, report));
+    job.result = body;
+    job.ingestion_id = ingestionId || null;
+    job.status = 'succeeded';
+    job.progress = 100;
+    job.http_status = 200;
+  } catch (e) {
+    const status = e && e.status && Number.isFinite(+e.status) ? Number(e.status) : 500;
+    job.status = 'failed';
+    job.error = String((e && e.message) || e);
+    job.http_status = status >= 400 && status <= 599 ? status : 500;
+  } finally {
+    job.stage = null;
+    job.finished_at = new Date().toISOString();
+  }
+}
+
+/**
+ * Mount the /jobs routes.
+ *
+ * @param {import('express').Express} app
+ * @param {{ run: (q: object, report: Function) => Promise<{ body: object, ingestionId?: string }>,
+ *           ownerFilter?: (req: import('express').Request) => string|undefined }} deps
+ *   `run` performs one ingest for the string options `q`, calling
+ *   report({ stage, progress }) as stages start and finish; `ownerFilter`
+ *   names the only owner whose jobs the caller may see (undefined = all).
+ */
+export default function setupJobRoutes(app, { run, ownerFilter = () => undefined }) {
+  runFn = run;
+
+  const ownedJob = (req) => {
+    const job = jobs.get(req.params.id);
+    const owner = ownerFilter(req);
+    return job && (!owner || job.owner === owner) ? job : null;
+  };
+
+  app.post('/jobs/ingest', (req, res) => {
+    sweep();
+    const body = req.body || {};
+    const opts = body.options && typeof body.options === 'object' ? body.options : {};
+    const q = {};
+    for (const [k, v] of Object.entries({ ...req.query, ...opts })) {
+      if (v != null) q[k] = String(v);
+    }
+    q.url = String(body.url || req.query.url || '').trim();
+    if (!q.url) return res.status(400).json({ error: 'Missing url' });
+    if (queue.length >= MAX_QUEUED) {
+      res.set('Retry-After', '30');
+      return res.status(503).json({ error: `Job queue is full (${MAX_QUEUED} waiting)` });
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      url: q.url,
+      owner: (req.apiKey && req.apiKey.name) || null,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      stage: null,
+      progress: 0,
+      error: null,
+      http_status: null,
+      ingestion_id: null,
+      q,
+      result: null,
+      inCallerContext: AsyncResource.bind((fn) => fn()),
+    };
+    jobs.set(job.id, job);
+    queue.push(job);
+    pump();
+    res.set('Location', `/jobs/${job.id}`);
+    const out = { job_id: job.id, ...publicJob(job) };
+    if (job.status === 'queued') out.queue_position = queue.indexOf(job) + 1;
+    return res.status(202).json(out);
+  });
+
+  app.get('/jobs/:id', (req, res) => {
+    sweep();
+    const job = ownedJob(req);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    const out = publicJob(job);
+    if (job.status === 'queued') out.queue_position = queue.indexOf(job) + 1;
+    res.json(out);
+  });
+
+  app.get('/jobs/:id/result', (req, res) => {
+    sweep();
+    const job = ownedJob(req);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (job.status === 'queued' || job.status === 'running') {
+      res.set('Retry-After', '5');
+      return res.status(202).json(publicJob(job));
+    }
+    if (job.status === 'failed') return res.status(job.http_status).json({ error: job.error, job_id: job.id });
+    if (job.ingestion_id) res.set('X-Ingestion-Id', job.ingestion_id);
+    res.json(job.result);
+  });
+}
@@ -21,8 +21,9 @@ import * as salesforceHelper from './harvesters/salesforce.js';
  * @param {object} param0
  * @param {object} param0.raw_existing The original raw scrape.
  * @param {object} param0.raw_browse The browser-collected data.
+ * @param {object} [param0.profile] Site profile for the page (siteProfiles.js).
  */
-export function mergeRaw({ raw_existing = {}, raw_browse = {} }) {
+export function mergeRaw({ raw_existing = {}, raw_browse = {}, profile = null }) {
   const out = { ...raw_existing };
   // Attach the browser-collected data under the `_browse` namespace. Do not merge
   // any of the browser fields into the top-level object; keep the original
@@ -30,7 +31,7 @@ export function mergeRaw({ raw_existing = {}, raw_browse = {} }) {
   // consume the dynamic content separately.
   out._browse = raw_browse;
   // Clean out noise from features, specs, and browse console
-  return removeNoise(out);
+  return removeNoise(out, { profile });
 }
 
 /**
@@ -38,9 +39,12 @@ export function mergeRaw({ raw_existing = {}, raw_browse = {} }) {
  * Filters out e-commerce clutter, pricing, part numbers, and other non-product data.
  *
  * @param {object} record The merged product record.
+ * @param {object} [options]
+ * @param {object} [options.profile] Site profile; its spec_key_map,
+ *   drop_phrases and drop_class_hints drive the canonicalisation pass.
  * @returns {object} A cleaned product record.
  */
-function removeNoise(record) {
+function removeNoise(record, { profile = null } = {}) {
   const rec = record;
 
   // Clean features_raw: remove blank, price, add-to-cart, phone/fax, generic headings, part numbers
@@ -713,15 +717,20 @@ function removeNoise(record) {
       rec.needs_review = score < 0.7;
 
       // -----------------------------------------------------------------------
-      // McKesson-specific hardening and canonicalisation (non-destructive).
+      // Profile-driven hardening and canonicalisation (non-destructive), for
+      // sites whose profile carries a spec_key_map (e.g. McKesson).
       // Adds: tabs_clean, specs_canonical, name_sanitized, features_sanitized,
       // image_urls, documents (SDS), latex_free boolean. Original fields remain.
       try {
-        const domain = domainFromSource(rec);
-        if (domain && /(^|\.)mms\.mckesson\.com$/i.test(domain)) {
+        const specMap = profile && profile.spec_key_map;
+        if (specMap && typeof specMap === 'object' && Object.keys(specMap).length) {
+          const chrome = {
+            dropPhrases: Array.isArray(profile.drop_phrases) ? profile.drop_phrases : [],
+            dropClassHints: Array.isArray(profile.drop_class_hints) ? profile.drop_class_hints : [],
+          };
           // 1) Clean tabs without touching original `tabs`
           if (Array.isArray(rec.tabs)) {
-            rec.tabs_clean = rec.tabs.filter(t => !isJunkTab(t));
+            rec.tabs_clean = rec.tabs.filter(t => !isJunkTab(t, chrome));
           }
 
           // 2) Build canonical specs from existing specs + browse/spec sections
@@ -736,7 +745,7 @@ function removeNoise(record) {
               });
             }
           }
-          const specsCanonical = normalizeSpecsToSpecMap(baseSpecs);
+          const specsCanonical = normalizeSpecsToSpecMap(baseSpecs, specMap);
           if (Object.keys(specsCanonical).length) {
             rec.specs_canonical = specsCanonical;
           }
@@ -778,7 +787,7 @@ function removeNoise(record) {
 
           // 6) Description cleanup aimed at menu/promo bleed
           if (typeof rec.description_raw === 'string') {
-            const cleaned = cleanMcKessonDescription(rec.description_raw);
+            const cleaned = cleanProfileDescription(rec.description_raw, chrome.dropPhrases);
             if (cleaned && cleaned !== rec.description_raw) {
               rec.description_clean = cleaned; // keep original; add a clean variant
             }
@@ -801,7 +810,7 @@ function removeNoise(record) {
 }
 
 // Export removeNoise for use in other modules (e.g., server.js)
-export { removeNoise };
+export { removeNoise, computeQualityScore };
 
 /* --------------------------------------------------------------------------
  * Helper functions for advanced deduplication, language detection,
@@ -953,7 +962,8 @@ function computeQualityScore(rec) {
 }
 
 /* --------------------------------------------------------------------------
- * McKesson‑specific sanitization helpers (added without altering existing logic)
+ * Site-profile sanitization helpers (originally written for McKesson; the
+ * spec map and site-chrome phrases now live in site-profiles/*.json)
  * Implements:
  *  - Scoped tab filtering (drops global Solutions/promo blocks)
  *  - Canonical spec mapping and normalization
@@ -962,73 +972,24 @@ function computeQualityScore(rec) {
  *  - Clean product name builder and convenience booleans/arrays
  */
 
-// Phrases/classes that indicate site chrome (not product content)
-const DROP_PHRASES = [
-  'Vaccine Management','Biomedical Equipment Solutions','Instrument Management Services',
-  'Technology Consultants','Medical Waste Management','Drug Disposal and Returns',
-  'Patient Home Delivery','Medical Freight Management','Lab Consulting','Lab Information Systems',
-  'Lab Results','COVID-19 Vaccines are available','Flu Season is coming','ORDER NOW','PRE-BOOK'
-];
-const DROP_CLASS_HINTS = ['public-sub-menu','highlight-image','highlight-content'];
-
-// Canonical spec key map
-const SPEC_MAP = {
-  'mckesson': 'mckesson_item',
-  'mckesson #': 'mckesson_item',
-  'manufacturer #': 'mpn',
-  'manufacturer': 'manufacturer',
-  'brand': 'brand',
-  'country of origin': 'country_of_origin',
-  'application': 'application',
-  'color': 'color',
-  'dimensions': 'dimensions',
-  'length': 'length',
-  'material': 'material',
-  'number per pack': 'count_per_pack',
-  'ply': 'ply',
-  'shape': 'shape',
-  'shape range': 'shape_range',
-  'sterility': 'sterility',
-  'unspsc code': 'unspsc',
-  'width': 'width',
-  'latex free indicator': 'latex_free_indicator',
-  'hcpcs': 'hcpcs',
-  'fsa eligible - buy uom': 'fsa_eligible',
-  // already-normalized alternates:
-  'unspsc_code': 'unspsc',
-  'mckesson_#': 'mckesson_item',
-  'manufacturer_#': 'mpn'
-};
-
-// Domain parser from record source/_browse
-function domainFromSource(rec) {
-  const src = (rec && rec.source) || (rec && rec._browse && rec._browse.source_url) || '';
-  try {
-    const u = new URL(src);
-    return u.hostname.toLowerCase();
-  } catch {
-    return '';
-  }
-}
-
 // Identify non-product tabs
-function isJunkTab(tab) {
+function isJunkTab(tab, { dropPhrases = [], dropClassHints = [] } = {}) {
   const html = String(tab?.html || '').toLowerCase();
   const text = String(tab?.text || '').toLowerCase();
   if (!html && !text) return true;
-  if (DROP_CLASS_HINTS.some(c => html.includes(c))) return true;
-  if (DROP_PHRASES.some(p => text.includes(p.toLowerCase()))) return true;
+  if (dropClassHints.some(c => html.includes(String(c).toLowerCase()))) return true;
+  if (dropPhrases.some(p => text.includes(String(p).toLowerCase()))) return true;
   const isFeatures = html.includes('product-features');
   const isSpecs = html.includes('product specifications') && html.includes('<table');
   return !(isFeatures || isSpecs);
 }
 
 // Normalize specs to canonical map; non-destructive
-function normalizeSpecsToSpecMap(rawSpecs = {}) {
+function normalizeSpecsToSpecMap(rawSpecs = {}, specMap = {}) {
   const out = {};
   for (const [rawKey, rawVal] of Object.entries(rawSpecs)) {
     const kNorm = String(rawKey).trim().toLowerCase();
-    const key = SPEC_MAP[kNorm];
+    const key = specMap[kNorm];
     if (!key) continue;
     let val = String(rawVal).trim();
     if (!val) continue;
@@ -1063,14 +1024,14 @@ function normalizeSpecsToSpecMap(rawSpecs = {}) {
 }
 
 // Clean description by removing menu/promo bleed and cutting at Features/Specs markers
-function cleanMcKessonDescription(desc) {
+function cleanProfileDescription(desc, dropPhrases = []) {
   if (!desc) return '';
   const lines = String(desc)
     .replace(/\u00A0/g, ' ')
     .split(/\r?\n|•\s+/)
     .map(s => s.trim())
     .filter(Boolean)
-    .filter(s => !DROP_PHRASES.some(p => s.toLowerCase().includes(p.toLowerCase())));
+    .filter(s => !dropPhrases.some(p => s.toLowerCase().includes(String(p).toLowerCase())));
   const stop = lines.findIndex(s => /^features$|^product specifications$/i.test(s));
   const trimmed = (stop > -1 ? lines.slice(0, stop) : lines);
   return [...new Set(trimmed)].slice(0, 2).join(' ');
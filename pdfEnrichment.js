@@ -10,10 +10,14 @@ import { parsePdfFromUrl } from './pdfParser.js';
  * - If no text is extracted but manuals exist, sets pdf_text to an empty string
  *   rather than 'No documents available' so downstream consumers still know
  *   manuals were present.
+ * - When a `provenance` recorder (provenance.js) is passed, notes the manual
+ *   URL behind every spec and feature it adds.
+ * - `signal` (the request deadline) cancels the manual being fetched or
+ *   parsed; manuals not reached are left out of pdf_text.
  */
 export async function enrichFromManuals(
   norm,
-  { maxManuals = Infinity, maxCharsText = 49750 } = {}
+  { maxManuals = Infinity, maxCharsText = 49750, provenance = null, signal = null } = {}
 ) {
   // ============================================================
   // AUGMENTATION:
@@ -56,8 +60,9 @@ export async function enrichFromManuals(
   norm.specs = norm.specs || {};
 
   for (const url of manuals) {
+    if (signal && signal.aborted) break;
     try {
-      const parsed = await parsePdfFromUrl(url);
+      const parsed = await parsePdfFromUrl(url, { signal });
       if (!parsed) {
         norm.manuals_failed.push(url);
         continue;
@@ -69,6 +74,7 @@ export async function enrichFromManuals(
           if (v == null) continue;
           if (!(k in norm.specs)) {
             norm.specs[k] = v;
+            provenance?.spec(k, 'enrichFromManuals', v, { pdf_url: url });
           }
           norm.specs_pdf.push({ key: k, value: v });
         }
@@ -99,6 +105,7 @@ export async function enrichFromManuals(
             if (!seen.has(lower)) {
               (norm.features_raw ||= []).push(f);
               norm.features_pdf.push(f);
+              provenance?.feature(f, 'enrichFromManuals', { pdf_url: url });
               seen.add(lower);
               if (norm.features_raw.length >= 20) break;
             } else {
@@ -123,6 +130,7 @@ export async function enrichFromManuals(
             const key = keyRaw.replace(/\s+/g, '_').toLowerCase();
             if (!(key in norm.specs)) {
               norm.specs[key] = valueRaw;
+              provenance?.spec(key, 'enrichFromManuals', valueRaw, { pdf_url: url });
             }
             norm.specs_pdf.push({ key, value: valueRaw });
           }
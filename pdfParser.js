@@ -19,8 +19,18 @@ import pdfParse from 'pdf-parse/lib/pdf-parse.js';
 // Import pdfjs-dist as a CommonJS module; destructure getDocument for OCR
 import pdfjs from 'pdfjs-dist';
 const { getDocument } = pdfjs;
-import { createCanvas } from 'canvas';
 import { createWorker } from 'tesseract.js';
+import { httpFetch } from './httpClient.js';
+import { readBodyLimited } from './bodyReader.js';
+import { abortable } from './deadline.js';
+import { cacheGet, cacheKey, cacheSet, fetchCached } from './fetchCache.js';
+import { meterUsage } from './usageMeter.js';
+
+// Largest PDF (or landing page) read per download; bigger ones fail with
+// ETOOLARGE as soon as the download passes it.
+const MAX_PDF_BYTES = parseInt(process.env.MAX_PDF_BYTES || '25000000', 10);
+
+const isPdfBytes = (buf) => buf.subarray(0, 5).toString('ascii') === '%PDF-';
 
 /**
  * Normalise curly quotes, em/en dashes and excessive whitespace.  This helper
@@ -70,12 +80,18 @@ function kvPairs(text) {
  * runs Tesseract.js to recognise text.  All page text is concatenated.
  *
  * @param {Buffer} buffer The raw PDF file contents
+ * @param {AbortSignal} [signal] Stops before the next page (and abandons the
+ *   current recognition) once aborted
  * @returns {Promise<string>} The concatenated OCR text of the PDF
  */
-async function ocrScanPdf(buffer) {
+async function ocrScanPdf(buffer, signal = null) {
+  // Loaded here so text-only PDFs (and everything else) work without the
+  // native canvas build.
+  const { createCanvas } = await import('canvas');
   const doc = await getDocument({ data: buffer }).promise;
   let fullText = '';
   for (let i = 1; i <= doc.numPages; i++) {
+    signal?.throwIfAborted();
     const page = await doc.getPage(i);
     const viewport = page.getViewport({ scale: 2.0 });
     const canvas = createCanvas(viewport.width, viewport.height);
@@ -83,14 +99,16 @@ async function ocrScanPdf(buffer) {
     const renderContext = { canvasContext: ctx, viewport };
     await page.render(renderContext).promise;
     const imgBuffer = canvas.toBuffer();
+    const t0 = Date.now();
     const worker = await createWorker();
     try {
       await worker.loadLanguage('eng');
       await worker.initialize('eng');
-      const { data: { text } } = await worker.recognize(imgBuffer);
+      const { data: { text } } = await abortable(worker.recognize(imgBuffer), signal);
       fullText += text + '\n';
     } finally {
       await worker.terminate();
+      meterUsage('ocr_seconds', (Date.now() - t0) / 1000);
     }
   }
   return fullText;
@@ -418,12 +436,26 @@ function pickBySynonyms(pairs, rawText) {
  * extracted key/value pairs, normalised specification hits, and tables.
  *
  * @param {string} url The full URL to the PDF document
+ * @param {{signal?: AbortSignal}} [opts] `signal` (the request deadline)
+ *   aborts downloads, parsing and OCR
  * @returns {Promise<{text: string, pairs: Record<string,string>, kv: Record<string,string>, tables: any[], hits: Record<string,string>}>}
  */
-export async function parsePdfFromUrl(url) {
+export async function parsePdfFromUrl(url, { signal = null } = {}) {
   if (!url || typeof url !== 'string') {
     throw new Error('A valid PDF URL must be provided');
   }
+  // Downloaded PDFs are cached by the URL they were asked for; a stale copy
+  // is revalidated against the URL it finally came from.
+  const key = cacheKey('pdf', url);
+  const cached = await cacheGet(key, { allowStale: true });
+  if (cached) {
+    try {
+      const r = await fetchCached(url, { signal }, { kind: 'pdf', key, cached, maxBytes: MAX_PDF_BYTES });
+      if (r.ok && isPdfBytes(r.body)) return parsePdfBuffer(r.body, signal);
+    } catch {
+      signal?.throwIfAborted();
+    }
+  }
   // Build a set of candidate URLs by stripping common proxy segments
   const candidateSet = new Set();
   try {
@@ -467,14 +499,18 @@ export async function parsePdfFromUrl(url) {
   // Attempt each candidate URL
   for (const candidate of candidates) {
     try {
-      resp = await fetch(candidate, { headers });
+      resp = await httpFetch(candidate, { headers, signal });
       if (resp.ok) break;
       lastErr = new Error(`HTTP ${resp.status}`);
     } catch (err) {
       lastErr = err;
     }
   }
-  // If none succeeded, attempt fallbacks with different headers
+  // robots.txt and SSRF refusals are not retried under another User-Agent.
+  if ((!resp || !resp.ok) && lastErr && (lastErr.code === 'EROBOTS' || lastErr.code === 'ESSRF')) throw lastErr;
+  // If none succeeded, attempt fallbacks with different headers. When the
+  // host's outbound identity has user_agents, httpFetch uses the next one
+  // from that pool instead of the agents below (outboundIdentity.js).
   if (!resp || !resp.ok) {
     let fallbackResp = null;
     // Retry with Referer header
@@ -487,7 +523,7 @@ export async function parsePdfFromUrl(url) {
     })();
     if (referer) {
       try {
-        fallbackResp = await fetch(url, { headers: { ...headers, Referer: referer } });
+        fallbackResp = await httpFetch(url, { headers: { ...headers, Referer: referer }, signal });
       } catch (e) {
         lastErr = e;
       }
@@ -500,7 +536,7 @@ export async function parsePdfFromUrl(url) {
         'Accept-Language': 'en-US,en;q=0.8'
       };
       try {
-        fallbackResp = await fetch(url, { headers: altHeaders });
+        fallbackResp = await httpFetch(url, { headers: altHeaders, signal });
       } catch (e) {
         lastErr = e;
       }
@@ -513,7 +549,7 @@ export async function parsePdfFromUrl(url) {
         'Accept-Language': 'en-US,en;q=0.6'
       };
       try {
-        fallbackResp = await fetch(url, { headers: altHeaders2 });
+        fallbackResp = await httpFetch(url, { headers: altHeaders2, signal });
       } catch (e) {
         lastErr = e;
       }
@@ -525,28 +561,32 @@ export async function parsePdfFromUrl(url) {
     }
   }
 
-  // Determine whether the response is a PDF or an HTML landing page
+  // Determine whether the response is a PDF or an HTML landing page. Every
+  // body is read at most once and only up to MAX_PDF_BYTES; `buffer` is set
+  // when the PDF had to be read to be recognised.
   let pdfResp = resp;
+  let buffer = null;
   try {
     const ct = (resp.headers.get('content-type') || '').toLowerCase();
     let needHtmlParse = false;
+    let body = null;
     if (!/application\/pdf|application\/octet-stream/.test(ct)) {
       let isPdf = false;
       const cd = resp.headers.get('content-disposition') || '';
       if (/\.pdf\b/i.test(cd)) {
         isPdf = true;
       } else {
-        try {
-          const arr = await resp.clone().arrayBuffer();
-          const sig = Buffer.from(arr.slice(0, 5)).toString('ascii');
-          if (sig === '%PDF-') isPdf = true;
-        } catch {}
+        body = await readBodyLimited(resp, MAX_PDF_BYTES);
+        if (isPdfBytes(body)) {
+          isPdf = true;
+          buffer = body;
+        }
       }
       needHtmlParse = !isPdf;
     }
     if (needHtmlParse) {
       // Parse HTML to find PDF links
-      const html = await resp.text();
+      const html = body.toString('utf8');
       const pdfLinks = [];
       // Absolute URLs for PDF files (allow query params).  Use regex literal to avoid quoting issues.
       const absRe = /https?:\/\/[^"'<>\s]+?\.pdf(?:\?[^"'<>\s]*)?/gi;
@@ -562,18 +602,19 @@ export async function parsePdfFromUrl(url) {
       }
       const seen = new Set();
       let foundPdf = false;
+      let tooLarge = null;
       for (const link of pdfLinks) {
         if (seen.has(link)) continue;
         seen.add(link);
         try {
-          let candidateResp = await fetch(link, { headers });
+          let candidateResp = await httpFetch(link, { headers, signal });
           if (!candidateResp || !candidateResp.ok) {
             // Try again with Referer header
             const ref = (() => {
               try { return new URL(link).origin; } catch { return ''; }
             })();
             if (ref) {
-              candidateResp = await fetch(link, { headers: { ...headers, Referer: ref } });
+              candidateResp = await httpFetch(link, { headers: { ...headers, Referer: ref }, signal });
             }
           }
           if (candidateResp && candidateResp.ok) {
@@ -583,11 +624,11 @@ export async function parsePdfFromUrl(url) {
               const cd2 = candidateResp.headers.get('content-disposition') || '';
               if (/\.pdf\b/i.test(cd2)) candidateIsPdf = true;
               else {
-                try {
-                  const arr2 = await candidateResp.clone().arrayBuffer();
-                  const sig2 = Buffer.from(arr2.slice(0, 5)).toString('ascii');
-                  if (sig2 === '%PDF-') candidateIsPdf = true;
-                } catch {}
+                const body2 = await readBodyLimited(candidateResp, MAX_PDF_BYTES);
+                if (isPdfBytes(body2)) {
+                  candidateIsPdf = true;
+                  buffer = body2;
+                }
               }
             }
             if (candidateIsPdf) {
@@ -596,10 +637,12 @@ export async function parsePdfFromUrl(url) {
               break;
             }
           }
-        } catch {}
+        } catch (e) {
+          if (e && e.code === 'ETOOLARGE') tooLarge = e;
+        }
       }
       if (!foundPdf) {
-        throw new Error('HTML page did not contain a reachable PDF');
+        throw tooLarge || new Error('HTML page did not contain a reachable PDF');
       }
     }
   } catch (err) {
@@ -607,15 +650,30 @@ export async function parsePdfFromUrl(url) {
   }
 
   // At this point pdfResp should contain a PDF file; parse it.
-  const buffer = Buffer.from(await pdfResp.arrayBuffer());
-  const data = await pdfParse(buffer);
+  if (!buffer) buffer = await readBodyLimited(pdfResp, MAX_PDF_BYTES);
+  await cacheSet(key, {
+    url,
+    body: buffer,
+    etag: pdfResp.headers.get('etag'),
+    lastModified: pdfResp.headers.get('last-modified'),
+    finalUrl: pdfResp.url,
+    contentType: pdfResp.headers.get('content-type'),
+  });
+  return parsePdfBuffer(buffer, signal);
+}
+
+/** Extract text (OCR when there is no text layer), key/values and tables. */
+async function parsePdfBuffer(buffer, signal = null) {
+  const data = await abortable(pdfParse(buffer), signal);
+  meterUsage('pdf_pages', data.numpages || 0);
   let text = data.text || '';
   if (!text || !text.trim()) {
     try {
-      text = await ocrScanPdf(buffer);
+      text = await ocrScanPdf(buffer, signal);
     } catch {
       // ignore OCR errors
     }
+    signal?.throwIfAborted();
   }
   const pairs = kvPairs(text);
   const hits = pickBySynonyms(pairs, text);
@@ -0,0 +1,155 @@
+// provenance.js
+//
+// Field-level provenance for /ingest. Extractors that know exactly where a
+// value came from record it directly (extractNormalized notes jsonld vs
+// microdata vs extractSpecsSmart, enrichFromManuals notes the PDF URL).
+// Everything else is attributed by diffing the record before and after each
+// pipeline stage: whatever a stage added or changed, and nobody recorded,
+// is credited to that stage's extractor.
+//
+// build(norm) returns the `_provenance` map for the final record:
+//
+//   { name_raw: { source }, brand: { source }, description_raw: { source },
+//     specs:    { <key>: { source, pdf_url? } },
+//     features: [ { source, pdf_url? } ],   // parallel to features_raw
+//     images:   [ { url, source } ] }       // parallel to images
+//
+// Extractors may also note values they saw but did not use
+// (alternative()); qualityScore.js compares those for source agreement.
+
+const TOP_FIELDS = ['name_raw', 'brand', 'description_raw'];
+
+function valueKey(v) {
+  if (v == null) return '';
+  const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return s.replace(/\s+/g, ' ').trim();
+}
+
+function featureKey(t) {
+  return String(t || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function imageUrl(img) {
+  return String((img && typeof img === 'object' ? img.url : img) || '');
+}
+
+function imageBase(u) {
+  return u.split('#')[0].split('?')[0].split('/').pop().toLowerCase();
+}
+
+/**
+ * Create an empty provenance recorder. All record methods overwrite an
+ * earlier entry for the same field; pass `extra` (e.g. { pdf_url }) to keep
+ * detail alongside the source name.
+ */
+export function createProvenance() {
+  const fields = new Map();
+  const specs = new Map();
+  const features = new Map();
+  const images = new Map();
+  const alts = {};
+
+  function alternative(name, source, value) {
+    const v = valueKey(value);
+    if (v) (alts[name] ||= []).push({ source, value: v });
+  }
+
+  function alternatives() {
+    return alts;
+  }
+
+  function field(name, source, value, extra = {}) {
+    fields.set(name, { source, value: valueKey(value), ...extra });
+  }
+
+  function spec(key, source, value, extra = {}) {
+    specs.set(String(key), { source, value: valueKey(value), ...extra });
+  }
+
+  function feature(text, source, extra = {}) {
+    const k = featureKey(text);
+    if (k) features.set(k, { source, ...extra });
+  }
+
+  function image(img, source, extra = {}) {
+    const u = imageUrl(img);
+    if (u) images.set(u, { source, ...extra });
+  }
+
+  /** Shallow copy of the tracked parts of `norm` for a later attribute(). */
+  function snapshot(norm) {
+    if (!norm) return null;
+    return {
+      fields: Object.fromEntries(TOP_FIELDS.map(f => [f, valueKey(norm[f])])),
+      specs: Object.fromEntries(Object.entries(norm.specs || {}).map(([k, v]) => [k, valueKey(v)])),
+      features: new Set((norm.features_raw || []).map(featureKey)),
+      images: new Set((norm.images || []).map(imageUrl)),
+    };
+  }
+
+  /**
+   * Credit `source` with anything in `norm` that is new or changed since the
+   * `before` snapshot and was not already recorded with its current value.
+   * A spec key that reappears under a new name with the same value (e.g.
+   * after key normalisation) keeps its original source.
+   */
+  function attribute(before, norm, source) {
+    if (!norm) return;
+    const prev = before || { fields: {}, specs: {}, features: new Set(), images: new Set() };
+
+    for (const f of TOP_FIELDS) {
+      const v = valueKey(norm[f]);
+      if (!v || v === prev.fields[f]) continue;
+      const rec = fields.get(f);
+      if (rec && rec.value === v) continue;
+      fields.set(f, { source, value: v });
+    }
+
+    const curSpecs = norm.specs || {};
+    for (const [k, raw] of Object.entries(curSpecs)) {
+      const v = valueKey(raw);
+      if (prev.specs[k] === v) continue;
+      const rec = specs.get(k);
+      if (rec && rec.value === v) continue;
+      const renamed = [...specs.entries()].find(([ok, r]) => !(ok in curSpecs) && r.value === v);
+      specs.set(k, renamed ? { ...renamed[1] } : { source, value: v });
+    }
+
+    for (const t of norm.features_raw || []) {
+      const k = featureKey(t);
+      if (!k || prev.features.has(k) || features.has(k)) continue;
+      features.set(k, { source });
+    }
+
+    for (const img of norm.images || []) {
+      const u = imageUrl(img);
+      if (!u || prev.images.has(u) || images.has(u)) continue;
+      const base = imageBase(u);
+      const moved = [...images.entries()].find(([ou]) => imageBase(ou) === base);
+      images.set(u, moved ? { ...moved[1] } : { source });
+    }
+  }
+
+  /** The `_provenance` map for `norm`, covering only what it still holds. */
+  function build(norm) {
+    const strip = (rec) => {
+      if (!rec) return { source: 'unknown' };
+      const { value, ...rest } = rec;
+      return rest;
+    };
+    const out = {};
+    for (const f of TOP_FIELDS) {
+      if (valueKey(norm[f])) out[f] = strip(fields.get(f));
+    }
+    out.specs = {};
+    for (const k of Object.keys(norm.specs || {})) out.specs[k] = strip(specs.get(k));
+    out.features = (norm.features_raw || []).map(t => strip(features.get(featureKey(t))));
+    out.images = (norm.images || []).map(img => {
+      const url = imageUrl(img);
+      return { url, ...strip(images.get(url)) };
+    });
+    return out;
+  }
+
+  return { field, spec, feature, image, alternative, alternatives, snapshot, attribute, build };
+}
@@ -0,0 +1,198 @@
+// qualityScore.js
+//
+// Per-field confidence for an /ingest record. Each major field gets a 0–1
+// score built from what we know about how it was obtained:
+//
+//  - which extractor produced it (structured data beats DOM heuristics;
+//    values derived by e.g. deriveSpecsFromParagraphs count for less),
+//  - whether independent sources agree (JSON-LD vs DOM vs PDF),
+//  - how much there is (description length, spec/feature counts),
+//  - declared image sizes.
+//
+// `overall` is a weighted mean of the field scores plus the record-level
+// coverage score from mergeRaw's computeQualityScore. Intended for ordering
+// the review queue, not as an absolute measure.
+
+import { computeQualityScore } from './mergeRaw.js';
+
+// Sources that guess rather than read a labelled value.
+const HEURISTIC_SOURCES = new Set([
+  'deriveSpecsFromParagraphs', 'deriveFeaturesFromParagraphs', 'extractAllSpecPairs',
+  'enrichSpecsWithDerived', 'sanitizeIngestPayload', 'inferBrandFromName',
+  'firstGoodParagraph', 'url_slug', 'unknown',
+]);
+const STRUCTURED_SOURCES = new Set(['jsonld', 'microdata', 'rdfa', 'structured']);
+
+const WEIGHTS = {
+  name_raw: 0.2, brand: 0.1, description_raw: 0.2, specs: 0.2, features: 0.1, images: 0.1, coverage: 0.1,
+};
+
+const clamp = (n) => Math.max(0, Math.min(1, n));
+const round = (n) => Math.round(clamp(n) * 100) / 100;
+
+function tokens(s) {
+  return new Set(String(s || '').toLowerCase().split(/[^a-z0-9]+/).filter(t => t.length > 1));
+}
+
+/** Token overlap (Jaccard) of two strings, 0–1. */
+function similarity(a, b) {
+  const A = tokens(a);
+  const B = tokens(b);
+  if (!A.size || !B.size) return 0;
+  let inter = 0;
+  for (const t of A) if (B.has(t)) inter++;
+  return inter / (A.size + B.size - inter);
+}
+
+function normKey(k) {
+  return String(k || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function normVal(v) {
+  return String(v == null ? '' : v).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * How well the chosen value agrees with what other extractors saw for the
+ * same field. Returns { agree, disagree } counts of alternative sources; a
+ * heuristic guess may confirm a value but is too weak to contradict one.
+ */
+function agreement(value, alternatives = []) {
+  let agree = 0;
+  let disagree = 0;
+  for (const alt of alternatives) {
+    if (!alt.value) continue;
+    if (similarity(value, alt.value) >= 0.5) agree++;
+    else if (!HEURISTIC_SOURCES.has(alt.source)) disagree++;
+  }
+  return { agree, disagree };
+}
+
+function sourceFactor(source) {
+  if (STRUCTURED_SOURCES.has(source)) return 1;
+  if (HEURISTIC_SOURCES.has(source)) return 0.5;
+  return 0.8;
+}
+
+function scoreText(value, source, alternatives) {
+  if (!value) return { score: 0, agree: 0, disagree: 0 };
+  const { agree, disagree } = agreement(value, (alternatives || []).filter(a => a.source !== source));
+  let score = 0.6 * sourceFactor(source) + 0.2;
+  if (agree) score += 0.2;
+  else if (disagree) score -= 0.15;
+  return { score, agree, disagree };
+}
+
+function descriptionLengthScore(len) {
+  if (len >= 400) return 1;
+  if (len >= 150) return 0.8;
+  if (len >= 50) return 0.5;
+  return len ? 0.2 : 0;
+}
+
+/**
+ * Compute the `quality` block for a record.
+ *
+ * @param {object} norm The ingest record (after all stages).
+ * @param {object} [options]
+ * @param {object} [options.provenance] The record's `_provenance` map.
+ * @param {object} [options.alternatives] field -> [{ source, value }] seen by
+ *   extractors that did not win (see provenance.js alternatives()).
+ * @param {(url: string) => number} [options.imageSize] Declared pixel size
+ *   of an image URL (0 when unknown).
+ * @param {number} [options.minImgPx] Minimum acceptable image size.
+ * @returns {{ overall: number, fields: object, signals: object }}
+ */
+export function computeIngestQuality(norm = {}, { provenance = {}, alternatives = {}, imageSize = () => 0, minImgPx = 200 } = {}) {
+  const src = (f) => (provenance[f] && provenance[f].source) || 'unknown';
+  const fields = {};
+  const signals = {};
+
+  // Name and brand: source type plus agreement with og:title / <h1> etc.
+  const name = scoreText(norm.name_raw, src('name_raw'), alternatives.name_raw);
+  if (norm.name_raw && norm.brand && normVal(norm.name_raw) === normVal(norm.brand)) name.score = Math.min(name.score, 0.2);
+  fields.name_raw = name.score;
+
+  const brand = scoreText(norm.brand, src('brand'), alternatives.brand);
+  const specBrand = Object.entries(norm.specs || {})
+    .find(([k]) => /^(brand|manufacturer)$/i.test(normKey(k)));
+  if (norm.brand && specBrand) brand.score += similarity(norm.brand, specBrand[1]) >= 0.5 ? 0.15 : -0.15;
+  fields.brand = brand.score;
+
+  signals.source_agreement = {
+    name_raw: { agree: name.agree, disagree: name.disagree },
+    brand: { agree: brand.agree, disagree: brand.disagree },
+  };
+
+  // Description: length dominates, scaled by where it came from.
+  const desc = String(norm.description_raw || '');
+  const d = scoreText(desc, src('description_raw'), alternatives.description_raw);
+  signals.source_agreement.description_raw = { agree: d.agree, disagree: d.disagree };
+  signals.description_length = desc.length;
+  fields.description_raw = desc
+    ? descriptionLengthScore(desc.length) * sourceFactor(src('description_raw')) + (d.agree ? 0.1 : 0)
+    : 0;
+
+  // Specs: count, share derived by heuristics, agreement with PDF key/values.
+  const specKeys = Object.keys(norm.specs || {});
+  const specProv = provenance.specs || {};
+  const heuristicSpecs = specKeys.filter(k => HEURISTIC_SOURCES.has((specProv[k] || {}).source || 'unknown')).length;
+  const pdfSpecs = new Map();
+  for (const kv of Array.isArray(norm.specs_pdf) ? norm.specs_pdf : []) {
+    if (kv && kv.key) pdfSpecs.set(normKey(kv.key), normVal(kv.value));
+  }
+  let pdfAgree = 0;
+  let pdfConflict = 0;
+  for (const k of specKeys) {
+    if ((specProv[k] || {}).source === 'enrichFromManuals') continue;
+    const pv = pdfSpecs.get(normKey(k));
+    if (pv == null) continue;
+    const sv = normVal(norm.specs[k]);
+    if (sv === pv || similarity(sv, pv) >= 0.5) pdfAgree++;
+    else pdfConflict++;
+  }
+  signals.spec_count = specKeys.length;
+  signals.heuristic_specs = heuristicSpecs;
+  signals.pdf_confirmed_specs = pdfAgree;
+  signals.pdf_conflicting_specs = pdfConflict;
+  fields.specs = specKeys.length
+    ? Math.min(1, specKeys.length / 8) * (1 - 0.5 * (heuristicSpecs / specKeys.length))
+      + 0.15 * Math.min(1, pdfAgree / 3) - 0.15 * Math.min(1, pdfConflict / 3)
+    : 0;
+
+  // Features: count, heuristic share, confirmation from manuals.
+  const feats = Array.isArray(norm.features_raw) ? norm.features_raw : [];
+  const featProv = Array.isArray(provenance.features) ? provenance.features : [];
+  const heuristicFeats = featProv.filter(p => HEURISTIC_SOURCES.has((p && p.source) || 'unknown')).length;
+  const pdfFeats = new Set((norm.features_pdf || []).map(normVal));
+  // A feature copied in from the manual does not confirm itself.
+  const pdfFeatAgree = feats.filter((f, i) =>
+    pdfFeats.has(normVal(f)) && (featProv[i] || {}).source !== 'enrichFromManuals').length;
+  signals.feature_count = feats.length;
+  signals.heuristic_features = heuristicFeats;
+  signals.pdf_confirmed_features = pdfFeatAgree;
+  fields.features = feats.length
+    ? Math.min(1, feats.length / 5) * (1 - 0.5 * (heuristicFeats / feats.length))
+      + 0.1 * Math.min(1, pdfFeatAgree / 3)
+    : 0;
+
+  // Images: count plus declared size; unknown sizes are neither good nor bad.
+  const imgs = Array.isArray(norm.images) ? norm.images : [];
+  const sizes = imgs.map(i => imageSize(String((i && i.url) || i || '')) || 0);
+  const sized = sizes.filter(Boolean);
+  const sizeScore = (px) => (px >= Math.max(800, minImgPx) ? 1 : px >= minImgPx ? 0.7 : 0.3);
+  const avgSize = sized.length ? sized.reduce((a, px) => a + sizeScore(px), 0) / sized.length : 0.7;
+  signals.image_count = imgs.length;
+  signals.images_with_declared_size = sized.length;
+  signals.images_below_min_size = sized.filter(px => px < minImgPx).length;
+  fields.images = imgs.length ? (imgs.length >= 3 ? 1 : imgs.length === 2 ? 0.8 : 0.6) * avgSize : 0;
+
+  // Record-level coverage from mergeRaw (features/specs/PDF presence).
+  fields.coverage = computeQualityScore(norm);
+
+  let overall = 0;
+  for (const [f, w] of Object.entries(WEIGHTS)) overall += w * clamp(fields[f] || 0);
+
+  for (const f of Object.keys(fields)) fields[f] = round(fields[f]);
+  return { overall: round(overall), fields, signals };
+}
@@ -14,6 +14,7 @@ import { google } from 'googleapis';
 // project structure is different. This assumes variantExtractor.js is located
 // alongside this file at the project root.
 import { extractVariants } from './variantExtractor.js';
+import { clientAbortSignal } from './deadline.js';
 
 // Helper to get an authenticated Sheets client using a service account.
 async function getSheetsClient() {
@@ -89,7 +90,12 @@ async function getDriveFileContent(fileId) {
   return res.data;
 }
 
-export default function setupQueueRoutes(app) {
+/**
+ * @param {import('express').Express} app
+ * @param {{ ingest: (q: object, opts: { signal?: AbortSignal, reqId?: string }) => Promise<object> }} deps
+ *   `ingest` runs the /ingest pipeline in-process and resolves to its response body
+ */
+export default function setupQueueRoutes(app, { ingest }) {
   // GET /scrape-queue
   app.get('/scrape-queue', async (req, res) => {
     try {
@@ -103,8 +109,9 @@ export default function setupQueueRoutes(app) {
 
   // POST /ingest-and-return
   // Expects a JSON body with at least { rowNumber, url, row }
-  // Calls the local /ingest route to scrape the product page and returns
-  // a simplified result object with description, meta tags, keywords, and audit log.
+  // Runs the ingest pipeline on the product page (in-process, under the
+  // caller's API key, so the call is metered once) and returns a simplified
+  // result object with description, meta tags, keywords, and audit log.
   app.post('/ingest-and-return', async (req, res) => {
     try {
       const row = req.body || {};
@@ -112,15 +119,16 @@ export default function setupQueueRoutes(app) {
       if (!url) {
         return res.status(400).json({ error: 'Missing product URL in request body' });
       }
-      // Build URL to call the local ingest route. Use process.env.PORT or default to 3000.
-      const port = process.env.PORT || 3000;
-      const ingestUrl = `http://localhost:${port}/ingest?url=${encodeURIComponent(url)}&harvest=true&sanitize=true`;
-      const ingResp = await fetch(ingestUrl);
-      if (!ingResp.ok) {
-        const text = await ingResp.text();
-        return res.status(500).json({ error: `Ingest request failed: ${ingResp.status} ${ingResp.statusText} - ${text}` });
+      let data;
+      try {
+        // If our caller gives up, the ingest is cancelled too.
+        data = await ingest(
+          { url: String(url), harvest: 'true', sanitize: 'true' },
+          { signal: clientAbortSignal(res), reqId: req.reqId }
+        );
+      } catch (e) {
+        return res.status(500).json({ error: `Ingest request failed: ${e.status || 500} - ${e.message || e}` });
       }
-      const data = await ingResp.json();
       if (data.error) {
         return res.status(422).json({ error: data.error });
       }
@@ -24,6 +24,7 @@
  *   SHEET_RANGE (optional)  – A1 range to read/write (default: Sheet1!A1:Z1000).
  *   SHEET_NAME  (optional)  – Sheet name (default: Sheet1).
  *   QUEUE_POLL_INTERVAL     – Delay between queue checks in ms (default: 30000).
+ *   INGEST_API_KEY (optional) – Sent as x-api-key when the API requires keys.
  */
 
 import { google } from 'googleapis';
@@ -157,7 +158,10 @@ async function processPendingRow(header, rowData) {
   try {
     const res = await fetch(`${baseUrl}/ingest-and-return`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.INGEST_API_KEY ? { 'x-api-key': process.env.INGEST_API_KEY } : {}),
+      },
       body: JSON.stringify(payload),
     });
     if (res.ok) {
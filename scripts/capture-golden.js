@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// scripts/capture-golden.js
+// Usage:
+//   node scripts/capture-golden.js <name> <url> [--pdf]
+//
+// Captures a live supplier page as a golden fixture (test/fixtures/golden/<name>):
+// the page is ingested in-process with the configured renderers (RENDER_API_URL,
+// local Chromium, direct), and the exact HTML the pipeline ran on is saved as
+// page.html. With --pdf the manuals it parsed are downloaded next to it and
+// listed under `files`. Needs network access; run
+//   npm run test:update-snapshots
+// afterwards and review the new expected.json before committing.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+process.env.NODE_ENV = 'test';
+process.env.INGESTION_STORE = 'memory';
+process.env.INGESTION_KEEP_HTML = 'true';
+
+const [name, url] = process.argv.slice(2).filter(a => !a.startsWith('--'));
+const wantPdf = process.argv.includes('--pdf');
+if (!name || !url || !/^[a-z0-9-]+$/.test(name)) {
+  console.error('Usage: node scripts/capture-golden.js <name: a-z0-9-> <url> [--pdf]');
+  process.exit(1);
+}
+
+const dir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'test', 'fixtures', 'golden', name);
+const MAX_MANUALS = 5;
+
+async function main() {
+  const { default: app } = await import('../server.js');
+  const { getIngestionStore } = await import('../ingestionStore.js');
+  const { httpFetch } = await import('../httpClient.js');
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const res = await fetch(`${base}/ingest?url=${encodeURIComponent(url)}&pdf=${wantPdf}`);
+    const id = res.headers.get('x-ingestion-id');
+    if (!res.ok || !id) throw new Error(`ingest failed: ${res.status} ${(await res.text()).slice(0, 300)}`);
+
+    const store = await getIngestionStore();
+    const rec = await store.get(id);
+    const html = rec && rec.html_sha256 ? await store.getHtml(rec.html_sha256) : null;
+    if (!html) throw new Error('the ingestion kept no HTML');
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'page.html'), html);
+
+    const files = {};
+    const manuals = wantPdf ? (rec.result.pdf_manual_urls || []).slice(0, MAX_MANUALS) : [];
+    for (const [i, manual] of manuals.entries()) {
+      try {
+        const r = await httpFetch(manual, { redirect: 'follow' });
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        const file = `manual-${i + 1}.pdf`;
+        fs.writeFileSync(path.join(dir, file), Buffer.from(await r.arrayBuffer()));
+        files[manual] = file;
+      } catch (e) {
+        console.warn(`skipped manual ${manual}: ${e.message || e}`);
+      }
+    }
+
+    const fixture = {
+      base_url: url,
+      options: { pdf: String(wantPdf) },
+      captured_at: new Date().toISOString(),
+      renderer: rec.diagnostics && rec.diagnostics.renderer,
+      ...(Object.keys(files).length ? { files } : {}),
+    };
+    fs.writeFileSync(path.join(dir, 'fixture.json'), JSON.stringify(fixture, null, 2) + '\n');
+    console.log(`captured ${url} -> ${path.relative(process.cwd(), dir)} (${Buffer.byteLength(html)} bytes, ${Object.keys(files).length} manual(s))`);
+  } finally {
+    server.close();
+  }
+}
+
+main().then(() => process.exit(0), (err) => {
+  console.error('Capture failed:', err && err.message ? err.message : err);
+  process.exit(1);
+});
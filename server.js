@@ -4,15 +4,34 @@ import cors from "cors";
 import * as cheerio from "cheerio";
 import crypto from "node:crypto";
 import { URL } from "node:url";
-import net from "node:net";
 import { parsePdfFromUrl } from './pdfParser.js';
 import { enrichFromManuals } from './pdfEnrichment.js';
 import { harvestTabsFromHtml } from './tabHarvester.js';
 import { createWorker } from 'tesseract.js';
 import { removeNoise } from './mergeRaw.js';
 import setupQueueRoutes from './queueRoutes.js';
+import setupWatchRoutes, { startWatchScheduler } from './watchRoutes.js';
+import setupJobRoutes from './jobRoutes.js';
 import { extractVariants } from './variantExtractor.js';
 import { extractSalesforceSku } from './harvesters/salesforce.js';
+import { createPipeline, parseStageList } from './ingestPipeline.js';
+import { getSiteProfile, listSiteProfiles, reloadSiteProfiles, profileRegex } from './siteProfiles.js';
+import { getTabHarvester } from './harvesters/index.js';
+import { createProvenance } from './provenance.js';
+import { computeIngestQuality } from './qualityScore.js';
+import { httpFetch, httpMode } from './httpClient.js';
+import { diffIngestResults } from './ingestDiff.js';
+import { getIngestionStore, htmlHash, newIngestionId } from './ingestionStore.js';
+import { abortable, cancelledError, clientAbortSignal, createDeadline, sleepUnless, timeoutSignal } from './deadline.js';
+import { cacheGet, cacheKey, cacheSet, cacheStats, fetchCached, isCacheHost, purgeCache } from './fetchCache.js';
+import { decodeHtmlBody, readBodyLimited } from './bodyReader.js';
+import { createPolitenessLog, politenessReport, politenessStats, withPolitenessLog } from './hostPoliteness.js';
+import { browserPoolStats, shutdownBrowserPool } from './browserPool.js';
+import { createIdentityLog, identityReport, listIdentities, withIdentityLog } from './outboundIdentity.js';
+import { blockedUrlReason, ssrfError } from './ssrfGuard.js';
+import setupUsageRoutes, { apiKeyStats, callerHasScope, requireScope, withoutCredentialParams } from './apiKeys.js';
+import { flushUsage, meterUsage, usageKey, withUsage } from './usageMeter.js';
+import { INGEST_FORMATS, ingestSchema, parseIngestFormat, toIngestV2, validateIngestResponse } from './ingestSchema.js';
 import sharp from "sharp";
 
 
@@ -22,22 +41,29 @@ import sharp from "sharp";
 /* ================== Config via env ================== */
 const RENDER_API_URL   = (process.env.RENDER_API_URL || "").trim(); // e.g. https://medx-render-api.onrender.com
 const RENDER_API_TOKEN = (process.env.RENDER_API_TOKEN || "").trim(); // optional if renderer enforces auth
+const RENDERER_POLICY  = (process.env.RENDERER_POLICY || "remote,local,direct").trim(); // renderers tried in order
 const MIN_IMG_PX_ENV   = parseInt(process.env.MIN_IMG_PX || "550", 10);
 const EXCLUDE_PNG_ENV  = String(process.env.EXCLUDE_PNG || "false").toLowerCase() === "true";
 
 // Hardening & performance knobs
 const DEFAULT_RENDER_TIMEOUT_MS = parseInt(process.env.RENDER_TIMEOUT_MS || "45000", 10);
 const MAX_TOTAL_TIMEOUT_MS      = parseInt(process.env.TOTAL_TIMEOUT_MS  || "60000", 10);
+const JOBS_TIMEOUT_MS           = parseInt(process.env.JOBS_TIMEOUT_MS   || "300000", 10); // async jobs (POST /jobs/ingest)
 const MAX_HTML_BYTES            = parseInt(process.env.MAX_HTML_BYTES    || "3000000", 10); // ~3MB safety cap
-const CACHE_TTL_MS              = parseInt(process.env.CACHE_TTL_MS      || "180000", 10); // 3 min
-const CACHE_MAX_ITEMS           = parseInt(process.env.CACHE_MAX_ITEMS   || "100", 10);
-const ENABLE_CACHE              = String(process.env.ENABLE_CACHE        || "true").toLowerCase() === "true";
-const ENABLE_BASIC_SSRF_GUARD   = String(process.env.ENABLE_SSRF_GUARD   || "true").toLowerCase() === "true";
+const MAX_IMAGE_BYTES           = parseInt(process.env.MAX_IMAGE_BYTES   || "15000000", 10); // /image-proxy and OCR images
+const BATCH_MAX_URLS            = parseInt(process.env.BATCH_MAX_URLS    || "500", 10);
+const BATCH_CONCURRENCY         = parseInt(process.env.BATCH_CONCURRENCY || "3", 10);
+const BATCH_MAX_CONCURRENCY     = parseInt(process.env.BATCH_MAX_CONCURRENCY || "8", 10);
+// Browser origins allowed to call the API (comma separated); "*" = any
+const CORS_ORIGINS              = (process.env.CORS_ORIGINS || "*").split(",").map(s => s.trim()).filter(Boolean);
 
 /* ================== App setup ================== */
 const app = express();
-app.use(cors());
-app.use(express.json({ limit: "1mb" }));
+app.use(cors(CORS_ORIGINS.includes("*") ? {} : { origin: CORS_ORIGINS }));
+// POST /ingest/html carries a whole page; allow for JSON escaping overhead.
+app.use("/ingest/html", express.json({ limit: MAX_HTML_BYTES * 2 }));
+// Raw bytes are kept for the render-engine's signature check on POST /ingest.
+app.use(express.json({ limit: "1mb", verify: (req, _res, buf) => { req.rawBody = buf; } }));
 
 
 
@@ -45,7 +71,10 @@ app.use(express.json({ limit: "1mb" }));
 
 import { mountRenderEngine } from "./tools/render-engine/server.js";
 
-mountRenderEngine(app);
+// Signed POST /ingest jobs carry no API key; they run in-process, metered as "render-engine".
+mountRenderEngine(app, {
+  ingest: (q, opts) => withUsage("render-engine", async () => ingestBody(await runIngest(q, opts))),
+});
 
 
 
@@ -53,12 +82,40 @@ mountRenderEngine(app);
 
 
 app.get("/",  (_, res) => res.type("text").send("ingest-api OK"));
+// Liveness only; everything else is for admin keys.
 app.get("/healthz", (_, res) => res.json({ ok: true }));
+app.get("/admin/status", requireScope("admin"), (_, res) => res.json({
+  ok: true,
+  ingest: ingestStats,
+  politeness: politenessStats(),
+  browsers: browserPoolStats(),
+  identities: listIdentities(),
+  api_keys: apiKeyStats(),
+}));
 
 /* ================== Utilities ================== */
 function cid() { return crypto.randomBytes(6).toString("hex"); }
 function now() { return Date.now(); }
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function httpError(status, message){
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Run `fn` over `items` with at most `limit` calls in flight. `shouldStop`
+// lets the caller stop handing out new items (e.g. once the client is gone).
+async function mapWithConcurrency(items, limit, fn, { shouldStop = () => false } = {}) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length && !shouldStop()) {
+      const i = next++;
+      await fn(items[i], i);
+    }
+  };
+  const n = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: n }, worker));
+}
 
 function safeDecodeOnce(s){
   try {
@@ -90,37 +147,6 @@ function safeHostname(u){
   try { return new URL(u).hostname; } catch { return ""; }
 }
 
-function isIp(host){ return net.isIP(host) !== 0; }
-
-function isPrivateIp(ip){
-  if (!isIp(ip)) return false;
-  const v4 = ip.split(".").map(n => parseInt(n,10));
-  if (v4.length === 4){
-    const [a,b] = v4;
-    if (a === 10) return true;
-    if (a === 172 && b >= 16 && b <= 31) return true;
-    if (a === 192 && b === 168) return true;
-    if (a === 127) return true;
-    if (a === 169 && b === 254) return true;
-  }
-  if (ip.includes(":")){
-    const lower = ip.toLowerCase();
-    if (lower.startsWith("fc") || lower.startsWith("fd")) return true;
-    if (lower === "::1") return true;
-    if (lower.startsWith("fe80")) return true;
-  }
-  return false;
-}
-
-function isLikelyDangerousHost(host){
-  const lower = String(host || "").toLowerCase();
-  if (!lower) return true;
-  if (lower === "localhost") return true;
-  if (lower.endsWith(".local") || lower.endsWith(".localhost")) return true;
-  if (isPrivateIp(lower)) return true;
-  return false;
-}
-
 function abs(base, link){
   try {
     if (!link) return link;
@@ -133,16 +159,23 @@ function abs(base, link){
   } catch(e){ return link; }
 }
 
-// Simple OCR helper using tesseract.js
-async function ocrImageFromUrl(imageUrl) {
+// Simple OCR helper using tesseract.js. The image is fetched here (not by
+// tesseract) so it goes through httpFetch and can be recorded/replayed.
+// `signal` abandons the fetch or the recognition (the worker is terminated).
+async function ocrImageFromUrl(imageUrl, { signal = null } = {}) {
+  const r = await httpFetch(imageUrl, { redirect: "follow", signal });
+  if (!r.ok) throw new Error(`image fetch failed: status=${r.status}`);
+  const img = await readBodyLimited(r, MAX_IMAGE_BYTES);
+  const t0 = now();
   const worker = await createWorker();
   try {
     await worker.loadLanguage('eng');
     await worker.initialize('eng');
-    const { data: { text } } = await worker.recognize(imageUrl);
+    const { data: { text } } = await abortable(worker.recognize(img), signal);
     return text;
   } finally {
     await worker.terminate();
+    meterUsage("ocr_seconds", (now() - t0) / 1000);
   }
 }
 
@@ -208,10 +241,6 @@ function isBadImageUrl(u, $el){
   if (/unicosci\.com\/media\/wysiwyg\/footer-image\/payment\.png/.test(url)) return true;
   if (/unicosci\.com\/media\/aw_rbslider\/slides\//.test(url)) return true;
   if (/unicosci\.com\/media\/theme_options\/websites\//.test(url)) return true;
-  if (/compasshealthbrands\.com\/media\/images\/items\/noimage/i.test(url)) return true;
-
-  // McKesson packaging-angle variants
-  if (/imgcdn\.mckesson\.com\/cumulusweb\/images\/item_detail\/\d+_ppkg(?:left|right|back)\d*\.jpg/.test(url)) return true;
 
   // Thumbs / swatches
   if (/\b(thumb|thumbnail|swatch)\b/.test(url)) return true;
@@ -257,14 +286,14 @@ function isSameSiteOrCdn(baseUrl, otherUrl) {
   } catch { return false; }
 }
 
-// --- Compass helpers (ADD-ONLY) ---
-function isCompassHost(u){
-  try { return /(^|\.)compasshealthbrands\.com$/i.test(new URL(u).hostname); }
-  catch { return false; }
-}
-function isCompassPlaceholder(u){
-  try { return isCompassHost(u) && /\/media\/images\/items\/noimage/i.test(u);
-  } catch { return false; }
+// Compiled image deny/prefer patterns of the site profile for `baseUrl`.
+function profileImagePatterns(baseUrl){
+  const profile = getSiteProfile(baseUrl);
+  const rules = (profile && profile.images) || {};
+  return {
+    deny:   (rules.deny   || []).map(profileRegex),
+    prefer: (rules.prefer || []).map(profileRegex),
+  };
 }
 
 function isMainProductNode($, el) {
@@ -398,58 +427,50 @@ function dedupeManualUrls(urls) {
   return out;
 }
 
-/* ================== HTML cache (TTL + naive LRU) ================== */
-const htmlCache = new Map(); // key -> { html, expires, last }
-
-function cacheGet(key){
-  if (!ENABLE_CACHE) return null;
-  const hit = htmlCache.get(key);
-  if (!hit) return null;
-  if (hit.expires < now()){
-    htmlCache.delete(key);
-    return null;
-  }
-  hit.last = now();
-  return hit.html;
-}
-
-function cacheSet(key, html){
-  if (!ENABLE_CACHE) return;
-  if (htmlCache.size >= CACHE_MAX_ITEMS){
-    let oldestK = null, oldestT = Infinity;
-    for (const [k,v] of htmlCache.entries()){
-      if (v.last < oldestT){ oldestT = v.last; oldestK = k; }
-    }
-    if (oldestK) htmlCache.delete(oldestK);
-  }
-  htmlCache.set(key, { html, expires: now() + CACHE_TTL_MS, last: now() });
+/* ================== Document cache ================== */
+// Rendered pages, direct fetches, remote panes and PDFs; see fetchCache.js.
+
+/** A remote tab pane rendered through the renderer (mode=full), cached. */
+async function renderPaneCached(url, renderApiUrl, { headers, signal } = {}) {
+  const key = cacheKey("pane", url, { mode: "full" });
+  const hit = await cacheGet(key);
+  if (hit) return hit.body;
+  const endpoint = `${renderApiUrl.replace(/\/+$/, "")}/render?url=${encodeURIComponent(url)}&mode=full`;
+  meterUsage("renderer_calls");
+  const { html } = await fetchWithRetry(endpoint, { headers, signal, target: url });
+  await cacheSet(key, { url, body: html });
+  return html;
 }
 
 /* ================== Robust fetch with retry/timeout ================== */
-async function fetchWithRetry(endpoint, { headers, attempts=3, timeoutMs=DEFAULT_RENDER_TIMEOUT_MS, initialBackoff=600 }) {
+// `signal` is the request deadline: it cuts the current attempt short and
+// stops further retries. `target` is the page being rendered (host politeness).
+// The body is read up to MAX_HTML_BYTES and decoded in its own charset.
+async function fetchWithRetry(endpoint, { headers, attempts=3, timeoutMs=DEFAULT_RENDER_TIMEOUT_MS, initialBackoff=600, signal=null, target=null }) {
   let lastErr = null, lastStatus = 0, lastBody = "";
   for (let i=1, delay=initialBackoff; i<=attempts; i++, delay = Math.floor(delay * 1.8)) {
-    const ctrl = new AbortController();
-    const to = setTimeout(() => ctrl.abort(new Error("render-timeout")), timeoutMs);
+    if (signal && signal.aborted) throw signal.reason;
+    const to = timeoutSignal(timeoutMs, signal, new Error("render-timeout"));
     try{
-      const r = await fetch(endpoint, { headers, signal: ctrl.signal, redirect: "follow" });
+      const r = await httpFetch(endpoint, { headers, signal: to.signal, redirect: "follow" }, { target });
       lastStatus = r.status;
       if (r.ok){
-        const buf = await r.arrayBuffer();
-        if (buf.byteLength > MAX_HTML_BYTES) throw new Error(`html-too-large(${buf.byteLength})`);
-        return { html: Buffer.from(buf).toString("utf8"), status: r.status };
+        const { html, charset } = decodeHtmlBody(await readBodyLimited(r, MAX_HTML_BYTES), r.headers.get("content-type"));
+        return { html, status: r.status, charset };
       }
       lastBody = (await r.text().catch(()=> "")) || "";
       lastErr = new Error(`render-status-${r.status}`);
     }catch(e){
+      if (signal && signal.aborted) throw signal.reason;
+      if (e && (e.code === "EROBOTS" || e.code === "ESSRF" || e.code === "ETOOLARGE")) throw e;
       lastErr = e;
       lastBody = String((e && e.message) || e);
     }finally{
-      clearTimeout(to);
+      to.clear();
     }
     if (i < attempts){
       const jitter = Math.floor(Math.random()*0.3*delay);
-      await sleep(delay + jitter);
+      await sleepUnless(delay + jitter, signal);
     }
   }
   const err = new Error(`Render API failed: status=${lastStatus} body=${String(lastBody).slice(0,280)}`);
@@ -457,21 +478,20 @@ async function fetchWithRetry(endpoint, { headers, attempts=3, timeoutMs=DEFAULT
   throw err;
 }
 
-async function fetchDirectHtml(url, { headers={}, timeoutMs=DEFAULT_RENDER_TIMEOUT_MS } = {}) {
-  const ctrl = new AbortController();
-  const to = setTimeout(() => ctrl.abort(new Error("direct-timeout")), timeoutMs);
+// Cached, and revalidated with ETag/Last-Modified once stale (fetchCached).
+// Resolves to { html, charset }.
+async function fetchDirectHtml(url, { headers={}, timeoutMs=DEFAULT_RENDER_TIMEOUT_MS, signal=null } = {}) {
+  const to = timeoutSignal(timeoutMs, signal, new Error("direct-timeout"));
   try {
-    const r = await fetch(url, { headers, signal: ctrl.signal, redirect: "follow" });
+    const r = await fetchCached(url, { headers, signal: to.signal, redirect: "follow" }, { kind: "direct", maxBytes: MAX_HTML_BYTES });
     if (!r.ok) {
       const err = new Error(`direct-fetch-status-${r.status}`);
       err.status = r.status;
       throw err;
     }
-    const buf = await r.arrayBuffer();
-    if (buf.byteLength > MAX_HTML_BYTES) throw new Error(`html-too-large(${buf.byteLength})`);
-    return Buffer.from(buf).toString("utf8");
+    return { html: r.text, charset: r.charset };
   } finally {
-    clearTimeout(to);
+    to.clear();
   }
 }
 
@@ -511,677 +531,1261 @@ function splitIntoSentences(t = "") {
  * &markdown=true
  * &debug=true
  * &mainonly=true   <-- ADD-ONLY flag to restrict to main product scope
+ * &stages=render,structured,tabs,pdf   (run only these; required stages always run)
+ * &skip=pdf,browse                     (drop these from the default set)
+ *
+ * The response carries `_provenance`: the extractor behind name_raw, brand,
+ * description_raw, each spec key, each feature and each image (plus the
+ * manual's pdf_url for PDF-sourced values). See provenance.js.
+ * It also carries `quality`: 0–1 confidence per field plus `overall`, for
+ * ordering the review queue. See qualityScore.js.
+ *
+ * &format=v1|v2   v1 (default) is the pipeline record; v2 is the canonical
+ * shape. Both carry `schema_version` and are validated against
+ * json_schemas/ingest-response.<format>.schema.json; violations are listed in
+ * _debug.schema. GET /ingest/schema?format=v2 returns the schema itself.
  */
-app.get("/ingest", async (req, res) => {
-  const started = now();
-  const reqId = cid();
-  const debug = String(req.query.debug || "false").toLowerCase() === "true";
-  const diag = { reqId, warnings: [], timings: {} };
-
+app.get("/ingest", requireScope("ingest"), async (req, res) => {
   try {
-    const rawUrl = String(req.query.url || "");
-    if (!rawUrl) return res.status(400).json({ error: "Missing url param" });
+    return sendIngestResult(res, await runIngest(req.query, { signal: clientAbortSignal(res), reqId: req.reqId }));
+  } catch (e) {
+    return sendIngestError(res, e);
+  }
+});
 
-    const targetUrl = safeDecodeOnce(rawUrl);
-    if (!isHttpUrl(targetUrl)) return res.status(400).json({ error: "Invalid url param" });
+/* ================== Batch ingest ================== */
+/**
+ * POST /ingest/batch
+ * body: { urls: ["https://...", ...], options: { mode, minpx, mainonly, pdf, browse, ... }, concurrency: 3 }
+ * Options are the same as GET /ingest (query params are accepted too; body wins).
+ * Streams NDJSON: one line per URL as it finishes, in completion order:
+ *   { index, url, ok: true,  status: 200, ms, ingestion_id, result }
+ *   { index, url, ok: false, status, ms, error }
+ * followed by a final { done: true, total, succeeded, failed, ms } line.
+ */
+app.post("/ingest/batch", requireScope("ingest"), async (req, res) => {
+  const started = now();
+  const body = req.body || {};
+  const urls = Array.isArray(body.urls) ? body.urls.map(u => String(u || "").trim()) : [];
+  if (!urls.length) return res.status(400).json({ error: "Missing urls array" });
+  if (urls.length > BATCH_MAX_URLS) {
+    return res.status(400).json({ error: `Too many urls (max ${BATCH_MAX_URLS})` });
+  }
 
-    const host = safeHostname(targetUrl);
-    if (ENABLE_BASIC_SSRF_GUARD && isLikelyDangerousHost(host)){
-      return res.status(400).json({ error: "Blocked host" });
-    }
+  const baseOpts = { ...req.query, ...(body.options && typeof body.options === "object" ? body.options : {}) };
+  delete baseOpts.url;
+  const q0 = {};
+  for (const [k, v] of Object.entries(baseOpts)) {
+    if (v != null) q0[k] = String(v);
+  }
 
-    if (!RENDER_API_URL) return res.status(500).json({ error: "RENDER_API_URL not set" });
-
-    const selector = req.query.selector ? `&selector=${encodeURIComponent(String(req.query.selector))}` : "";
-    const wait     = req.query.wait     != null ? `&wait=${encodeURIComponent(String(req.query.wait))}` : "";
-    const timeout  = req.query.timeout  != null ? `&timeout=${encodeURIComponent(String(req.query.timeout))}` : "";
-    // Prefer fully rendered pages by default so that dynamic content (e.g. hooks
-    // injected after initial load) is available to downstream parsers.  If a
-    // client explicitly passes a mode, honour it; otherwise default to full.
-    const mode     = req.query.mode ? `&mode=${encodeURIComponent(String(req.query.mode))}` : "&mode=full";
-
-    const minImgPx   = Number.isFinite(parseInt(String(req.query.minpx),10)) ? parseInt(String(req.query.minpx),10) : MIN_IMG_PX_ENV;
-    const excludePng = typeof req.query.excludepng !== "undefined"
-      ? String(req.query.excludepng).toLowerCase() === "true"
-      : EXCLUDE_PNG_ENV;
-
-    const aggressive = String(req.query.aggressive || "false").toLowerCase() === "true";
-    // Default sanitization to true. If the client explicitly sets sanitize to
-    // "false", disable sanitization; otherwise always sanitize the payload.
-    const doSanitize = String(req.query.sanitize || "true").toLowerCase() === "true";
-    const doHarvest  = req.query.harvest != null
-      ? String(req.query.harvest).toLowerCase() === "true"
-      : true;
-    const wantMd     = String(req.query.markdown  || "false").toLowerCase() === "true";
-    const mainOnly   = String(req.query.mainonly  || "false").toLowerCase() === "true"; // ADD-ONLY
-    // Always attempt to enrich from PDF manuals unless the client explicitly passes
-    // pdf=false. Using "true" as the default ensures manual data is extracted by
-    // default.
-    const wantPdf    = String(req.query.pdf || "true").toLowerCase();
-
-    const endpoint = `${RENDER_API_URL.replace(/\/+$/,"")}/render?url=${encodeURIComponent(targetUrl)}${selector}${wait}${timeout}${mode}`;
+  const requested = parseInt(String(body.concurrency ?? ""), 10);
+  const limit = Math.max(1, Math.min(Number.isFinite(requested) ? requested : BATCH_CONCURRENCY, BATCH_MAX_CONCURRENCY));
 
-    const headers = { "User-Agent": "MedicalExIngest/1.7" };
-    if (RENDER_API_TOKEN) headers["Authorization"] = `Bearer ${RENDER_API_TOKEN}`;
+  let clientGone = false;
+  res.on("close", () => { if (!res.writableEnded) clientGone = true; });
+  const signal = clientAbortSignal(res);
 
-    const cacheKey = `render:${endpoint}`;
-    let html = cacheGet(cacheKey);
-    let fetched = false;
-    if (!html){
-      const t0 = now();
+  res.status(200);
+  res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache");
+  res.flushHeaders();
+  const writeLine = (obj) => { if (!clientGone) res.write(JSON.stringify(obj) + "\n"); };
 
-      let rendered = "";
-      try {
-        const requestTimeoutMs = req.query.timeout ? parseInt(String(req.query.timeout), 10) : DEFAULT_RENDER_TIMEOUT_MS;
-        const r = await fetchWithRetry(endpoint, { headers, timeoutMs: requestTimeoutMs });
-        rendered = r.html;
-      } catch (e) {
-        const status = e && e.status ? Number(e.status) : 0;
-        if (status === 502 || status === 503 || status === 504) {
-          diag.warnings.push(`render-upstream-${status}; falling back to direct fetch`);
-          try {
-            rendered = await fetchDirectHtml(targetUrl, { headers });
-          } catch (e2) {
-            throw e;
-          }
-        } else {
-          throw e;
-        }
-      }
-      diag.timings.renderMs = now() - t0;
-      html = rendered;
-      cacheSet(cacheKey, html);
-      fetched = true;
+  let succeeded = 0, failed = 0;
+  await mapWithConcurrency(urls, limit, async (url, index) => {
+    const t0 = now();
+    try {
+      const run = await runIngest({ ...q0, url }, { signal });
+      succeeded++;
+      writeLine({ index, url, ok: true, status: 200, ms: now() - t0, ingestion_id: run.ingestionId, result: ingestBody(run) });
+    } catch (e) {
+      failed++;
+      const status = ingestErrorStatus(e);
+      if (status >= 500) console.error("INGEST BATCH ERROR:", url, e);
+      writeLine({ index, url, ok: false, status, ms: now() - t0, error: String((e && e.message) || e) });
+    }
+  }, { shouldStop: () => clientGone });
 
-    } else {
-      diag.timings.cacheHit = true;
+  writeLine({ done: true, total: urls.length, succeeded, failed, ms: now() - started });
+  if (!clientGone) res.end();
+});
+
+/**
+ * POST /ingest/html
+ * body: { html: "<html>...", base_url: "https://...", options: { pdf, harvest, sanitize, debug, ... } }
+ * Runs the same pipeline as GET /ingest on supplied markup (supplier exports,
+ * pages saved behind a login, earlier snapshots) without calling the
+ * renderer. base_url resolves relative links and picks the site profile.
+ */
+app.post("/ingest/html", requireScope("ingest"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const html = typeof body.html === "string" ? body.html : "";
+    if (!html.trim()) throw httpError(400, "Missing html");
+    if (Buffer.byteLength(html, "utf8") > MAX_HTML_BYTES) {
+      throw httpError(413, `html exceeds MAX_HTML_BYTES (${MAX_HTML_BYTES})`);
+    }
+    const opts = body.options && typeof body.options === "object" ? body.options : {};
+    const q = {};
+    for (const [k, v] of Object.entries({ ...req.query, ...opts })) {
+      if (v != null) q[k] = String(v);
     }
+    q.url = String(body.base_url || "").trim();
+    if (!q.url) throw httpError(400, "Missing base_url");
 
-    const t1 = now();
-    let norm = extractNormalized(targetUrl, html, { minImgPx, excludePng, aggressive, diag, mainOnly }); // ADD-ONLY pass mainOnly
-    
-    // -- BEGIN variant + family augmentation (ADD-ONLY) --
-    try {
-      // derive slug parts specifically for BD-style pages like:
-      // https://www.bd.com/.../product-page.305198  → slug_full = "305198", family_id = "" (or stripped)
-      // or product-page.abc-12345 → slug_root = "abc-"
-      const match = targetUrl.match(/product-page\.([a-z0-9-]+)/i);
-      if (match && match[1]) {
-        const slugFull = match[1];
-        const slugRoot = slugFull.replace(/[\d-]+$/, ''); // strip trailing digits/hyphens
-        if (!norm.slug_full) norm.slug_full = slugFull;
-        if (slugRoot && !norm.family_id) norm.family_id = slugRoot;
-      }
-    
-      // optional: extract variants if your extractor returns any
-      if (typeof extractVariants === 'function') {
-        const variants = await extractVariants(html, targetUrl);
-        if (Array.isArray(variants) && variants.length && !norm.variant_matrix) {
-          norm.variant_matrix = variants; // e.g. [{option:"Size", values:["10 mL","20 mL"]}, ...]
-        }
-      }
-    } catch (e) {
-      // never block ingestion; just log a friendly warning payload-side
-      (diag.warnings ||= []).push('family/variants: ' + (e?.message || String(e)));
+    return sendIngestResult(res, await runIngest(q, { html, signal: clientAbortSignal(res), reqId: req.reqId }));
+  } catch (e) {
+    return sendIngestError(res, e);
+  }
+});
+
+/**
+ * POST /ingest/diff
+ * body: { previous: <earlier /ingest result>, url?: "https://...", options?: { ... } }
+ *   or: { ingestion_id: "...", url?, options? }   (a stored ingestion, see GET /ingestions)
+ * Re-ingests `url` (default: the previous result's source) and answers
+ *   { url, changed, diff, ingestion_id, current }
+ * where diff lists added/removed/changed specs, features, images, manuals
+ * and description sentences (see ingestDiff.js) and `current` is the new
+ * result in the requested format.
+ */
+app.post("/ingest/diff", requireScope("ingest"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    let previous = body.previous;
+    if (previous == null && body.ingestion_id != null) {
+      const stored = await ownedIngestion(req, await getIngestionStore(), String(body.ingestion_id));
+      if (!stored.result) throw httpError(409, "That ingestion has no result to compare against");
+      previous = stored.result;
     }
-    // -- END variant + family augmentation (ADD-ONLY) --
- 
-    diag.timings.extractMs = now() - t1;
+    if (!previous || typeof previous !== "object" || Array.isArray(previous)) throw httpError(400, "Missing previous result or ingestion_id");
 
-    if (!norm.name_raw && (!norm.description_raw || norm.description_raw.length < 10)) {
-      return res.status(422).json({ error: "No extractable product data (JSON-LD/DOM empty)." });
+    const opts = body.options && typeof body.options === "object" ? body.options : {};
+    const q = {};
+    for (const [k, v] of Object.entries({ ...req.query, ...opts })) {
+      if (v != null) q[k] = String(v);
     }
+    q.url = String(body.url || previous.source || previous.source_url || "").trim();
+    if (!q.url) throw httpError(400, "Missing url (and previous result has no source)");
 
-    if (doHarvest) {
-      const t2 = now();
-      norm = await augmentFromTabs(norm, targetUrl, html, { minImgPx, excludePng, mainOnly }); // ADD-ONLY propagate
-      diag.timings.harvestMs = now() - t2;
+    const result = await runIngest(q, { signal: clientAbortSignal(res), reqId: req.reqId });
+    const current = ingestBody(result);
+    const diff = diffIngestResults(previous, result.norm || {});
+    return res.json({ url: q.url, changed: diff.changed, diff, ingestion_id: result.ingestionId, current });
+  } catch (e) {
+    return sendIngestError(res, e);
+  }
+});
+
+/**
+ * GET /ingestions[?url=<https://...>][&limit=50][&before=<id>]
+ * Ingestion history, newest first; `url` narrows it to one page. Page with
+ * `before=<next_before>`.
+ * GET /ingestions/:id           the stored record (options, html_sha256,
+ *                               result, diagnostics, timings)
+ * POST /ingestions/:id/reprocess  re-run the current pipeline on the stored
+ *                               HTML with the original options (query
+ *                               params override); saved as a new ingestion
+ * Each record belongs to the API key that made it (`owner`); other keys
+ * see it only with the admin scope.
+ */
+const ingestionOwnerFilter = (req) => (callerHasScope(req, "admin") ? undefined : req.apiKey.name);
+
+async function ownedIngestion(req, store, id = req.params.id) {
+  const rec = await store.get(id);
+  const owner = ingestionOwnerFilter(req);
+  if (!rec || (owner && rec.owner !== owner)) throw httpError(404, "Ingestion not found");
+  return rec;
+}
+
+app.get("/ingestions", requireScope("ingest"), async (req, res) => {
+  try {
+    const store = await getIngestionStore();
+    const requested = parseInt(String(req.query.limit || ""), 10);
+    const limit = Math.max(1, Math.min(Number.isFinite(requested) ? requested : 50, 500));
+    const url = req.query.url ? safeDecodeOnce(String(req.query.url)) : undefined;
+    const list = await store.list({
+      url,
+      owner: ingestionOwnerFilter(req),
+      limit,
+      before: req.query.before ? String(req.query.before) : undefined,
+    });
+    res.json({
+      store: store.kind,
+      count: list.length,
+      ingestions: list,
+      next_before: list.length === limit ? list[list.length - 1].id : null,
+    });
+  } catch (e) {
+    return sendIngestError(res, e);
+  }
+});
+
+app.get("/ingestions/:id", requireScope("ingest"), async (req, res) => {
+  try {
+    res.json(await ownedIngestion(req, await getIngestionStore()));
+  } catch (e) {
+    return sendIngestError(res, e);
+  }
+});
+
+app.post("/ingestions/:id/reprocess", requireScope("ingest"), async (req, res) => {
+  try {
+    const store = await getIngestionStore();
+    const rec = await ownedIngestion(req, store);
+    const html = rec.html_sha256 ? await store.getHtml(rec.html_sha256) : null;
+    if (!html) throw httpError(409, "The HTML for this ingestion was not kept");
+    const q = { ...rec.options };
+    for (const [k, v] of Object.entries(req.query)) {
+      if (v != null) q[k] = String(v);
     }
+    q.url = rec.url;
+    return sendIngestResult(res, await runIngest(q, { html, reprocessedFrom: rec.id, signal: clientAbortSignal(res), reqId: req.reqId }));
+  } catch (e) {
+    return sendIngestError(res, e);
+  }
+});
+
+/* ================== Cache admin ================== */
+// GET /cache/stats                 backend, TTLs, entry count, hit/miss counters
+// DELETE /cache?url=<https://...>  drop every cached render/pane/PDF/direct entry for a page
+// DELETE /cache?host=<example.com> ... or for a whole host
+app.get("/cache/stats", requireScope("admin"), async (_, res) => {
+  res.json(await cacheStats());
+});
+
+app.delete("/cache", requireScope("admin"), async (req, res) => {
+  try {
+    const url = req.query.url ? safeDecodeOnce(String(req.query.url)) : "";
+    const host = req.query.host ? String(req.query.host).trim().toLowerCase() : "";
+    if (!url && !host) throw httpError(400, "Pass url or host");
+    if (url && !isHttpUrl(url)) throw httpError(400, "Invalid url param");
+    if (host && !isCacheHost(host)) throw httpError(400, "Invalid host param (expected a hostname like example.com)");
+    const purged = await purgeCache(url ? { url } : { host });
+    res.json({ purged, ...(url ? { url } : { host }) });
+  } catch (e) {
+    return sendIngestError(res, e);
+  }
+});
+
+// GET /ingest/schema?format=v1|v2  (JSON Schema of the /ingest response)
+app.get("/ingest/schema", (req, res) => {
+  const format = parseIngestFormat(req.query.format);
+  if (!format) return res.status(400).json({ error: `Unknown format (expected ${Object.keys(INGEST_FORMATS).join("|")})` });
+  res.json(ingestSchema(format));
+});
+
+// GET /ingest/stages  (registered stages in execution order)
+app.get("/ingest/stages", (_, res) => res.json({ stages: ingestPipeline.list() }));
+
+/**
+ * GET /site-profiles
+ * Lists the per-domain site profiles (site-profiles/*.json) and any files
+ * that failed to load. Pass ?reload=true to re-read the directory first, so
+ * profile edits take effect without a restart.
+ */
+app.get("/site-profiles", requireScope("admin"), (req, res) => {
+  if (String(req.query.reload || "").toLowerCase() === "true") reloadSiteProfiles();
+  res.json(listSiteProfiles());
+});
+
+/**
+ * Response body for a runIngest() result: the record in the requested
+ * format, validated against its schema. With debug the validation result is
+ * reported under _debug.schema; it never fails the request.
+ */
+function ingestBody({ norm, diag, fetched, debug, format }) {
+  const body = format === "v2" ? toIngestV2(norm || {}) : norm;
+  const check = validateIngestResponse(body, format);
+  if (!debug) return body;
+  const schema = { format, version: INGEST_FORMATS[format], valid: check.valid, errors: check.errors };
+  return { ...body, _debug: { ...diag, fetched, schema } };
+}
+
+/** Send a runIngest() result; the history id goes in X-Ingestion-Id. */
+function sendIngestResult(res, result) {
+  if (result.ingestionId) res.set("X-Ingestion-Id", result.ingestionId);
+  return res.json(ingestBody(result));
+}
+
+function ingestErrorStatus(e){
+  const status = e && e.status && Number.isFinite(+e.status) ? Number(e.status) : 500;
+  return status >= 400 && status <= 599 ? status : 500;
+}
 
-    // === MEDX ADD: optionally enrich from PDF manuals ===
-    if (wantPdf === "true" || wantPdf === "1" || wantPdf === "yes") {
-      // Preserve the existing site-derived specs before enriching from PDFs. We do this
-      // so that specifications extracted from manuals are not merged back into
-      // the main specs object; instead they will remain under `pdf_kv` in the
-      // returned object. This ensures that tab-harvested specs stay separate.
-      const siteSpecsSnapshot = { ...(norm.specs || {}) };
+function sendIngestError(res, e){
+  const status = ingestErrorStatus(e);
+  if (status >= 500) console.error("INGEST ERROR:", e);
+  return res.status(status).json({ error: String((e && e.message) || e) });
+}
+
+/**
+ * Run the full ingest pipeline (render -> extract -> tabs -> PDFs -> sanitize
+ * -> sections) for one URL. `q` takes the same string options as the GET
+ * /ingest query. Resolves to { norm, diag, fetched, debug, format }; failures throw
+ * an Error carrying the HTTP `status` the caller should answer with.
+ *
+ * Pass `{ html }` to ingest supplied markup instead: the render stage uses it
+ * as-is and no renderer call is made (tab panes are not hydrated through the
+ * renderer either), so RENDER_API_URL is not required.
+ *
+ * Every run that gets as far as the pipeline is saved to the ingestion
+ * history (see ingestionStore.js); the id comes back as `ingestionId`.
+ * `reprocessedFrom` links a re-run of stored HTML to the original.
+ * `onProgress({ stage, progress })` is called as each stage starts and
+ * finishes (progress 0–100 by position in the stage list).
+ *
+ * The run is bounded by `deadlineMs` (default TOTAL_TIMEOUT_MS; see
+ * deadline.js). Optional stages the deadline cuts short are dropped and
+ * listed in `incomplete_stages`, with `partial: true`; running out during
+ * render/structured is a 504.
+ * `signal` (see clientAbortSignal) cancels the whole run instead: in-flight
+ * fetches, PDF parsing, OCR and Playwright are abandoned and it throws 499.
+ * `reqId` (the request's x-request-id, see request-logger.js) becomes
+ * _debug.reqId; a fresh one is made otherwise.
+ */
+async function runIngest(q = {}, { html: suppliedHtml = null, reprocessedFrom = null, onProgress = null, signal = null, reqId: callerReqId = null, deadlineMs = MAX_TOTAL_TIMEOUT_MS } = {}) {
+  const started = now();
+  const reqId = callerReqId || cid();
+  const debug = String(q.debug || "false").toLowerCase() === "true";
+  const diag = { reqId, warnings: [], timings: {}, stages: [] };
+  const format = parseIngestFormat(q.format);
+  if (!format) throw httpError(400, `Unknown format "${q.format}" (expected ${Object.keys(INGEST_FORMATS).join("|")})`);
+
+  const rawUrl = String(q.url || "");
+  if (!rawUrl) throw httpError(400, "Missing url param");
+
+  const targetUrl = safeDecodeOnce(rawUrl);
+  if (!isHttpUrl(targetUrl)) throw httpError(400, "Invalid url param");
+
+  // Cheap check up front; DNS and redirects are checked on every fetch (ssrfGuard.js).
+  const blocked = blockedUrlReason(targetUrl);
+  if (blocked) throw ssrfError(targetUrl, blocked);
+
+  const useRenderer = suppliedHtml == null;
+
+  const selector = q.selector ? `&selector=${encodeURIComponent(String(q.selector))}` : "";
+  const wait     = q.wait     != null ? `&wait=${encodeURIComponent(String(q.wait))}` : "";
+  const timeout  = q.timeout  != null ? `&timeout=${encodeURIComponent(String(q.timeout))}` : "";
+  // Prefer fully rendered pages by default so that dynamic content (e.g. hooks
+  // injected after initial load) is available to downstream parsers.  If a
+  // client explicitly passes a mode, honour it; otherwise default to full.
+  const mode     = q.mode ? `&mode=${encodeURIComponent(String(q.mode))}` : "&mode=full";
+
+  const minImgPx   = Number.isFinite(parseInt(String(q.minpx),10)) ? parseInt(String(q.minpx),10) : MIN_IMG_PX_ENV;
+  const excludePng = typeof q.excludepng !== "undefined"
+    ? String(q.excludepng).toLowerCase() === "true"
+    : EXCLUDE_PNG_ENV;
+
+  const aggressive = String(q.aggressive || "false").toLowerCase() === "true";
+  // Default sanitization to true. If the client explicitly sets sanitize to
+  // "false", disable sanitization; otherwise always sanitize the payload.
+  const doSanitize = String(q.sanitize || "true").toLowerCase() === "true";
+  const doHarvest  = q.harvest != null
+    ? String(q.harvest).toLowerCase() === "true"
+    : true;
+  const wantMd     = String(q.markdown  || "false").toLowerCase() === "true";
+  const mainOnly   = String(q.mainonly  || "false").toLowerCase() === "true"; // ADD-ONLY
+  // Always attempt to enrich from PDF manuals unless the client explicitly passes
+  // pdf=false. Using "true" as the default ensures manual data is extracted by
+  // default.
+  const wantPdf    = ["true", "1", "yes"].includes(String(q.pdf || "true").toLowerCase());
+  const doBrowse   = String(q.browse || '').toLowerCase() === 'true';
+
+  const endpoint = useRenderer && RENDER_API_URL ? `${RENDER_API_URL.replace(/\/+$/,"")}/render?url=${encodeURIComponent(targetUrl)}${selector}${wait}${timeout}${mode}` : null;
+
+  // `headers` are for the render API only; the page's own host never gets the token.
+  const directHeaders = { "User-Agent": "MedicalExIngest/1.7" };
+  const headers = { ...directHeaders };
+  if (RENDER_API_TOKEN) headers["Authorization"] = `Bearer ${RENDER_API_TOKEN}`;
+
+  const profile = getSiteProfile(targetUrl);
+  if (profile) diag.profile = { name: profile.name, file: profile.file };
+  let renderers = [];
+  if (useRenderer) {
+    try { renderers = renderOrder(q.renderer, profile); }
+    catch (e) { throw httpError(400, e.message); }
+    if (!renderers.length) throw httpError(500, "No renderer available (RENDER_API_URL not set)");
+  }
+  const http = httpMode();
+  if (http.mode !== "live") diag.http = http;
+
+  const provenance = createProvenance();
+  const deadline = createDeadline(deadlineMs);
+  const runSignal = signal ? AbortSignal.any([deadline.signal, signal]) : deadline.signal;
+  const ctx = {
+    q, targetUrl, endpoint, headers, directHeaders, diag, profile, provenance, suppliedHtml,
+    deadline, signal: runSignal, renderers,
+    renderApiUrl: useRenderer ? RENDER_API_URL : "",
+    opts: { minImgPx, excludePng, aggressive, doSanitize, doHarvest, wantMd, mainOnly, wantPdf, doBrowse },
+    html: "",
+    fetched: false,
+    norm: null,
+  };
+  const stageNames = ingestPipeline.names();
+  const report = (stage, done) => {
+    if (!onProgress) return;
+    const i = stageNames.indexOf(stage.name) + (done ? 1 : 0);
+    onProgress({ stage: stage.name, progress: Math.round((i / stageNames.length) * 100) });
+  };
+  // Requests this run had to wait for or was refused by robots.txt, and the
+  // outbound identity each request used.
+  const politeness = createPolitenessLog();
+  const identities = createIdentityLog();
+  const noteOutbound = () => {
+    const waits = politenessReport(politeness);
+    if (waits) diag.politeness = waits;
+    const used = identityReport(identities);
+    if (used) diag.identities = used;
+  };
+  try {
+    await withIdentityLog(identities, () => withPolitenessLog(politeness, () => ingestPipeline.run(ctx, {
+      only: parseStageList(q.stages),
+      skip: parseStageList(q.skip),
+      enable: parseStageList(profile && profile.stages.enable),
+      disable: parseStageList(profile && profile.stages.skip),
+      signal: runSignal,
+      hooks: {
+        // Credit whatever a stage adds or changes (and did not record itself)
+        // to that stage's extractor. A stage cut short by the deadline
+        // contributes nothing: the record goes back to how it was before.
+        before: (stage, c) => {
+          report(stage, false);
+          c.provenanceSnapshot = provenance.snapshot(c.norm);
+          c.normBefore = stage.io ? structuredClone(c.norm) : null;
+        },
+        after: (stage, c, rec) => {
+          if (rec.status === "timeout" || rec.status === "cancelled") c.norm = c.normBefore;
+          else provenance.attribute(c.provenanceSnapshot, c.norm, stage.source || stage.name);
+          report(stage, true);
+        },
+      },
+    })));
+    if (signal && signal.aborted) throw signal.reason;
+  } catch (e) {
+    deadline.clear();
+    noteOutbound();
+    const err = signal && signal.aborted ? noteCancelled(ctx, started) : e;
+    await recordIngestion(ctx, { started, error: err, reprocessedFrom });
+    throw err;
+  }
+  deadline.clear();
+  noteOutbound();
+  delete ctx.provenanceSnapshot;
+  delete ctx.normBefore;
+  const incomplete = diag.stages.filter(s => s.status === "timeout").map(s => s.name);
+  if (incomplete.length && ctx.norm) {
+    diag.warnings.push(`total-timeout ${deadlineMs}ms; incomplete: ${incomplete.join(",")}`);
+    ctx.norm.partial = true;
+    ctx.norm.incomplete_stages = incomplete;
+  }
+  if (ctx.norm) {
+    ctx.norm = { schema_version: INGEST_FORMATS.v1, ...ctx.norm };
+    ctx.norm._provenance = provenance.build(ctx.norm);
+    ctx.norm.quality = computeIngestQuality(ctx.norm, {
+      provenance: ctx.norm._provenance,
+      alternatives: provenance.alternatives(),
+      imageSize: declaredSizeForDedup,
+      minImgPx,
+    });
+  }
+
+  const ingestionId = await recordIngestion(ctx, { started, reprocessedFrom });
+  return { norm: ctx.norm, diag, fetched: ctx.fetched, debug, format, ingestionId };
+}
+
+const ingestStats = { cancelled: 0 };
+
+/** Count a run abandoned by its client and note where it stopped. */
+function noteCancelled(ctx, started) {
+  ingestStats.cancelled++;
+  const stopped = ctx.diag.stages.find(s => s.status === "cancelled");
+  ctx.diag.cancelled = { after_ms: now() - started, stage: stopped ? stopped.name : null };
+  return cancelledError();
+}
+
+/**
+ * Save one run to the ingestion history. Never throws: a storage failure is
+ * reported as a warning and the ingest still succeeds. Resolves to the id.
+ */
+async function recordIngestion(ctx, { started, error = null, reprocessedFrom = null }) {
+  const { q, targetUrl, diag } = ctx;
+  try {
+    const store = await getIngestionStore();
+    const html = ctx.html || ctx.suppliedHtml || "";
+    const id = newIngestionId(started);
+    await store.save({
+      id,
+      url: targetUrl,
+      created_at: new Date(started).toISOString(),
+      status: error ? (error.code === "ECANCELLED" ? "cancelled" : "error") : "ok",
+      http_status: error ? ingestErrorStatus(error) : 200,
+      error: error ? String((error && error.message) || error) : null,
+      options: withoutCredentialParams(q),
+      owner: usageKey(),
+      source: ctx.suppliedHtml != null ? "supplied-html" : "renderer",
+      html_sha256: html ? htmlHash(html) : null,
+      html_bytes: Buffer.byteLength(html, "utf8"),
+      html: html || null,
+      result: ctx.norm,
+      diagnostics: diag,
+      timings: {
+        total_ms: now() - started,
+        stages: (diag.stages || []).map(s => ({ name: s.name, status: s.status, ms: s.ms })),
+      },
+      reprocessed_from: reprocessedFrom,
+    });
+    diag.ingestion_id = id;
+    return id;
+  } catch (e) {
+    diag.warnings.push(`ingestion history: ${String((e && e.message) || e)}`);
+    return null;
+  }
+}
+
+/* ================== Renderer policy ================== */
+// How the render stage gets a page's HTML, tried in order until one works:
+//   remote  the render API (RENDER_API_URL); skipped when it is not set
+//   local   Chromium in this process (browserCrawler.js renderPage)
+//   direct  plain GET of the URL, no JavaScript
+// RENDERER_POLICY sets the default order, a site profile's "renderer" the
+// order for its hosts, and ?renderer= the order for one request. A single
+// name ("local") goes first and keeps the other tiers as fallbacks; a list
+// ("local,direct") is used exactly.
+const RENDERERS = ["remote", "local", "direct"];
+
+function parseRendererList(v) {
+  const list = (Array.isArray(v) ? v : String(v || "").split(",")).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+  const bad = list.filter(r => !RENDERERS.includes(r));
+  if (bad.length) throw new Error(`Unknown renderer "${bad[0]}" (expected ${RENDERERS.join("|")})`);
+  return [...new Set(list)];
+}
+
+function renderOrder(requested, profile) {
+  let order = parseRendererList(RENDERER_POLICY);
+  for (const v of [profile && profile.renderer, requested]) {
+    const list = parseRendererList(v);
+    if (list.length === 1) order = [list[0], ...order.filter(r => r !== list[0])];
+    else if (list.length) order = list;
+  }
+  return order.filter(r => r !== "remote" || RENDER_API_URL);
+}
+
+const renderWith = {
+  remote: async (ctx, timeoutMs) => {
+    meterUsage("renderer_calls");
+    const r = await fetchWithRetry(ctx.endpoint, { headers: ctx.headers, timeoutMs, signal: ctx.signal, target: ctx.targetUrl });
+    ctx.diag.charset = r.charset;
+    return r.html;
+  },
+  local: async (ctx, timeoutMs) => {
+    const { renderPage } = await import('./browserCrawler.js');
+    const { q } = ctx;
+    meterUsage("renderer_calls");
+    const r = await renderPage(ctx.targetUrl, { mode: q.mode || "full", selector: q.selector, wait: q.wait, timeoutMs, signal: ctx.signal });
+    return r.html;
+  },
+  direct: async (ctx) => {
+    const r = await fetchDirectHtml(ctx.targetUrl, { headers: ctx.directHeaders, signal: ctx.signal });
+    ctx.diag.charset = r.charset;
+    return r.html;
+  },
+};
+
+/* ================== Ingest stages ================== */
+// Each stage reads and updates the shared ctx built by runIngest
+// ({ q, targetUrl, endpoint, headers, directHeaders, profile, provenance,
+// suppliedHtml, renderApiUrl, renderers, opts, html, fetched, norm, diag }).
+// Registration order below is execution order. Callers pick stages with
+// ?stages=render,structured,tabs,pdf or drop some with ?skip=pdf,browse;
+// _debug.stages reports timing, warnings and errors for each one.
+const ingestPipeline = createPipeline();
+
+async function stageRender(ctx) {
+  const { q, targetUrl, diag, signal } = ctx;
+  if (ctx.suppliedHtml != null) {
+    diag.source = "supplied-html";
+    ctx.html = ctx.suppliedHtml;
+    return;
+  }
+  const key = cacheKey("render", targetUrl, { mode: q.mode || "full", wait: q.wait, selector: q.selector });
+  const hit = await cacheGet(key);
+  let html = hit ? hit.body : "";
+  let fetched = false;
+  if (!html){
+    const t0 = now();
+
+    const requestTimeoutMs = q.timeout ? parseInt(String(q.timeout), 10) : DEFAULT_RENDER_TIMEOUT_MS;
+    let firstErr = null;
+    for (const [i, renderer] of ctx.renderers.entries()) {
       try {
-        const isSimport = /(^|\.)simport\.com$/i.test(safeHostname(targetUrl));
-        const manualLimit = isSimport ? 1 : 5;
-        
-        norm = await enrichFromManuals(norm, {
-          maxManuals: manualLimit,   
-          maxCharsText: 49750        
-        });
-        
+        html = await renderWith[renderer](ctx, requestTimeoutMs);
+        diag.renderer = renderer;
+        break;
       } catch (e) {
-        const msg = e && e.message ? e.message : String(e);
-        diag.warnings.push(`pdf-enrich: ${msg}`);
-      }
-      // Restore original site specs to avoid merging PDF key-values into specs.
-      norm.specs = siteSpecsSnapshot;
-      // Filter the manual text and key-values to English only. Define a local
-      // heuristic here since the main isEnglishLineFn is declared later in the
-      // handler and cannot be referenced before initialization. A line is
-      // considered English if at least 70% of its characters are ASCII.
-      const isEng = (line) => {
-        const total = line.length;
-        if (total === 0) return false;
-        // Reject lines with accented characters (Spanish/French etc.)
-        if (/[áéíóúñàèùâêîôûäëïöüçœ’]/i.test(line)) return false;
-        let ascii = 0;
-        for (let i = 0; i < line.length; i++) {
-          const c = line.charCodeAt(i);
-          if (c >= 0x20 && c <= 0x7e) ascii++;
-        }
-        return ascii / total >= 0.7;
-      };
-      if (typeof norm.pdf_text === 'string') {
-        const pdfLines = norm.pdf_text.split('\n');
-        const filteredPdfLines = pdfLines
-          .map((l) => l.trim())
-          .filter((l) => isEng(l));
-        norm.pdf_text = filteredPdfLines.join('\n');
-      }
-      if (Array.isArray(norm.pdf_kv)) {
-        const filteredKv = [];
-        for (const kv of norm.pdf_kv) {
-          const newKv = {};
-          for (const [k, v] of Object.entries(kv)) {
-            const keyOk = typeof k === 'string' ? isEng(k) : true;
-            const valOk = typeof v === 'string' ? isEng(v) : true;
-            if (keyOk && valOk) newKv[k] = v;
-          }
-          if (Object.keys(newKv).length) filteredKv.push(newKv);
-        }
-        norm.pdf_kv = filteredKv;
-      }
-      // Extract English bullet features from the PDF text. We look for a FEATURES
-      // section and capture lines until a SPECIFICATIONS section or the end of
-      // the features list. Only keep English lines using the isEng heuristic.
-      if (typeof norm.pdf_text === 'string') {
-        const lines = norm.pdf_text.split('\n');
-        let inFeatures = false;
-        const pdfFeatures = [];
-        for (const raw of lines) {
-          const line = raw.trim();
-          if (/^features$/i.test(line)) {
-            inFeatures = true;
-            continue;
-          }
-          if (/^specifications$/i.test(line)) {
-            if (inFeatures) break;
-          }
-          if (inFeatures) {
-            // Remove leading bullets or hyphens
-            let cleaned = line.replace(/^[-•\s]+/, '').trim();
-            if (!cleaned) continue;
-            if (isEng(cleaned)) {
-              pdfFeatures.push(cleaned);
-            }
-          }
-        }
-        if (pdfFeatures.length) {
-          const seen = new Set((norm.features_raw || []).map(v => String(v).toLowerCase()));
-          for (const f of pdfFeatures) {
-            const key = f.toLowerCase();
-            if (!seen.has(key)) {
-              (norm.features_raw ||= []).push(f);
-              seen.add(key);
-            }
-          }
-        }
+        if (signal.aborted || (e && (e.code === "EROBOTS" || e.code === "ESSRF"))) throw e;
+        firstErr = firstErr || e;
+        const next = ctx.renderers[i + 1];
+        diag.warnings.push(`render-${renderer} failed: ${String((e && e.message) || e).slice(0, 200)}${next ? `; falling back to ${next}` : ""}`);
       }
     }
+    if (!diag.renderer) throw firstErr;
+    // Not cached as a render: fetchDirectHtml keeps its own (revalidating) entry.
+    if (diag.renderer !== "direct") await cacheSet(key, { url: targetUrl, body: html });
+    diag.timings.renderMs = now() - t0;
+    fetched = true;
+
+  } else {
+    diag.timings.cacheHit = true;
+  }
+  ctx.html = html;
+  ctx.fetched = fetched;
+}
 
-    // === Compass-only additive harvest (keeps your existing data intact) ===
-    if (isCompass(targetUrl)) {
-      const $ = cheerio.load(html);
+async function stageStructured(ctx) {
+  const { targetUrl, html, diag } = ctx;
+  const { minImgPx, excludePng, aggressive, mainOnly } = ctx.opts;
+  const t1 = now();
+  const norm = extractNormalized(targetUrl, html, { minImgPx, excludePng, aggressive, diag, mainOnly, provenance: ctx.provenance }); // ADD-ONLY pass mainOnly
+  diag.timings.extractMs = now() - t1;
+  ctx.norm = norm;
 
-      // (1) Overview: full paragraphs + bullets (merged once)
-      try {
-        const compassOverview = harvestCompassOverview($);
-        if (compassOverview) {
-          const seen = new Set(String(norm.description_raw || "")
-            .split(/\n+/).map(s=>s.trim().toLowerCase()).filter(Boolean));
-
-          const merged = [];
-          for (const l of String(norm.description_raw || "").split(/\n+/).map(s=>s.trim()).filter(Boolean)) merged.push(l);
-          for (const l of String(compassOverview).split(/\n+/).map(s=>s.trim()).filter(Boolean)) {
-            const k = l.toLowerCase();
-            if (!seen.has(k)) { merged.push(l); seen.add(k); }
-          }
-          norm.description_raw = merged.join("\n");
-        }
-      } catch(e){
-        const msg = e && e.message ? e.message : String(e);
-        diag.warnings.push(`compass-overview: ${msg}`);
-      }
+  if (!norm.name_raw && (!norm.description_raw || norm.description_raw.length < 10)) {
+    throw httpError(422, "No extractable product data (JSON-LD/DOM empty).");
+  }
+}
 
-      // (2) Technical Specifications (union-merge; existing keys win)
-      try {
-        const compassSpecs = harvestCompassSpecs($);
-        if (Object.keys(compassSpecs).length) {
-          norm.specs = { ...(norm.specs || {}), ...compassSpecs };
-        }
-      } catch(e){
-        const msg = e && e.message ? e.message : String(e);
-        diag.warnings.push(`compass-specs: ${msg}`);
+async function stageProfile(ctx) {
+  const { targetUrl, html, diag, norm, profile } = ctx;
+  const $ = cheerio.load(html);
+  if (profile.selectors) applyProfileSelectors(norm, $, targetUrl, profile.selectors, diag);
+  if (profile.harvester) applyProfileHarvester(norm, $, html, targetUrl, profile.harvester, diag);
+}
+
+async function stageImageRules(ctx) {
+  const { norm, profile, diag } = ctx;
+  const before = (norm.images || []).length;
+  norm.images = applyProfileImageRules(norm.images || [], profile.images);
+  const dropped = before - norm.images.length;
+  if (dropped) diag.warnings.push(`profile ${profile.name}: image rules dropped ${dropped} image(s)`);
+}
+
+async function stageVariants(ctx) {
+  const { targetUrl, html, diag, norm, profile } = ctx;
+  // -- BEGIN variant + family augmentation (ADD-ONLY) --
+  try {
+    // derive slug parts from the profile's slug_pattern, e.g. for BD pages:
+    // https://www.bd.com/.../product-page.305198  → slug_full = "305198", family_id = "" (or stripped)
+    // or product-page.abc-12345 → slug_root = "abc-"
+    const fam = computeFamilyFromUrl(targetUrl, profile && profile.slug_pattern);
+    if (fam.slug_full && !norm.slug_full) norm.slug_full = fam.slug_full;
+    if (fam.family_id && !norm.family_id) norm.family_id = fam.family_id;
+  
+    // optional: extract variants if your extractor returns any
+    if (typeof extractVariants === 'function') {
+      const variants = await extractVariants(html, targetUrl);
+      if (Array.isArray(variants) && variants.length && !norm.variant_matrix) {
+        norm.variant_matrix = variants; // e.g. [{option:"Size", values:["10 mL","20 mL"]}, ...]
       }
     }
-    // === end Compass-only additions ===
-
-    /* ==== MEDX ADD-ONLY: final spec enrichment before sanitize v1 ==== */
-    try { norm.specs = enrichSpecsWithDerived(norm.specs || {}); } catch {}
-
-    // === Filter non-English content from the scraped result ===
-    // Define a heuristic: consider a string English if at least 70% of its characters
-    // are ASCII (0x20–0x7E). This removes non-Latin lines from descriptions,
-    // features, specs, and sections. Non-string spec values (e.g., numbers) are kept.
-    const isEnglishLineFn = (line) => {
-      const total = line.length;
-      if (total === 0) return false;
-      // Immediately reject lines that contain accented characters commonly found in
-      // Spanish, French or other non‑English European languages.  If any of
-      // these characters appear, assume the line is not English.
-      if (/[áéíóúñàèùâêîôûäëïöüçœ’]/i.test(line)) return false;
-      let asciiCount = 0;
-      for (let i = 0; i < line.length; i++) {
-        const code = line.charCodeAt(i);
-        if (code >= 0x20 && code <= 0x7e) asciiCount++;
+  } catch (e) {
+    // never block ingestion; just log a friendly warning payload-side
+    (diag.warnings ||= []).push('family/variants: ' + (e?.message || String(e)));
+  }
+  // -- END variant + family augmentation (ADD-ONLY) --
+}
+
+async function stageTabs(ctx) {
+  const { targetUrl, html, diag } = ctx;
+  const { minImgPx, excludePng, mainOnly } = ctx.opts;
+  const t2 = now();
+  const slugPattern = ctx.profile && ctx.profile.slug_pattern;
+  const renderApiUrl = ctx.renderApiUrl;
+  ctx.norm = await augmentFromTabs(ctx.norm, targetUrl, html, { minImgPx, excludePng, mainOnly, slugPattern, renderApiUrl, signal: ctx.signal, profile: ctx.profile, diag }); // ADD-ONLY propagate
+  diag.timings.harvestMs = now() - t2;
+}
+
+async function stagePdf(ctx) {
+  const { diag, profile } = ctx;
+  let { norm } = ctx;
+  // === MEDX ADD: optionally enrich from PDF manuals ===
+  // Preserve the existing site-derived specs before enriching from PDFs. We do this
+  // so that specifications extracted from manuals are not merged back into
+  // the main specs object; instead they will remain under `pdf_kv` in the
+  // returned object. This ensures that tab-harvested specs stay separate.
+  const siteSpecsSnapshot = { ...(norm.specs || {}) };
+  const manualLimit = profile && profile.manual_limit != null ? profile.manual_limit : 5;
+  try {
+    
+    norm = await enrichFromManuals(norm, {
+      maxManuals: manualLimit,   
+      maxCharsText: 49750,
+      provenance: ctx.provenance,
+      signal: ctx.signal
+    });
+    
+  } catch (e) {
+    const msg = e && e.message ? e.message : String(e);
+    diag.warnings.push(`pdf-enrich: ${msg}`);
+  }
+  // Restore original site specs to avoid merging PDF key-values into specs.
+  norm.specs = siteSpecsSnapshot;
+  // Filter the manual text and key-values to English only. The english stage
+  // keeps its own copy of this heuristic so either can run without the
+  // other. A line is considered English if at least 70% of its characters
+  // are ASCII.
+  const isEng = (line) => {
+    const total = line.length;
+    if (total === 0) return false;
+    // Reject lines with accented characters (Spanish/French etc.)
+    if (/[áéíóúñàèùâêîôûäëïöüçœ’]/i.test(line)) return false;
+    let ascii = 0;
+    for (let i = 0; i < line.length; i++) {
+      const c = line.charCodeAt(i);
+      if (c >= 0x20 && c <= 0x7e) ascii++;
+    }
+    return ascii / total >= 0.7;
+  };
+  if (typeof norm.pdf_text === 'string') {
+    const pdfLines = norm.pdf_text.split('\n');
+    const filteredPdfLines = pdfLines
+      .map((l) => l.trim())
+      .filter((l) => isEng(l));
+    norm.pdf_text = filteredPdfLines.join('\n');
+  }
+  if (Array.isArray(norm.pdf_kv)) {
+    const filteredKv = [];
+    for (const kv of norm.pdf_kv) {
+      const newKv = {};
+      for (const [k, v] of Object.entries(kv)) {
+        const keyOk = typeof k === 'string' ? isEng(k) : true;
+        const valOk = typeof v === 'string' ? isEng(v) : true;
+        if (keyOk && valOk) newKv[k] = v;
       }
-      return asciiCount / total >= 0.7;
-    };
-    // Filter description_raw lines
-    if (typeof norm.description_raw === 'string') {
-      const descLines = norm.description_raw.split('\n');
-      const filtered = descLines
-        .map((l) => l.trim())
-        .filter((l) => isEnglishLineFn(l));
-      norm.description_raw = filtered.join('\n');
+      if (Object.keys(newKv).length) filteredKv.push(newKv);
     }
-    // Filter features_raw array: keep only English lines and drop multilingual or
-    // slash-separated labels. Remove entries containing explicit language
-    // indicators or slash‑separated parts (e.g. "Silla inodoro tres en uno/", "EnglishEspañolFrançais").
-    if (Array.isArray(norm.features_raw)) {
-      norm.features_raw = norm.features_raw
-        .filter((l) => isEnglishLineFn(String(l).trim()))
-        .filter((l) => !/[\\/]/.test(String(l)))
-        .filter((l) => !/\b(español|français)\b/i.test(String(l)))
-        .filter((l) => String(l).trim().toLowerCase() !== 'englishespañolfrançais')
-        // Remove generic site navigation categories that appear as features.  These
-        // strings often come from scraped menu or navigation labels (e.g., “Mobility”,
-        // “Beds”, “Commodes”) and do not describe the product itself.  Filtering
-        // them here prevents contamination of the final features list.
-        .filter((l) => {
-          const val = String(l).trim();
-          const lower = val.toLowerCase();
-          const excluded = [
-            'products', 'bath safety', 'beds', 'commodes', 'inspired', 'mobility',
-            'patient room', 'personal care', 'respiratory', 'sleep therapy',
-            'therapeutic support surfaces', 'new arrivals', 'support & resources',
-            'who we are', 'who we serve', 'account', 'get in touch',
-            'press releases', 'articles & blogs', 'leadership', 'work with us',
-            'faqs', 'knowledge base'
-          ];
-          return !excluded.includes(lower);
-        });
+    norm.pdf_kv = filteredKv;
+  }
+  // Extract English bullet features from the PDF text. We look for a FEATURES
+  // section and capture lines until a SPECIFICATIONS section or the end of
+  // the features list. Only keep English lines using the isEng heuristic.
+  if (typeof norm.pdf_text === 'string') {
+    const lines = norm.pdf_text.split('\n');
+    let inFeatures = false;
+    const pdfFeatures = [];
+    for (const raw of lines) {
+      const line = raw.trim();
+      if (/^features$/i.test(line)) {
+        inFeatures = true;
+        continue;
+      }
+      if (/^specifications$/i.test(line)) {
+        if (inFeatures) break;
+      }
+      if (inFeatures) {
+        // Remove leading bullets or hyphens
+        let cleaned = line.replace(/^[-•\s]+/, '').trim();
+        if (!cleaned) continue;
+        if (isEng(cleaned)) {
+          pdfFeatures.push(cleaned);
+        }
+      }
     }
-    // Filter specs values
-    if (norm.specs && typeof norm.specs === 'object') {
-      const filteredSpecs = {};
-      for (const [k, v] of Object.entries(norm.specs)) {
-        if (typeof v === 'string') {
-          if (isEnglishLineFn(v.trim())) filteredSpecs[k] = v;
-        } else {
-          filteredSpecs[k] = v;
+    if (pdfFeatures.length) {
+      // pdf_text joins every parsed manual; name the PDF only when there was one.
+      const parsedPdfs = (norm.pdf_manual_urls || []).slice(0, manualLimit)
+        .filter(u => !(norm.manuals_failed || []).includes(u));
+      const pdfExtra = parsedPdfs.length === 1 ? { pdf_url: parsedPdfs[0] } : {};
+      const seen = new Set((norm.features_raw || []).map(v => String(v).toLowerCase()));
+      for (const f of pdfFeatures) {
+        const key = f.toLowerCase();
+        if (!seen.has(key)) {
+          (norm.features_raw ||= []).push(f);
+          ctx.provenance.feature(f, 'enrichFromManuals', pdfExtra);
+          seen.add(key);
         }
       }
-      norm.specs = filteredSpecs;
     }
+  }
+  ctx.norm = norm;
+}
 
-    // Limit images to a small set of representative product photos.  Keep at
-    // most the first three images as they are usually the most relevant.
-    if (Array.isArray(norm.images) && norm.images.length > 3) {
-      norm.images = norm.images.slice();
-    }
+async function stageCompass(ctx) {
+  const { html, diag, norm } = ctx;
+  // === Compass-only additive harvest (keeps your existing data intact) ===
+  const $ = cheerio.load(html);
 
-    // If the extracted name is identical to the brand, attempt to set the
-    // product name from the OpenGraph title or the URL slug.  This helps
-    // correct cases where name_raw is populated with the vendor name.
-    try {
-      if (
-        norm.name_raw &&
-        norm.brand &&
-        String(norm.name_raw).toLowerCase() === String(norm.brand).toLowerCase()
-      ) {
-        const $check = cheerio.load(html);
-        const ogTitle = $check('meta[property="og:title"]').attr('content') || '';
-        let candidate = ogTitle.trim();
-        if (!candidate) {
-          // Fallback: derive name from the final segment of the URL path
-          const parts = targetUrl.split('/').filter(Boolean);
-          const slug = parts[parts.length - 1] || '';
-          candidate = slug.replace(/[-_]/g, ' ').replace(/\.html?$/i, '').trim();
-          candidate = candidate.replace(/\b(bs\d+[a-z]?)\b/i, '').trim();
-        }
-        if (candidate) norm.name_raw = candidate;
+  // (1) Overview: full paragraphs + bullets (merged once)
+  try {
+    const compassOverview = harvestCompassOverview($);
+    if (compassOverview) {
+      const seen = new Set(String(norm.description_raw || "")
+        .split(/\n+/).map(s=>s.trim().toLowerCase()).filter(Boolean));
+
+      const merged = [];
+      for (const l of String(norm.description_raw || "").split(/\n+/).map(s=>s.trim()).filter(Boolean)) merged.push(l);
+      for (const l of String(compassOverview).split(/\n+/).map(s=>s.trim()).filter(Boolean)) {
+        const k = l.toLowerCase();
+        if (!seen.has(k)) { merged.push(l); seen.add(k); }
       }
-    } catch {
-      /* ignore name heuristic errors */
+      norm.description_raw = merged.join("\n");
     }
+  } catch(e){
+    const msg = e && e.message ? e.message : String(e);
+    diag.warnings.push(`compass-overview: ${msg}`);
+  }
 
-    // ==== MEDX ADD-ONLY: optional browsing step to fetch dynamic content ====
-    // If the `browse` query parameter is set to true, we run our Playwright-based
-    // crawler to fetch a fully rendered version of the product page. This
-    // complements the existing static scrape with content pulled from tabs,
-    // accordions, and lazy-loaded elements.  Results are merged into `norm`
-    // using the mergeRaw helper.  Dynamic import is used here to avoid
-    // incurring Playwright overhead unless needed.
-    const doBrowse = String(req.query.browse || '').toLowerCase() === 'true';
-    if (doBrowse) {
-      try {
-        const { browseProduct } = await import('./browserCrawler.js');
-        const { mergeRaw }     = await import('./mergeRaw.js');
-        const b = await browseProduct(targetUrl, { headless: true });
-        if (b && b.ok) {
-          norm = mergeRaw({ raw_existing: norm, raw_browse: b.raw_browse });
-        } else {
-          diag.warnings.push(`browse-error: ${b && b.error ? b.error : 'unknown'}`);
-        }
-      } catch (e) {
-        diag.warnings.push(`browse-exception: ${e && e.message ? e.message : String(e)}`);
-      }
+  // (2) Technical Specifications (union-merge; existing keys win)
+  try {
+    const compassSpecs = harvestCompassSpecs($);
+    if (Object.keys(compassSpecs).length) {
+      norm.specs = { ...(norm.specs || {}), ...compassSpecs };
     }
+  } catch(e){
+    const msg = e && e.message ? e.message : String(e);
+    diag.warnings.push(`compass-specs: ${msg}`);
+  }
+}
 
-    if (wantMd) {
-      const $ = cheerio.load(html);
-      try { norm.description_md = extractDescriptionMarkdown($) || textToMarkdown(norm.description_raw || ""); }
-      catch(e){ diag.warnings.push(`desc-md: ${e.message||e}`); }
+async function stageDerivedSpecs(ctx) {
+  /* ==== MEDX ADD-ONLY: final spec enrichment before sanitize v1 ==== */
+  try { ctx.norm.specs = enrichSpecsWithDerived(ctx.norm.specs || {}); } catch {}
+}
 
-      try { norm.features_md = (norm.features_raw || []).map(t => `- ${t}`).join("\n"); } catch(e){}
-      try { norm.specs_md    = objectToMarkdownTable(norm.specs || {}); } catch(e){}
+async function stageEnglish(ctx) {
+  const { norm } = ctx;
+  // === Filter non-English content from the scraped result ===
+  // Define a heuristic: consider a string English if at least 70% of its characters
+  // are ASCII (0x20–0x7E). This removes non-Latin lines from descriptions,
+  // features, specs, and sections. Non-string spec values (e.g., numbers) are kept.
+  const isEnglishLineFn = (line) => {
+    const total = line.length;
+    if (total === 0) return false;
+    // Immediately reject lines that contain accented characters commonly found in
+    // Spanish, French or other non‑English European languages.  If any of
+    // these characters appear, assume the line is not English.
+    if (/[áéíóúñàèùâêîôûäëïöüçœ’]/i.test(line)) return false;
+    let asciiCount = 0;
+    for (let i = 0; i < line.length; i++) {
+      const code = line.charCodeAt(i);
+      if (code >= 0x20 && code <= 0x7e) asciiCount++;
     }
-
-    if (doSanitize) {
-      norm = sanitizeIngestPayload(norm);
-      if (wantMd) {
-        norm.features_md = (norm.features_raw || []).map(t => `- ${t}`).join("\n");
-        norm.specs_md    = objectToMarkdownTable(norm.specs || {});
-        if (!norm.description_md) norm.description_md = textToMarkdown(norm.description_raw || "");
+    return asciiCount / total >= 0.7;
+  };
+  // Filter description_raw lines
+  if (typeof norm.description_raw === 'string') {
+    const descLines = norm.description_raw.split('\n');
+    const filtered = descLines
+      .map((l) => l.trim())
+      .filter((l) => isEnglishLineFn(l));
+    norm.description_raw = filtered.join('\n');
+  }
+  // Filter features_raw array: keep only English lines and drop multilingual or
+  // slash-separated labels. Remove entries containing explicit language
+  // indicators or slash‑separated parts (e.g. "Silla inodoro tres en uno/", "EnglishEspañolFrançais").
+  if (Array.isArray(norm.features_raw)) {
+    norm.features_raw = norm.features_raw
+      .filter((l) => isEnglishLineFn(String(l).trim()))
+      .filter((l) => !/[\\/]/.test(String(l)))
+      .filter((l) => !/\b(español|français)\b/i.test(String(l)))
+      .filter((l) => String(l).trim().toLowerCase() !== 'englishespañolfrançais')
+      // Remove generic site navigation categories that appear as features.  These
+      // strings often come from scraped menu or navigation labels (e.g., “Mobility”,
+      // “Beds”, “Commodes”) and do not describe the product itself.  Filtering
+      // them here prevents contamination of the final features list.
+      .filter((l) => {
+        const val = String(l).trim();
+        const lower = val.toLowerCase();
+        const excluded = [
+          'products', 'bath safety', 'beds', 'commodes', 'inspired', 'mobility',
+          'patient room', 'personal care', 'respiratory', 'sleep therapy',
+          'therapeutic support surfaces', 'new arrivals', 'support & resources',
+          'who we are', 'who we serve', 'account', 'get in touch',
+          'press releases', 'articles & blogs', 'leadership', 'work with us',
+          'faqs', 'knowledge base'
+        ];
+        return !excluded.includes(lower);
+      });
+  }
+  // Filter specs values
+  if (norm.specs && typeof norm.specs === 'object') {
+    const filteredSpecs = {};
+    for (const [k, v] of Object.entries(norm.specs)) {
+      if (typeof v === 'string') {
+        if (isEnglishLineFn(v.trim())) filteredSpecs[k] = v;
+      } else {
+        filteredSpecs[k] = v;
       }
     }
+    norm.specs = filteredSpecs;
+  }
 
-    // Always remove noise from the normalized payload
-    try {
-      norm = removeNoise(norm);
-    } catch (e) {
-      diag.warnings.push(`noise-clean-error: ${e && e.message ? e.message : String(e)}`);
-    }
+  // Limit images to a small set of representative product photos.  Keep at
+  // most the first three images as they are usually the most relevant.
+  if (Array.isArray(norm.images) && norm.images.length > 3) {
+    norm.images = norm.images.slice();
+  }
+}
 
-    /* ==== Build structured sections for output ====
-     * Provide a consistent structure with headings (description, specifications, features, included).
-     * The helpers defined below assemble each section from the available fields on `norm`.
-     */
-    // Compile a description/overview: prefer Markdown description; fall back to raw description
-    // or tab-harvested description. Normalize whitespace and join multiple sources if needed.
-    function compileDescription(rec) {
-      const candidates = [];
-      if (rec.description_md && String(rec.description_md).trim()) {
-        candidates.push(String(rec.description_md).trim());
-      }
-      if (rec.description_raw && String(rec.description_raw).trim()) {
-        candidates.push(String(rec.description_raw).trim());
-      }
-      if (rec._browse && rec._browse.sections && rec._browse.sections.description && String(rec._browse.sections.description).trim()) {
-        candidates.push(String(rec._browse.sections.description).trim());
+async function stageNameFix(ctx) {
+  const { targetUrl, html, norm } = ctx;
+  // If the extracted name is identical to the brand, attempt to set the
+  // product name from the OpenGraph title or the URL slug.  This helps
+  // correct cases where name_raw is populated with the vendor name.
+  try {
+    if (
+      norm.name_raw &&
+      norm.brand &&
+      String(norm.name_raw).toLowerCase() === String(norm.brand).toLowerCase()
+    ) {
+      const $check = cheerio.load(html);
+      const ogTitle = $check('meta[property="og:title"]').attr('content') || '';
+      let candidate = ogTitle.trim();
+      let source = 'og:title';
+      if (!candidate) {
+        source = 'url_slug';
+        // Fallback: derive name from the final segment of the URL path
+        const parts = targetUrl.split('/').filter(Boolean);
+        const slug = parts[parts.length - 1] || '';
+        candidate = slug.replace(/[-_]/g, ' ').replace(/\.html?$/i, '').trim();
+        candidate = candidate.replace(/\b(bs\d+[a-z]?)\b/i, '').trim();
       }
-      if (candidates.length) {
-        // Combine and deduplicate lines to avoid repeated paragraphs
-        const combined = candidates.join('\n\n');
-        const lines = combined.split(/\n+/).map((l) => l.trim()).filter((l) => l);
-        const seen = new Set();
-        const uniq = [];
-        for (const l of lines) {
-          const key = l.toLowerCase();
-          if (!seen.has(key)) {
-            uniq.push(l);
-            seen.add(key);
-          }
-        }
-        let desc = uniq.join('\n\n');
-        // If description is short or missing key details, supplement with select feature lines
-        const descLower = desc.toLowerCase();
-        const extras = [];
-        if (Array.isArray(rec.features_raw)) {
-        const patterns = [
-            /hospital[-\s]?strength|hospital strength/i,
-            /efficiency,\s*power,\s*and\s*performance|benefit\s+from/i,
-            /maximum\s+suction|270mmhg|up\s+to\s+270|vacuum\s+suction/i,
-            /suction\s+is\s+adjustable|adjustable\s+suction/i,
-            /quiet\s+pump.*timer.*night\s+light|quiet\s+pump\s+also\s+includes\s+a\s+timer\s+and\s+night\s+light/i,
-            /natural\s+nursing/i,
-            // Capture notes about closed systems or built-in batteries for pumps like the Spectra S1 Plus
-            /closed\s+system/i,
-            /built[-\s]?in\s+battery/i,
-            /features\s+of\s+the\s+s2\s+plus|premier\s+rechargeable\s+double\s+electric\s+breast\s+pump/i,
-          ];
-          rec.features_raw.forEach((feat) => {
-            const line = String(feat).trim();
-            if (!line || line.split(/\s+/).length < 4) return;
-            for (const pat of patterns) {
-              if (pat.test(line)) {
-                const lowerLine = line.toLowerCase();
-                if (!descLower.includes(lowerLine) && !extras.some((e) => e.toLowerCase() === lowerLine)) {
-                  extras.push(line);
-                }
-                break;
-              }
-            }
-          });
-        }
-        if (extras.length) {
-          // Join supplementary lines with spaces to avoid overly long blocks; deduplicate keywords
-          desc += '\n\n' + extras.join(' ');
-        }
-        return desc;
+      if (candidate) {
+        norm.name_raw = candidate;
+        ctx.provenance.field('name_raw', source, candidate);
       }
-      return '';
     }
+  } catch {
+    /* ignore name heuristic errors */
+  }
+}
 
-    // Compile specifications: return a shallow copy of the specs object to avoid mutations.
-    function compileSpecifications(rec) {
-      const specs = rec.specs && typeof rec.specs === 'object' ? rec.specs : {};
-      return { ...specs };
+async function stageBrowse(ctx) {
+  const { targetUrl, diag } = ctx;
+  let { norm } = ctx;
+  // ==== MEDX ADD-ONLY: optional browsing step to fetch dynamic content ====
+  // If the `browse` query parameter is set to true, we run our Playwright-based
+  // crawler to fetch a fully rendered version of the product page. This
+  // complements the existing static scrape with content pulled from tabs,
+  // accordions, and lazy-loaded elements.  Results are merged into `norm`
+  // using the mergeRaw helper.  Dynamic import is used here to avoid
+  // incurring Playwright overhead unless needed.
+  try {
+    const { browseProduct } = await import('./browserCrawler.js');
+    const { mergeRaw }     = await import('./mergeRaw.js');
+    const b = await browseProduct(targetUrl, { signal: ctx.signal });
+    if (b && b.ok) {
+      norm = mergeRaw({ raw_existing: norm, raw_browse: b.raw_browse, profile: ctx.profile });
+    } else {
+      diag.warnings.push(`browse-error: ${b && b.error ? b.error : 'unknown'}`);
     }
+  } catch (e) {
+    diag.warnings.push(`browse-exception: ${e && e.message ? e.message : String(e)}`);
+  }
+  ctx.norm = norm;
+}
 
-    // Compile features: use the filtered features_raw array; trim each entry.
-    function compileFeatures(rec) {
-      if (Array.isArray(rec.features_raw)) {
-        // Normalize lines: trim and drop empties
-        const rawLines = rec.features_raw
-          .map((v) => String(v || '').trim())
-          .filter((v) => v);
-        const merged = [];
-        let buffer = '';
-        const finalize = () => {
-          if (buffer) {
-            merged.push(buffer.trim());
-            buffer = '';
-          }
-        };
-        for (let i = 0; i < rawLines.length; i++) {
-          const line = rawLines[i];
-          // Remove leading bullets or dashes when considering continuation
-          const trimmed = line.replace(/^[-–—]+\s*/, '').trim();
-          if (!buffer) {
-            buffer = trimmed;
-            continue;
-          }
-          // If the current line begins with a dash (bullet), append to current feature
-          if (/^[-–—]/.test(line.trim())) {
-            buffer += ' ' + trimmed;
-            continue;
-          }
-          // If the buffer ends with a comma, semicolon, colon or ends with 'and' or 'or', join lines
-          const bufTrim = buffer.trim();
-          const lastChar = bufTrim.slice(-1);
-          const lastWord = bufTrim.split(/\s+/).pop().toLowerCase();
-          if ([',', ';', ':'].includes(lastChar) || lastWord === 'and' || lastWord === 'or') {
-            buffer += ' ' + trimmed;
-          } else {
-            finalize();
-            buffer = trimmed;
-          }
-        }
-        finalize();
-        return merged;
+async function stageMarkdown(ctx) {
+  const { html, diag, norm } = ctx;
+  const $ = cheerio.load(html);
+  const descSelector = ctx.profile && ctx.profile.selectors && ctx.profile.selectors.description;
+  try { norm.description_md = extractDescriptionMarkdown($, descSelector) || textToMarkdown(norm.description_raw || ""); }
+  catch(e){ diag.warnings.push(`desc-md: ${e.message||e}`); }
+
+  try { norm.features_md = (norm.features_raw || []).map(t => `- ${t}`).join("\n"); } catch(e){}
+  try { norm.specs_md    = objectToMarkdownTable(norm.specs || {}); } catch(e){}
+}
+
+async function stageSanitize(ctx) {
+  let { norm } = ctx;
+  norm = sanitizeIngestPayload(norm, ctx.profile);
+  if (ctx.opts.wantMd) {
+    norm.features_md = (norm.features_raw || []).map(t => `- ${t}`).join("\n");
+    norm.specs_md    = objectToMarkdownTable(norm.specs || {});
+    if (!norm.description_md) norm.description_md = textToMarkdown(norm.description_raw || "");
+  }
+  ctx.norm = norm;
+}
+
+async function stageNoise(ctx) {
+  const { diag } = ctx;
+  let { norm } = ctx;
+  // Always remove noise from the normalized payload
+  try {
+    norm = removeNoise(norm, { profile: ctx.profile });
+  } catch (e) {
+    diag.warnings.push(`noise-clean-error: ${e && e.message ? e.message : String(e)}`);
+  }
+  ctx.norm = norm;
+}
+
+async function stageSections(ctx) {
+  const { norm } = ctx;
+  norm.sections = {
+    description: compileDescription(norm),
+    specifications: compileSpecifications(norm),
+    features: compileFeatures(norm),
+    included: guessIncluded(norm),
+  };
+}
+
+ingestPipeline.register({ name: "render",        run: stageRender,       required: true, io: true, description: "fetch HTML (cache, then the renderer policy: remote/local/direct)" });
+ingestPipeline.register({ name: "structured",    run: stageStructured,   source: "extractNormalized", required: true, description: "JSON-LD/microdata/RDFa/DOM extraction (extractNormalized)" });
+ingestPipeline.register({ name: "profile",       run: stageProfile,      source: "siteProfile", enabled: ctx => !!(ctx.profile && (ctx.profile.selectors || ctx.profile.harvester)), description: "site profile selectors and platform tab harvester" });
+ingestPipeline.register({ name: "variants",      run: stageVariants,     source: "extractVariants", description: "family slug (profile slug_pattern) + variant matrix" });
+ingestPipeline.register({ name: "tabs",          run: stageTabs,         source: "augmentFromTabs", io: true, enabled: ctx => ctx.opts.doHarvest, description: "tab/accordion harvest (augmentFromTabs)" });
+ingestPipeline.register({ name: "pdf",           run: stagePdf,          source: "enrichFromManuals", io: true, enabled: ctx => ctx.opts.wantPdf, description: "manual PDF enrichment (enrichFromManuals)" });
+ingestPipeline.register({ name: "compass",       run: stageCompass,      source: "harvestCompass", enabled: () => false, description: "Compass overview/spec harvest (enabled by the Compass site profile)" });
+ingestPipeline.register({ name: "image_rules",   run: stageImageRules,   enabled: ctx => !!(ctx.profile && ctx.profile.images), description: "site profile image allow/deny patterns" });
+ingestPipeline.register({ name: "derived_specs", run: stageDerivedSpecs, source: "enrichSpecsWithDerived", description: "derived spec enrichment (enrichSpecsWithDerived)" });
+ingestPipeline.register({ name: "english",       run: stageEnglish,      description: "drop non-English description/feature/spec lines" });
+ingestPipeline.register({ name: "name_fix",      run: stageNameFix,      description: "replace a name that equals the brand" });
+ingestPipeline.register({ name: "browse",        run: stageBrowse,       source: "mergeRaw", io: true, enabled: ctx => ctx.opts.doBrowse, description: "Playwright browse merge (browseProduct)" });
+ingestPipeline.register({ name: "markdown",      run: stageMarkdown,     enabled: ctx => ctx.opts.wantMd, description: "markdown description/features/specs" });
+ingestPipeline.register({ name: "sanitize",      run: stageSanitize,     source: "sanitizeIngestPayload", enabled: ctx => ctx.opts.doSanitize, description: "sanitizeIngestPayload" });
+ingestPipeline.register({ name: "noise",         run: stageNoise,        source: "removeNoise", description: "removeNoise" });
+ingestPipeline.register({ name: "sections",      run: stageSections,     description: "structured description/specifications/features/included" });
+
+/* ==== Build structured sections for output ====
+ * Provide a consistent structure with headings (description, specifications, features, included).
+ * The helpers defined below assemble each section from the available fields on `norm`.
+ */
+// Compile a description/overview: prefer Markdown description; fall back to raw description
+// or tab-harvested description. Normalize whitespace and join multiple sources if needed.
+function compileDescription(rec) {
+  const candidates = [];
+  if (rec.description_md && String(rec.description_md).trim()) {
+    candidates.push(String(rec.description_md).trim());
+  }
+  if (rec.description_raw && String(rec.description_raw).trim()) {
+    candidates.push(String(rec.description_raw).trim());
+  }
+  if (rec._browse && rec._browse.sections && rec._browse.sections.description && String(rec._browse.sections.description).trim()) {
+    candidates.push(String(rec._browse.sections.description).trim());
+  }
+  if (candidates.length) {
+    // Combine and deduplicate lines to avoid repeated paragraphs
+    const combined = candidates.join('\n\n');
+    const lines = combined.split(/\n+/).map((l) => l.trim()).filter((l) => l);
+    const seen = new Set();
+    const uniq = [];
+    for (const l of lines) {
+      const key = l.toLowerCase();
+      if (!seen.has(key)) {
+        uniq.push(l);
+        seen.add(key);
       }
-      return [];
     }
-
-    // Guess included items: parse visible text or features for "Includes", "Comes with", etc.
-    function guessIncluded(rec) {
-      const included = [];
-      // 1) Look inside _browse.visible_text for lines after a cue phrase indicating contents
-      try {
-        const vis = rec._browse && rec._browse.visible_text ? String(rec._browse.visible_text) : '';
-        const lines = vis.split(/\n+/).map((l) => l.trim()).filter(Boolean);
-        let capture = false;
-        for (const line of lines) {
-          const lower = line.toLowerCase();
-          // Trigger capturing after a cue phrase about included items
-          if (/includes everything|includes.*needed/.test(lower)) {
-            capture = true;
-            continue;
-          }
-          if (capture) {
-            // Stop capturing when we encounter unrelated sections, testimonials, headings, or pricing
-            if (!line || /recommended|review|reviews|customer|based on|write a review|\bi am\b|\bgynecologic\b|\bgynecologist\b|\boncologist\b|\bsurgeon\b|hospital|parts & accessories|use & operation|assembling|sanitizing|how to use|stand|case|kit|sold out|add to cart|\$|switch|trolley|power supply|hard case|cable|set/.test(lower)) {
-              break;
-            }
-            // Only include lines that look like actual items (contain item keywords or numbers)
-            if (/\b(breast|shield|bottle|tube|adapter|manual|pump|diaphragm|cap|diaphragms|flange|flanges|air tube|stand|case|kit|tubing|body|bodies|bottles|cable|cables)\b/i.test(lower) || /\d/.test(lower)) {
-              // Remove leading hyphens, bullets and whitespace but preserve quantity numbers.  Previously the regex
-              // removed any leading digits as well, which stripped quantity like "2 diaphragms".  Now only hyphens,
-              // bullet characters and whitespace are removed.
-              const cleaned = line.replace(/^[-•\s]+/, '').trim();
-              if (cleaned) included.push(cleaned);
+    let desc = uniq.join('\n\n');
+    // If description is short or missing key details, supplement with select feature lines
+    const descLower = desc.toLowerCase();
+    const extras = [];
+    if (Array.isArray(rec.features_raw)) {
+    const patterns = [
+        /hospital[-\s]?strength|hospital strength/i,
+        /efficiency,\s*power,\s*and\s*performance|benefit\s+from/i,
+        /maximum\s+suction|270mmhg|up\s+to\s+270|vacuum\s+suction/i,
+        /suction\s+is\s+adjustable|adjustable\s+suction/i,
+        /quiet\s+pump.*timer.*night\s+light|quiet\s+pump\s+also\s+includes\s+a\s+timer\s+and\s+night\s+light/i,
+        /natural\s+nursing/i,
+        // Capture notes about closed systems or built-in batteries for pumps like the Spectra S1 Plus
+        /closed\s+system/i,
+        /built[-\s]?in\s+battery/i,
+        /features\s+of\s+the\s+s2\s+plus|premier\s+rechargeable\s+double\s+electric\s+breast\s+pump/i,
+      ];
+      rec.features_raw.forEach((feat) => {
+        const line = String(feat).trim();
+        if (!line || line.split(/\s+/).length < 4) return;
+        for (const pat of patterns) {
+          if (pat.test(line)) {
+            const lowerLine = line.toLowerCase();
+            if (!descLower.includes(lowerLine) && !extras.some((e) => e.toLowerCase() === lowerLine)) {
+              extras.push(line);
             }
-            // If the line does not match item keywords or numbers, skip it but continue capturing
+            break;
           }
         }
+      });
+    }
+    if (extras.length) {
+      // Join supplementary lines with spaces to avoid overly long blocks; deduplicate keywords
+      desc += '\n\n' + extras.join(' ');
+    }
+    return desc;
+  }
+  return '';
+}
 
-        // Capture commode parts items from parts list in visible_text.  Some commode products list
-        // replacement parts rather than contents.  Add these to the included array if they are
-        // present in the visible text.
-        for (const line of lines) {
-          const lower = line.toLowerCase();
-          if (/commode bucket/.test(lower) && !included.some((v) => /bucket/i.test(v))) {
-            included.push(line.trim());
-          }
-          if (/commode seat/.test(lower) && !included.some((v) => /seat/i.test(v))) {
-            included.push(line.trim());
-          }
-          if (/replacement\s*leg\s*set|replacement-leg-set/.test(lower) && !included.some((v) => /leg set/i.test(v))) {
-            included.push(line.trim());
-          }
-          if (/leg tip/.test(lower) && !included.some((v) => /leg tip/i.test(v))) {
-            included.push(line.trim());
-          }
-          // Capture AC power adapters or chargers from visible text for pumps (e.g. Spectra, Unimom)
-          if (/\b(ac\s*power\s*adapter|power\s*adapter|adapter\/charger|charger)\b/.test(lower) && !included.some((v) => /adapter|charger/i.test(v))) {
-            included.push(line.trim());
-          }
+// Compile specifications: return a shallow copy of the specs object to avoid mutations.
+function compileSpecifications(rec) {
+  const specs = rec.specs && typeof rec.specs === 'object' ? rec.specs : {};
+  return { ...specs };
+}
+
+// Compile features: use the filtered features_raw array; trim each entry.
+function compileFeatures(rec) {
+  if (Array.isArray(rec.features_raw)) {
+    // Normalize lines: trim and drop empties
+    const rawLines = rec.features_raw
+      .map((v) => String(v || '').trim())
+      .filter((v) => v);
+    const merged = [];
+    let buffer = '';
+    const finalize = () => {
+      if (buffer) {
+        merged.push(buffer.trim());
+        buffer = '';
+      }
+    };
+    for (let i = 0; i < rawLines.length; i++) {
+      const line = rawLines[i];
+      // Remove leading bullets or dashes when considering continuation
+      const trimmed = line.replace(/^[-–—]+\s*/, '').trim();
+      if (!buffer) {
+        buffer = trimmed;
+        continue;
+      }
+      // If the current line begins with a dash (bullet), append to current feature
+      if (/^[-–—]/.test(line.trim())) {
+        buffer += ' ' + trimmed;
+        continue;
+      }
+      // If the buffer ends with a comma, semicolon, colon or ends with 'and' or 'or', join lines
+      const bufTrim = buffer.trim();
+      const lastChar = bufTrim.slice(-1);
+      const lastWord = bufTrim.split(/\s+/).pop().toLowerCase();
+      if ([',', ';', ':'].includes(lastChar) || lastWord === 'and' || lastWord === 'or') {
+        buffer += ' ' + trimmed;
+      } else {
+        finalize();
+        buffer = trimmed;
+      }
+    }
+    finalize();
+    return merged;
+  }
+  return [];
+}
+
+// Guess included items: parse visible text or features for "Includes", "Comes with", etc.
+function guessIncluded(rec) {
+  const included = [];
+  // 1) Look inside _browse.visible_text for lines after a cue phrase indicating contents
+  try {
+    const vis = rec._browse && rec._browse.visible_text ? String(rec._browse.visible_text) : '';
+    const lines = vis.split(/\n+/).map((l) => l.trim()).filter(Boolean);
+    let capture = false;
+    for (const line of lines) {
+      const lower = line.toLowerCase();
+      // Trigger capturing after a cue phrase about included items
+      if (/includes everything|includes.*needed/.test(lower)) {
+        capture = true;
+        continue;
+      }
+      if (capture) {
+        // Stop capturing when we encounter unrelated sections, testimonials, headings, or pricing
+        if (!line || /recommended|review|reviews|customer|based on|write a review|\bi am\b|\bgynecologic\b|\bgynecologist\b|\boncologist\b|\bsurgeon\b|hospital|parts & accessories|use & operation|assembling|sanitizing|how to use|stand|case|kit|sold out|add to cart|\$|switch|trolley|power supply|hard case|cable|set/.test(lower)) {
+          break;
         }
-      } catch {}
-      // 2) Look in features_raw for lines starting with includes/comes with
-      if (Array.isArray(rec.features_raw)) {
-        for (const raw of rec.features_raw) {
-          const line = String(raw || '').trim();
-          if (/^(includes|comes with|comes complete)/i.test(line)) {
-            let items = line.replace(/^(includes|comes with|comes complete)/i, '').trim();
-            items = items.replace(/\band\b/gi, ',');
-            for (const item of items.split(/,|;/)) {
-              const cleaned = item.replace(/^[\s:\-]+/, '').trim();
-              if (cleaned) included.push(cleaned);
-            }
-          }
+        // Only include lines that look like actual items (contain item keywords or numbers)
+        if (/\b(breast|shield|bottle|tube|adapter|manual|pump|diaphragm|cap|diaphragms|flange|flanges|air tube|stand|case|kit|tubing|body|bodies|bottles|cable|cables)\b/i.test(lower) || /\d/.test(lower)) {
+          // Remove leading hyphens, bullets and whitespace but preserve quantity numbers.  Previously the regex
+          // removed any leading digits as well, which stripped quantity like "2 diaphragms".  Now only hyphens,
+          // bullet characters and whitespace are removed.
+          const cleaned = line.replace(/^[-•\s]+/, '').trim();
+          if (cleaned) included.push(cleaned);
         }
+        // If the line does not match item keywords or numbers, skip it but continue capturing
       }
-      // 3) Look in features_raw for enumerated items (e.g., "Two (2) 24mm ...") and treat them as included.
-      // Only treat a line as an included item if it looks like a quantity of a physical component (not a specification
-      // such as pressure in mmHg or a description like "4 Operating Modes").  We require the line to start with a
-      // spelled‑out number or a numeric quantity and to contain an item keyword (breast, shield, bottle, tube, valve, etc.),
-      // and we skip lines that contain measurement units such as mmHg, lb, oz, ml, cm, mm or hours.
-      if (Array.isArray(rec.features_raw)) {
-        for (const raw of rec.features_raw) {
-          const line = String(raw || '').trim();
-          const isQuantityLine = /^((?:one|two|three|four|five|six|seven|eight|nine|ten)\b|\(?\d+\)?\s+)/i.test(line);
-          const hasItemKeyword = /\b(breast|shield|bottle|tube|tubing|adapter|charger|power|manual|pump|diaphragm|valve|flange|backflow|protector|bag|connector|body|bodies|duckbill|kit|flanges|caps|membrane)\b/i.test(line);
-          // Only treat true measurement units as a reason to skip (mmHg, kg, g, lb, oz, mL) but allow size descriptors like "24mm" in item names
-          const hasMeasurementUnit = /\b(mmhg|kg|g|lb|lbs|oz|ml)\b/i.test(line);
-          if (isQuantityLine && hasItemKeyword && !hasMeasurementUnit) {
-            included.push(line);
-          }
+    }
+
+    // Capture commode parts items from parts list in visible_text.  Some commode products list
+    // replacement parts rather than contents.  Add these to the included array if they are
+    // present in the visible text.
+    for (const line of lines) {
+      const lower = line.toLowerCase();
+      if (/commode bucket/.test(lower) && !included.some((v) => /bucket/i.test(v))) {
+        included.push(line.trim());
+      }
+      if (/commode seat/.test(lower) && !included.some((v) => /seat/i.test(v))) {
+        included.push(line.trim());
+      }
+      if (/replacement\s*leg\s*set|replacement-leg-set/.test(lower) && !included.some((v) => /leg set/i.test(v))) {
+        included.push(line.trim());
+      }
+      if (/leg tip/.test(lower) && !included.some((v) => /leg tip/i.test(v))) {
+        included.push(line.trim());
+      }
+      // Capture AC power adapters or chargers from visible text for pumps (e.g. Spectra, Unimom)
+      if (/\b(ac\s*power\s*adapter|power\s*adapter|adapter\/charger|charger)\b/.test(lower) && !included.some((v) => /adapter|charger/i.test(v))) {
+        included.push(line.trim());
+      }
+    }
+  } catch {}
+  // 2) Look in features_raw for lines starting with includes/comes with
+  if (Array.isArray(rec.features_raw)) {
+    for (const raw of rec.features_raw) {
+      const line = String(raw || '').trim();
+      if (/^(includes|comes with|comes complete)/i.test(line)) {
+        let items = line.replace(/^(includes|comes with|comes complete)/i, '').trim();
+        items = items.replace(/\band\b/gi, ',');
+        for (const item of items.split(/,|;/)) {
+          const cleaned = item.replace(/^[\s:\-]+/, '').trim();
+          if (cleaned) included.push(cleaned);
         }
       }
-
-      // Filter out any residual noise, such as testimonials, reviews, contact info, pricing, or accessory kits/stands/cases
-      return included.filter((item) => {
-        const lower = String(item).toLowerCase().trim();
-        // Remove testimonials, reviews, contact info, pricing, or accessory references
-        if (/(recommended|review|reviews|customer|based on|gynecologic|gynecologist|oncologist|surgeon|hospital|kit|stand|case|trolley|switch|power supply|hard case|cable|set|price|\$|add to cart|sold out|parts & accessories)/.test(lower)) return false;
-        // Remove lines that start with 'with' or 'and' and are very short (likely incomplete) unless they contain a quantity
-        if (/^(with|and)\b/.test(lower) && lower.split(/\s+/).length <= 4 && !/\d/.test(lower)) return false;
-        return true;
-      });
     }
-
-    // Attach structured sections to the normalized record
-    norm.sections = {
-      description: compileDescription(norm),
-      specifications: compileSpecifications(norm),
-      features: compileFeatures(norm),
-      included: guessIncluded(norm),
-    };
-
-    const totalMs = now() - started;
-    if (totalMs > MAX_TOTAL_TIMEOUT_MS){
-      diag.warnings.push(`total-timeout ${totalMs}ms`);
+  }
+  // 3) Look in features_raw for enumerated items (e.g., "Two (2) 24mm ...") and treat them as included.
+  // Only treat a line as an included item if it looks like a quantity of a physical component (not a specification
+  // such as pressure in mmHg or a description like "4 Operating Modes").  We require the line to start with a
+  // spelled‑out number or a numeric quantity and to contain an item keyword (breast, shield, bottle, tube, valve, etc.),
+  // and we skip lines that contain measurement units such as mmHg, lb, oz, ml, cm, mm or hours.
+  if (Array.isArray(rec.features_raw)) {
+    for (const raw of rec.features_raw) {
+      const line = String(raw || '').trim();
+      const isQuantityLine = /^((?:one|two|three|four|five|six|seven|eight|nine|ten)\b|\(?\d+\)?\s+)/i.test(line);
+      const hasItemKeyword = /\b(breast|shield|bottle|tube|tubing|adapter|charger|power|manual|pump|diaphragm|valve|flange|backflow|protector|bag|connector|body|bodies|duckbill|kit|flanges|caps|membrane)\b/i.test(line);
+      // Only treat true measurement units as a reason to skip (mmHg, kg, g, lb, oz, mL) but allow size descriptors like "24mm" in item names
+      const hasMeasurementUnit = /\b(mmhg|kg|g|lb|lbs|oz|ml)\b/i.test(line);
+      if (isQuantityLine && hasItemKeyword && !hasMeasurementUnit) {
+        included.push(line);
+      }
     }
+  }
 
-    if (debug) return res.json({ ...norm, _debug: { ...diag, fetched } });
-    return res.json(norm);
+  // Filter out any residual noise, such as testimonials, reviews, contact info, pricing, or accessory kits/stands/cases
+  return included.filter((item) => {
+    const lower = String(item).toLowerCase().trim();
+    // Remove testimonials, reviews, contact info, pricing, or accessory references
+    if (/(recommended|review|reviews|customer|based on|gynecologic|gynecologist|oncologist|surgeon|hospital|kit|stand|case|trolley|switch|power supply|hard case|cable|set|price|\$|add to cart|sold out|parts & accessories)/.test(lower)) return false;
+    // Remove lines that start with 'with' or 'and' and are very short (likely incomplete) unless they contain a quantity
+    if (/^(with|and)\b/.test(lower) && lower.split(/\s+/).length <= 4 && !/\d/.test(lower)) return false;
+    return true;
+  });
+}
 
-  } catch (e) {
-    console.error("INGEST ERROR:", e);
-    const status = e && e.status && Number.isFinite(+e.status) ? Number(e.status) : 500;
-    return res.status(status >= 400 && status <= 599 ? status : 500).json({ error: String((e && e.message) || e) });
-  }
-});
 
 
 // GET /image-proxy?url=<IMG_URL>  (fetches an image and transcodes AVIF/WebP to JPEG,
 // since some downstream consumers -- e.g. BigCommerce's product image API -- reject those formats)
-app.get('/debug/last-image-scores', (req, res) => {
+app.get('/debug/last-image-scores', requireScope('admin'), (req, res) => {
   if (req.query.enable === 'on') globalThis.__CAPTURE_IMG_DEBUG = true;
   if (req.query.enable === 'off') globalThis.__CAPTURE_IMG_DEBUG = false;
   res.json({ capturing: !!globalThis.__CAPTURE_IMG_DEBUG, data: globalThis.__lastImgDebug || null });
 });
 
-app.get('/image-proxy', async (req, res) => {
+app.get('/image-proxy', requireScope('image-proxy', { queryKey: true }), async (req, res) => {
   try {
     const rawUrl = String(req.query.url || "");
     if (!rawUrl) return res.status(400).json({ error: "Missing url param" });
     const targetUrl = safeDecodeOnce(rawUrl);
     if (!isHttpUrl(targetUrl)) return res.status(400).json({ error: "Invalid url param" });
-    const host = safeHostname(targetUrl);
-    if (ENABLE_BASIC_SSRF_GUARD && isLikelyDangerousHost(host)) {
-      return res.status(400).json({ error: "Blocked host" });
-    }
+    const blocked = blockedUrlReason(targetUrl);
+    if (blocked) return res.status(400).json({ error: ssrfError(targetUrl, blocked).message });
 
-    const upstream = await fetch(targetUrl, {
+    const upstream = await httpFetch(targetUrl, {
       headers: { "Accept": "image/avif,image/webp,image/*,*/*;q=0.8" },
       redirect: "follow"
     });
@@ -1189,7 +1793,7 @@ app.get('/image-proxy', async (req, res) => {
       return res.status(502).json({ error: "Upstream fetch failed", status: upstream.status });
     }
     const contentType = upstream.headers.get("content-type") || "";
-    const buf = Buffer.from(await upstream.arrayBuffer());
+    const buf = await readBodyLimited(upstream, MAX_IMAGE_BYTES);
 
     if (!/image\/avif|image\/webp/i.test(contentType)) {
       res.set("Content-Type", contentType || "application/octet-stream");
@@ -1200,31 +1804,36 @@ app.get('/image-proxy', async (req, res) => {
     res.set("Content-Type", "image/jpeg");
     return res.send(jpegBuf);
   } catch (e) {
+    if (e && (e.code === "EROBOTS" || e.code === "ESSRF" || e.code === "ETOOLARGE")) return res.status(e.status).json({ error: String(e.message) });
     return res.status(500).json({ error: "image-proxy failed", message: String((e && e.message) || e) });
   }
 });
 
 // GET /parse-pdf?url=<PDF_URL>
-app.get('/parse-pdf', async (req, res) => {
+app.get('/parse-pdf', requireScope('parse-pdf'), async (req, res) => {
   const pdfUrl = String(req.query.url || '');
   if (!pdfUrl) return res.status(400).json({ error: 'Missing url param' });
+  const blocked = blockedUrlReason(pdfUrl);
+  if (blocked) return res.status(400).json({ error: ssrfError(pdfUrl, blocked).message });
   try {
-    const result = await parsePdfFromUrl(pdfUrl);
+    const result = await parsePdfFromUrl(pdfUrl, { signal: clientAbortSignal(res) });
     res.json(result);
   } catch (err) {
-    res.status(500).json({ error: err.message || String(err) });
+    res.status(err.code === 'ESSRF' || err.code === 'EROBOTS' ? err.status : 500).json({ error: err.message || String(err) });
   }
 });
 
 // GET /ocr?image=<IMAGE_URL>
-app.get('/ocr', async (req, res) => {
+app.get('/ocr', requireScope('ocr'), async (req, res) => {
   const imageUrl = String(req.query.image || '');
   if (!imageUrl) return res.status(400).json({ error: 'Missing image param' });
+  const blocked = blockedUrlReason(imageUrl);
+  if (blocked) return res.status(400).json({ error: ssrfError(imageUrl, blocked).message });
   try {
-    const text = await ocrImageFromUrl(imageUrl);
+    const text = await ocrImageFromUrl(imageUrl, { signal: clientAbortSignal(res) });
     res.json({ text });
   } catch (err) {
-    res.status(500).json({ error: err.message || String(err) });
+    res.status(err.code === 'ESSRF' || err.code === 'EROBOTS' ? err.status : 500).json({ error: err.message || String(err) });
   }
 });
 
@@ -1248,6 +1857,14 @@ function extractNormalized(baseUrl, html, opts) {
 
   const mergedSD = mergeProductSD(jsonld, micro, rdfa);
 
+  // Provenance: which extractor supplied each field. mergeProductSD prefers
+  // JSON-LD, then microdata, then RDFa, so the first block holding a value
+  // is the one that won.
+  const prov = (opts && opts.provenance) || createProvenance();
+  const sdBlocks = [['jsonld', jsonld], ['microdata', micro], ['rdfa', rdfa]];
+  const sdSource = (has) => (sdBlocks.find(([, o]) => o && has(o)) || [''])[0];
+  const sdField = (f) => sdSource(o => o[f] && String(o[f]).trim()) || 'structured';
+
   // OpenGraph (+ product tags)
   const og = {
     title: $('meta[property="og:title"]').attr("content") || "",
@@ -1261,55 +1878,80 @@ function extractNormalized(baseUrl, html, opts) {
   let brand = cleanup(mergedSD.brand || "");
   if (!brand && name) brand = inferBrandFromName(name);
   // =====================================================
+  prov.field('name_raw', mergedSD.name ? sdField('name') : og.title ? 'og:title' : 'dom:h1', name);
+  prov.field('brand', mergedSD.brand ? sdField('brand') : 'inferBrandFromName', brand);
+  // What the other extractors saw, for source-agreement scoring (qualityScore.js).
+  for (const [src, o] of sdBlocks) {
+    prov.alternative('name_raw', src, o && o.name);
+    prov.alternative('brand', src, o && o.brand);
+    prov.alternative('description_raw', src, o && o.description);
+  }
+  prov.alternative('name_raw', 'og:title', og.title);
+  prov.alternative('name_raw', 'dom:h1', cleanup($("h1").first().text()));
+  if (mergedSD.brand && name) prov.alternative('brand', 'inferBrandFromName', inferBrandFromName(name));
+
+  const domDescription = () => {
+    // 1) Prefer obvious description containers
+    const selectors = [
+      '[itemprop="description"]',
+      '.product-description, .long-description, .product-details, .product-detail, .description, .details, .copy, .product__description, .overview, .product-overview, .intro, .summary',
+      '.tab-content, .tabs-content, [role="tabpanel"], .accordion-content, .product-tabs',
+      // generic safety net…
+      '[id*="description" i], [class*="description" i], [id*="details" i], [class*="details" i], [id*="overview" i], [class*="overview" i], [id*="copy" i], [class*="copy" i]',
+      // SiteOrigin/TinyMCE product intro blocks
+      '.product-info, main .siteorigin-widget-tinymce, main .textwidget, .so-widget-sow-editor, .widget_sow_editor'
+    ].join(', ');
 
-  let description_raw = cleanup(
-    mergedSD.description || (() => {
-      // 1) Prefer obvious description containers
-      const selectors = [
-        '[itemprop="description"]',
-        '.product-description, .long-description, .product-details, .product-detail, .description, .details, .copy, .product__description, .overview, .product-overview, .intro, .summary',
-        '.tab-content, .tabs-content, [role="tabpanel"], .accordion-content, .product-tabs',
-        // generic safety net…
-        '[id*="description" i], [class*="description" i], [id*="details" i], [class*="details" i], [id*="overview" i], [class*="overview" i], [id*="copy" i], [class*="copy" i]',
-        // SiteOrigin/TinyMCE product intro blocks
-        '.product-info, main .siteorigin-widget-tinymce, main .textwidget, .so-widget-sow-editor, .widget_sow_editor'
-      ].join(', ');
-
-      let best = "";
-      $(selectors).each((_, el) => {
-        // ADD: skip footer/nav wrappers & legal-like text
-        if (isFooterOrNav($, el)) return;
-        const elText = cleanup($(el).text() || "");
-        if (!elText) return;
-        if (LEGAL_MENU_RE.test(elText) || /^©\s?\d{4}/.test(elText)) return;
-
-        const $el = $(el);
-        // headings + lead + paragraphs feel like a true description
-        const text = [
-          $el.find('h1,h2,h3,h4,h5,strong,b,.lead,.intro').map((i, n) => $(n).text()).get().join(' '),
-          $el.find('p').map((i, n) => $(n).text()).get().join(' ')
-        ].join(' ');
-        const cleaned = cleanup(text);
-        if (cleaned && cleaned.length > cleanup(best).length) best = cleaned;
-      });
+    let best = "";
+    $(selectors).each((_, el) => {
+      // ADD: skip footer/nav wrappers & legal-like text
+      if (isFooterOrNav($, el)) return;
+      const elText = cleanup($(el).text() || "");
+      if (!elText) return;
+      if (LEGAL_MENU_RE.test(elText) || /^©\s?\d{4}/.test(elText)) return;
 
-      // 2) Fallback: longest paragraph anywhere in main content (skip footer/nav)
-      if (!best) {
-        const scope = $('main,#main,.main,#content,.content').first(); // avoid body-wide scan
-        const paras = scope.find('p').map((i, el) => {
-          if (isFooterOrNav($, el)) return "";
-          const t = cleanup($(el).text());
-          return LEGAL_MENU_RE.test(t) ? "" : t;
-        }).get().filter(Boolean);
+      const $el = $(el);
+      // headings + lead + paragraphs feel like a true description
+      const text = [
+        $el.find('h1,h2,h3,h4,h5,strong,b,.lead,.intro').map((i, n) => $(n).text()).get().join(' '),
+        $el.find('p').map((i, n) => $(n).text()).get().join(' ')
+      ].join(' ');
+      const cleaned = cleanup(text);
+      if (cleaned && cleaned.length > cleanup(best).length) best = cleaned;
+    });
 
-        best = paras.reduce((longest, cur) => (cur.length > longest.length ? cur : longest), "");
-      }
-      return best || "";
-    })() || og.description || $('meta[name="description"]').attr('content') || ""
-  );
+    // 2) Fallback: longest paragraph anywhere in main content (skip footer/nav)
+    if (!best) {
+      const scope = $('main,#main,.main,#content,.content').first(); // avoid body-wide scan
+      const paras = scope.find('p').map((i, el) => {
+        if (isFooterOrNav($, el)) return "";
+        const t = cleanup($(el).text());
+        return LEGAL_MENU_RE.test(t) ? "" : t;
+      }).get().filter(Boolean);
+
+      best = paras.reduce((longest, cur) => (cur.length > longest.length ? cur : longest), "");
+    }
+    return best || "";
+  };
+  let description_raw = "";
+  for (const [pick, source] of [
+    [() => mergedSD.description, sdField('description')],
+    [domDescription, 'dom:description'],
+    [() => og.description, 'og:description'],
+    [() => $('meta[name="description"]').attr('content'), 'meta:description'],
+  ]) {
+    const v = pick();
+    if (v) { description_raw = cleanup(v); prov.field('description_raw', source, description_raw); break; }
+  }
+  if (mergedSD.description) prov.alternative('description_raw', 'dom:description', cleanup(domDescription()));
+  prov.alternative('description_raw', 'og:description', og.description);
 
   const images  = extractImages($, mergedSD, og, baseUrl, name, html, opts);
   const manuals = extractManuals($, baseUrl, name, html, opts);
+  const imageSource = (u) =>
+    sdSource(o => (o.images || []).some(x => x && abs(baseUrl, x) === u)) ||
+    (og.image && abs(baseUrl, og.image) === u ? 'og:image' : 'extractImages');
+  for (const img of images) prov.image(img, imageSource(img && img.url));
 
   /* ================== SKU Helpers (ADD-ONLY) ================== */
   function _normSkuVal(v){
@@ -1445,6 +2087,8 @@ function extractNormalized(baseUrl, html, opts) {
       // raw URL basename only, which could silently swap in blurry
       // thumbnails for dynamic resize-service CDNs.)
       const combined = [...(images||[]).map(i => ({ url: i.url })), ...extraImgs];
+      const primary = new Set((images||[]).map(i => i.url));
+      for (const x of extraImgs) if (x && !primary.has(x.url)) prov.image(x, 'extractImagesPlus');
       const deduped = dedupeImageObjs(combined, 12);
       images.length = 0; deduped.forEach(x => images.push(x));
     }
@@ -1460,12 +2104,21 @@ function extractNormalized(baseUrl, html, opts) {
   /* ==== END ADD-ONLY ==== */
 
   let specs    = Object.keys(mergedSD.specs || {}).length ? mergedSD.specs : extractSpecsSmart($);
+  const sdSpecs = specs === mergedSD.specs;
+  for (const [k, v] of Object.entries(specs)) {
+    prov.spec(k, sdSpecs ? (sdSource(o => o.specs && k in o.specs) || 'structured') : 'extractSpecsSmart', v);
+  }
+  const noteNewSpecs = (before, after, source) => {
+    for (const [k, v] of Object.entries(after || {})) if (!(k in before)) prov.spec(k, source, v);
+  };
 
   /* ==== MEDX ADD-ONLY: merge extras from embedded JSON v1 ==== */
   try {
     const extraJsonSpecs = extractSpecsFromScripts($);
     if (extraJsonSpecs && Object.keys(extraJsonSpecs).length) {
+      const before = specs;
       specs = mergeSpecsAdditive(specs, extraJsonSpecs);
+      noteNewSpecs(before, specs, 'extractSpecsFromScripts');
     }
   } catch {}
 
@@ -1473,7 +2126,9 @@ function extractNormalized(baseUrl, html, opts) {
   try {
     const jsonldAll = extractJsonLdAllProductSpecs($); // (ADD: now internally constrained to same page)
     if (jsonldAll && Object.keys(jsonldAll).length) {
+      const before = specs;
       specs = mergeSpecsAdditive(specs, jsonldAll);
+      noteNewSpecs(before, specs, 'extractJsonLdAllProductSpecs');
     }
   } catch {}
 
@@ -1481,7 +2136,9 @@ function extractNormalized(baseUrl, html, opts) {
   try {
     const globalPairs = extractAllSpecPairs($);
     if (globalPairs && Object.keys(globalPairs).length) {
+      const before = specs;
       specs = mergeSpecsAdditive(specs, globalPairs);
+      noteNewSpecs(before, specs, 'extractAllSpecPairs');
     }
   } catch {}
 
@@ -1498,13 +2155,27 @@ function extractNormalized(baseUrl, html, opts) {
   if (mergedSD.features && mergedSD.features.length) {
     features = dedupeList([...(mergedSD.features || []), ...features]).slice();
   }
+  // Lowest precedence first so the preferred extractor's record wins.
+  (featPara || []).forEach(f => prov.feature(f, 'deriveFeaturesFromParagraphs'));
+  (featSmart || []).forEach(f => prov.feature(f, 'extractFeaturesSmart'));
+  (mergedSD.features || []).forEach(f => prov.feature(f, sdSource(o => (o.features || []).includes(f)) || 'structured'));
 
   const imgs = images.length ? images : fallbackImagesFromMain($, baseUrl, og, opts);
   const mans = manuals.length ? manuals : fallbackManualsFromPaths($, baseUrl, name, html);
+  if (!images.length) imgs.forEach(img => prov.image(img, 'fallbackImagesFromMain'));
 
-  if (!features.length) features = deriveFeaturesFromParagraphs($);
-  if (!Object.keys(specs).length) specs = deriveSpecsFromParagraphs($);
-  if (!description_raw) description_raw = firstGoodParagraph($);
+  if (!features.length) {
+    features = deriveFeaturesFromParagraphs($);
+    features.forEach(f => prov.feature(f, 'deriveFeaturesFromParagraphs'));
+  }
+  if (!Object.keys(specs).length) {
+    specs = deriveSpecsFromParagraphs($);
+    noteNewSpecs({}, specs, 'deriveSpecsFromParagraphs');
+  }
+  if (!description_raw) {
+    description_raw = firstGoodParagraph($);
+    prov.field('description_raw', 'firstGoodParagraph', description_raw);
+  }
   const sku_final = resolveSku($, { mergedSD, og, html, name, brand });
 
   return {
@@ -2217,19 +2888,23 @@ function extractImages($, structured, og, baseUrl, name, rawHtml, opts){
     'bigcommerce','cloudinary','imgix','scene7','mzstatic'
   ].join('|'), 'i');
 
+  // Site profile image rules (images.deny / images.prefer)
+  const siteImages = profileImagePatterns(baseUrl);
+
   const pushEl = ($el, url, baseWeight = 0) => {
     if (!url) return;
     if (/^data:/i.test(url)) return;
     const absu = abs(baseUrl, url);
-    if (isCompassPlaceholder(absu)) return;
     if (!absu) return;
+    if (siteImages.deny.some(re => re.test(absu))) return;
 
     if (!allowWebExt.test(absu)) return;
     if (badRe.test(absu)) return;
     if (isBadImageUrl(absu, $el)) return;                  // << hard block for listed offenders
 
-    // prefer same site or known CDNs unless aggressive
-    if (!aggressive && !isSameSiteOrCdn(baseUrl, absu) && !/\/media\/images\/items\//i.test(absu)) return;
+    // prefer same site or known CDNs unless aggressive (or the profile prefers it)
+    const profilePreferred = siteImages.prefer.some(re => re.test(absu));
+    if (!aggressive && !isSameSiteOrCdn(baseUrl, absu) && !profilePreferred) return;
 
     const ctxScore = scoreByContext($, $el[0] || $el, { mainOnly, baseUrl });
     if (ctxScore <= -999) return;
@@ -2246,12 +2921,9 @@ function extractImages($, structured, og, baseUrl, name, rawHtml, opts){
     let score = baseWeight + ctxScore;
     const L = absu.toLowerCase();
 
-    // Prefer real Compass product images, but block placeholders
-    if (/compasshealthbrands\.com\/media\/images\/items\//i.test(absu)) {
-      if (/noimage/i.test(absu)) return; // hard stop: don't add this image
-      score += 6; // strong nudge to keep PB42BARBED Angle.jpg and friends
-    }
-    
+    // Strong nudge for the profile's real product image paths
+    if (profilePreferred) score += 6;
+
     if (preferRe.test(L)) score += 2;
     if (codeCandidates.some(c => c && L.includes(c))) score += 2;
     if (titleTokens.some(t => t.length > 2 && L.includes(t))) score += 1;
@@ -2466,57 +3138,6 @@ function extractImages($, structured, og, baseUrl, name, rawHtml, opts){
 }
 
 /* ================== ADD-ONLY: Enhanced image harvester (CDN + main scope) ================== */
-/* === Compass image harvester (ADD-ONLY) === */
-function harvestCompassItemImages($, baseUrl, rawHtml){
-  const out = new Set();
-  const add = (u) => {
-    if (!u) return;
-    const absu = abs(baseUrl, u);
-    if (!absu) return;
-    if (isCompassPlaceholder(absu)) return;
-    if (!/\.(?:jpe?g|png|webp)(?:[?#].*)?$/i.test(absu)) return;
-    out.add(absu);
-  };
-
-  // 1) Direct anchors
-  $('a[href]').each((_, a) => {
-    const href = String($(a).attr('href') || '');
-    if (/\/media\/images\/items\//i.test(href)) add(href);
-  });
-
-  // 2) Common product attributes
-  $('[data-zoom-image],[data-large_image],[data-image]').each((_, el) => {
-    ['data-zoom-image','data-large_image','data-image'].forEach(attr => add($(el).attr(attr)));
-  });
-
-  // 3) MagicZoom / CloudZoom
-  $('.MagicZoom, .cloudzoom-zoom, [data-zoom]').each((_, el) => {
-    add($(el).attr('href') || $(el).attr('data-zoom'));
-  });
-
-  // 4) Script & raw HTML sweep
-  const scan = (txt) => {
-    if (!txt) return;
-    const re = /(https?:\/\/[^"'<>]+\/media\/images\/items\/[^"'<>]+?\.(?:jpe?g|png|webp))(?:\?[^"'<>]*)?/ig;
-    let m; while ((m = re.exec(txt))) add(m[1]);
-  };
-  $('script').each((_, s) => scan(String($(s).contents().text() || '')));
-  scan(rawHtml || '');
-
-  // Rank likely angles higher
-  const ranked = Array.from(out)
-    .map(u => {
-      let score = 0;
-      if (/(angle|front|left|right|back|hi[-_]?res|zoom)/i.test(u)) score += 3;
-      if (/%20|[-_](angle|front|left|right|back)\b/i.test(u)) score += 2;
-      return { url: u, score };
-    })
-    .sort((a,b) => b.score - a.score)
-    .map(x => x.url);
-
-  return ranked;
-}
-
 function extractImagesPlus($, structured, og, baseUrl, name, rawHtml, opts) {
   const excludePng = (opts && typeof opts.excludePng === 'boolean') ? opts.excludePng : EXCLUDE_PNG_ENV;
   const mainOnly   = !!(opts && (opts.mainOnly || opts.mainonly));
@@ -2525,12 +3146,14 @@ function extractImagesPlus($, structured, og, baseUrl, name, rawHtml, opts) {
 
   const scope = findMainProductScope($);
   const scores = new Map(); // url -> score
+  const siteImages = profileImagePatterns(baseUrl);
 
   const push = (node, url, baseScore = 0) => {
     if (!url) return;
     const u = decodeHtml(abs(baseUrl, url));
     if (!u || !allowWebExt.test(u)) return;
     if (isBadImageUrl(u)) return;
+    if (siteImages.deny.some(re => re.test(u))) return;
     if (!isSameSiteOrCdn(baseUrl, u)) return;
 
     const ctx = scoreByContext($, node, { mainOnly, baseUrl });
@@ -2538,11 +3161,8 @@ function extractImagesPlus($, structured, og, baseUrl, name, rawHtml, opts) {
 
     let score = baseScore + ctx;
 
-    // Prefer Compass real product images (but never placeholders)
-    if (/compasshealthbrands\.com\/media\/images\/items\//i.test(u)) {
-      if (/noimage/i.test(u)) return;
-      score += 6;
-    }
+    // Prefer the profile's real product image paths
+    if (siteImages.prefer.some(re => re.test(u))) score += 6;
 
     scores.set(u, Math.max(scores.get(u) || 0, score));
   };
@@ -2601,42 +3221,6 @@ function extractImagesPlus($, structured, og, baseUrl, name, rawHtml, opts) {
     .sort((a, b) => b.score - a.score);
 
   return ranked.slice(0, 8).map(r => ({ url: r.url }));
-  
-  const seen = new Set();
-  let out = [];
-  for (const s of scored) {
-    if (isCompassPlaceholder(s.url)) continue; // final guard
-    let baseKey = s.url.split("/").pop().split("?")[0];
-    try { baseKey = decodeURIComponent(baseKey); } catch {}
-    baseKey = baseKey.toLowerCase();
-    if (seen.has(baseKey)) continue;
-    seen.add(baseKey);
-    out.push({ url: s.url });
-    if (out.length >= 12) break;
-  }
-
-  // --- Compass fix-up: merge real /media/images/items/* images if we have room
-  try {
-    if (isCompassHost(targetUrl)) {
-      const compImgs = harvestCompassItemImages($, baseUrl, rawHtml);
-      if (compImgs.length) {
-        const have = new Set(out.map(o => {
-          let b = (o.url || '').split('/').pop().split('?')[0];
-          try { b = decodeURIComponent(b); } catch {}
-          return b.toLowerCase();
-        }));
-        for (const u of compImgs) {
-          let k = u.split('/').pop().split('?')[0];
-          try { k = decodeURIComponent(k); } catch {}
-          k = k.toLowerCase();
-          if (!have.has(k)) { out.push({ url: u }); have.add(k); }
-          if (out.length >= 12) break;
-        }
-      }
-    }
-  } catch {}
-
-  return out;
 }
 
 
@@ -3391,17 +3975,15 @@ function parseDojoTabs($, baseUrl, tablistRoot) {
   return out;
 }
 
-async function hydrateLazyTabs(tabs, renderApiUrl, headers = {}) {
+async function hydrateLazyTabs(tabs, renderApiUrl, headers = {}, signal = null) {
   if (!tabs || !tabs.length || !renderApiUrl) return tabs || [];
-  const base = renderApiUrl.replace(/\/+$/,'');
   const out = [];
 
   for (const t of tabs) {
     const tt = { ...t };
     if (!tt.html && tt.href) {
       try {
-        const url = `${base}/render?url=${encodeURIComponent(tt.href)}&mode=full`;
-        const { html } = await fetchWithRetry(url, { headers });
+        const html = await renderPaneCached(tt.href, renderApiUrl, { headers, signal });
         const $p = cheerio.load(html);
         tt.html = $p.root().html() || '';
         tt.text = $p.root().text().replace(/\s+/g,' ').trim();
@@ -3808,16 +4390,14 @@ function collectTabCandidates($, baseUrl){
 }
 
 /* ================== ADD-ONLY: Hydrate generic remote panes ================== */
-async function hydrateRemotePanes(cands, renderApiUrl, headers = {}) {
-  if (!cands || !cands.length) return cands;
-  const base = (renderApiUrl || '').replace(/\/+$/, '');
+async function hydrateRemotePanes(cands, renderApiUrl, headers = {}, signal = null) {
+  if (!cands || !cands.length || !renderApiUrl) return cands;
   const out = [];
   for (const c of cands) {
     const copy = { ...c };
     if ((!copy.html || copy.html.length < 40) && copy.href) {
       try {
-        const url = `${base}/render?url=${encodeURIComponent(copy.href)}&mode=full`;
-        const { html } = await fetchWithRetry(url, { headers });
+        const html = await renderPaneCached(copy.href, renderApiUrl, { headers, signal });
         copy.html = html || '';
         copy.text = cleanup(cheerio.load(html).root().text() || '');
       } catch {}
@@ -3933,7 +4513,7 @@ function finalizePaneImages(paneImgSet, baseUrl, opts){
 /* ================== ADD-ONLY: Unified Tab Harvester (entry point) ================== */
 async function unifiedTabHarvest($, baseUrl, renderApiUrl, headers, opts){
   const cands0 = collectTabCandidates($, baseUrl);
-  const cands  = await hydrateRemotePanes(cands0, renderApiUrl, headers);
+  const cands  = await hydrateRemotePanes(cands0, renderApiUrl, headers, opts && opts.signal);
   const buckets= bucketizeTabs(cands);
   const add    = extractFromBuckets($, buckets, baseUrl);
 
@@ -4348,18 +4928,16 @@ function extractDescriptionFromContainer($, container){
   return out.join('\n');
 }
 /* ====== Markdown builders ====== */
-function extractDescriptionMarkdown($){
+function extractDescriptionMarkdown($, descSelector){
 
-  // Simport.com: if #description exists, take it directly
-  try {
-    const canon = $('link[rel="canonical"]').attr('href')
-              || $('meta[property="og:url"]').attr('content')
-              || '';
-    if (/simport\.com/i.test(canon) && $('#description').length) {
-      const raw = extractDescriptionFromContainer($, $('#description')[0]);
+  // Site profile description container (selectors.description): take it directly
+  if (descSelector) {
+    try {
+      const $desc = $(descSelector);
+      const raw = $desc.length ? extractDescriptionFromContainer($, $desc[0]) : "";
       if (raw) return containerTextToMarkdown(raw);
-    }
-  } catch {}
+    } catch {}
+  }
 
   const candidates = [
     // Standard semantic description attribute
@@ -4639,10 +5217,14 @@ function deepFindImagesFromJson(obj, out = []){
 
 /* === VARIANTS & FAMILY — AUGMENT-ONLY HELPERS === */
 
-/** Compute family_id/slug_full from a BD-style product URL. Safe no-op for others. */
-function computeFamilyFromUrl(url) {
+/**
+ * Compute family_id/slug_full from a product URL using a site profile's
+ * slug_pattern (first capture group is the slug). No-op without a pattern.
+ */
+function computeFamilyFromUrl(url, slugPattern) {
   try {
-    const m = String(url || '').match(/product-page\.([a-z0-9-]+)/i);
+    const re = profileRegex(slugPattern);
+    const m = re ? String(url || '').match(re) : null;
     if (!m || !m[1]) return { family_id: '', slug_full: '' };
     const slug_full = m[1];
     const slug_root = slug_full.replace(/[\d-]+$/, ''); // strip trailing digits/hyphens
@@ -4791,9 +5373,11 @@ function prunePartsLikeSpecs(specs = {}){
 /* ================== Tab harvest orchestrator ================== */
 async function augmentFromTabs(norm, baseUrl, html, opts){
   const $ = cheerio.load(html);
+  // "" when ingesting supplied HTML: remote panes are then left unhydrated.
+  const renderApiUrl = opts && opts.renderApiUrl != null ? opts.renderApiUrl : RENDER_API_URL;
   try {
     if (!norm.family_id || !norm.slug_full) {
-      const fam = computeFamilyFromUrl(baseUrl);
+      const fam = computeFamilyFromUrl(baseUrl, opts && opts.slugPattern);
       if (fam.slug_full && !norm.slug_full) norm.slug_full = fam.slug_full;
       if (fam.family_id && !norm.family_id) norm.family_id = fam.family_id;
     }
@@ -4801,7 +5385,7 @@ async function augmentFromTabs(norm, baseUrl, html, opts){
   
   // === START: static tab harvest via tabHarvester.js ===
   try {
-    const { tabs, includedItems, productsInclude } = await harvestTabsFromHtml(html, baseUrl);
+    const { tabs, includedItems, productsInclude } = await harvestTabsFromHtml(html, baseUrl, { signal: opts && opts.signal, maxBytes: MAX_HTML_BYTES });
     if (tabs && tabs.length) {
       norm.tabs = tabs;
     }
@@ -5002,7 +5586,7 @@ async function augmentFromTabs(norm, baseUrl, html, opts){
   try {
     const headers = { "User-Agent": "MedicalExIngest/1.7" };
     if (RENDER_API_TOKEN) headers["Authorization"] = `Bearer ${RENDER_API_TOKEN}`;
-    const uni = await unifiedTabHarvest($, baseUrl, RENDER_API_URL, headers, opts);
+    const uni = await unifiedTabHarvest($, baseUrl, renderApiUrl, headers, opts);
 
     if (uni.desc && uni.desc.length > (norm.description_raw || '').length) {
       norm.description_raw = mergeDescriptions(norm.description_raw || "", uni.desc);
@@ -5043,7 +5627,7 @@ async function augmentFromTabs(norm, baseUrl, html, opts){
     if (dojoTabs0.length) {
       const headers = { "User-Agent": "MedicalExIngest/1.7" };
       if (RENDER_API_TOKEN) headers["Authorization"] = `Bearer ${RENDER_API_TOKEN}`;
-      const dojoTabs = await hydrateLazyTabs(dojoTabs0, RENDER_API_URL, headers);
+      const dojoTabs = await hydrateLazyTabs(dojoTabs0, renderApiUrl, headers, opts && opts.signal);
 
       const specNames = ['specification','specifications','technical specifications','tech specs','details'];
       const featNames = ['features','features/benefits','benefits','key features','highlights'];
@@ -5139,75 +5723,25 @@ async function augmentFromTabs(norm, baseUrl, html, opts){
     if (d && d.length > addDesc.length) addDesc = d;
   }
 
-  // --- Simport.com override: prefer #description paragraphs over long tab panes ---
-  try {
-    const host = new URL(baseUrl).hostname.toLowerCase();
-    if (/(^|\.)simport\.com$/.test(host)) {
-      // Pull only <p> text inside #description (keeps Cat. No. table out of overview)
-      const simportParas = $('#description').find('p')
+  // Site profile description container: its paragraphs beat long tab panes
+  // (keeps e.g. a catalogue-number table out of the overview).
+  const profile = opts && opts.profile;
+  const descSelector = profile && profile.selectors && profile.selectors.description;
+  if (descSelector) {
+    try {
+      const profileDesc = $(descSelector).find('p')
         .map((_, p) => $(p).text().trim())
         .get()
-        .filter(Boolean);
-  
-      const simportDesc = simportParas.join('\n').trim();
-      if (simportDesc && simportDesc.length > (addDesc || '').length) {
-        addDesc = simportDesc;
-      }
-    }
-  } catch {}
-
-  // --- Simport.com override: harvest Technical Data Sheet manuals ---
-  try {
-    const host2 = new URL(baseUrl).hostname.toLowerCase();
-    if (/(^|\.)simport\.com$/.test(host2)) {
-  
-      const techTab = $('#tab_technical_data_sheet');
-  
-      if (techTab && techTab.length) {
-        const manuals = [];
-  
-        techTab.find('a').each((i, el) => {
-          const href = $(el).attr('href') || '';
-          const label = $(el).text().trim();
-  
-          if (href.includes('controller=attachment')) {
-            manuals.push({
-              url: new URL(href, baseUrl).href,
-              label: label || 'Download'
-            });
-          }
-        });
-  
-        if (manuals.length > 0) {
-          norm.manuals = Array.isArray(norm.manuals) ? norm.manuals : [];
-  
-          const seen = new Set(norm.manuals);
-          for (const m of manuals) {
-            if (!seen.has(m.url)) {
-              norm.manuals.push(m.url);
-              seen.add(m.url);
-            }
-          }
-  
-          norm.pdf_manual_urls = manuals.map(m => m.url);
-  
-          // SAFE warning push
-          if (opts && opts.diag) {
-            (opts.diag.warnings ||= []).push(
-              `simport: harvested ${manuals.length} manuals`
-            );
-          }
-        }
-      }
-    }
-  } catch (err) {
-    if (opts && opts.diag) {
-      (opts.diag.warnings ||= []).push(
-        'simport-manuals-extract failed: ' + err.message
-      );
-    }
+        .filter(Boolean)
+        .join('\n')
+        .trim();
+      if (profileDesc && profileDesc.length > (addDesc || '').length) addDesc = profileDesc;
+    } catch {}
   }
-  
+
+  // Site profile manual harvester (manuals: { harvester, selector })
+  if (profile && profile.manuals) applyProfileManuals(norm, $, baseUrl, profile, opts.diag);
+
   if (addDesc) norm.description_raw = mergeDescriptions(norm.description_raw || "", addDesc);
   if (Object.keys(addSpecs).length) norm.specs = { ...(norm.specs || {}), ...prunePartsLikeSpecs(addSpecs) };
 
@@ -5251,7 +5785,7 @@ async function augmentFromTabs(norm, baseUrl, html, opts){
 }
 
 /* ================== Optional post-processor (gated by &sanitize=true) ================== */
-function sanitizeIngestPayload(p) {
+function sanitizeIngestPayload(p, profile) {
   const out = { ...p };
 
   const legalRe = /\b(privacy|terms|cookies?|trademark|copyright|©|™|®|newsletter|subscribe|sitemap|back\s*to\s*top|about|careers|press|blog|faq|support|returns?|shipping|track\s*order|store\s*locator|contact|account|login|facebook|instagram|twitter|linkedin)\b/i;
@@ -5290,19 +5824,19 @@ function sanitizeIngestPayload(p) {
     '\\/theme_options\\/',
     '\\/wysiwyg\\/[^?#]*(?:banner|payment|footer)',
     // (Optional) thumbnails (safe forms only)
-    '(?:[\\/_.-]thumb(?:nail)?s?(?:[\\/_.-]|$))',
-    // Reported vendor-specific offenders
-    'imgcdn\\.mckesson\\.com\\/CumulusWeb\\/Images\\/Item_Detail\\/\\d+_ppkg(?:left|right|back)\\d*\\.jpg',
-    'compasshealthbrands\\.com\\/media\\/images\\/items\\/noimage'
+    '(?:[\\/_.-]thumb(?:nail)?s?(?:[\\/_.-]|$))'
   ].join('|'), 'i');
+  // Site-specific offenders come from the profile's images.deny; its
+  // images.rewrite swaps in full-size variants first.
+  const siteImages = (profile && profile.images) || {};
+  const denyImg = (siteImages.deny || []).map(profileRegex);
+  const rewrites = (siteImages.rewrite || []).map((r) => ({ re: profileRegex(r.match), to: r.replace }));
   out.images = (out.images || [])
     .map((o) => {
-      if (o && o.url && /imgcdn\.mckesson\.com\/CumulusWeb\/Images\/(Item_Detail|High_Res)\//i.test(o.url)) {
-        return { ...o, url: o.url.replace(/\/(Item_Detail|High_Res)\//i, '/Original_Image/') };
-      }
-      return o;
+      const r = o && o.url && rewrites.find(({ re }) => re.test(o.url));
+      return r ? { ...o, url: o.url.replace(r.re, r.to) } : o;
     })
-    .filter((o) => o && o.url && !badImg.test(o.url))
+    .filter((o) => o && o.url && !badImg.test(o.url) && !denyImg.some((re) => re.test(o.url)))
     .slice();
 
   const badSpecKey = /\b(privacy|terms|copyright|©|™|®)\b/i;
@@ -5366,12 +5900,135 @@ function dedupeList(arr) {
   });
 }
 
-/* ================== Compass-only helpers (ADD-ONLY) ================== */
-function isCompass(u){
-  try { return /(^|\.)compasshealthbrands\.com$/i.test(new URL(u).hostname); }
-  catch { return false; }
+/* ================== Site profile helpers ================== */
+// Selectors name the containers that hold the description, specs, features
+// and gallery on a given site. What they find takes precedence over the
+// generic extraction, since a profile is written for that exact markup.
+function applyProfileSelectors(norm, $, baseUrl, selectors, diag){
+  const pick = (sel) => {
+    if (!sel) return null;
+    try { const $el = $(sel); return $el.length ? $el : null; }
+    catch (e) { diag.warnings.push(`profile selector ${JSON.stringify(sel)}: ${e.message || e}`); return null; }
+  };
+
+  const $desc = pick(selectors.description);
+  if ($desc) {
+    const d = extractDescriptionFromContainer($, $desc.first());
+    if (d) norm.description_raw = d;
+  }
+
+  const $specs = pick(selectors.specs);
+  if ($specs) {
+    const specs = {};
+    $specs.each((_, el) => Object.assign(specs, extractSpecsFromContainer($, $(el))));
+    if (Object.keys(specs).length) norm.specs = { ...(norm.specs || {}), ...specs };
+  }
+
+  const $feats = pick(selectors.features);
+  if ($feats) {
+    const feats = [];
+    $feats.each((_, el) => feats.push(...extractFeaturesFromContainer($, $(el))));
+    if (feats.length) norm.features_raw = dedupeList(feats);
+  }
+
+  const $imgs = pick(selectors.images);
+  if ($imgs) {
+    const urls = [];
+    $imgs.find('img, source').addBack('img, source').each((_, n) => {
+      const $n = $(n);
+      const src = pickLargestFromSrcset($n.attr('srcset')) || $n.attr('data-src') || $n.attr('src') || '';
+      if (src) urls.push(abs(baseUrl, src));
+    });
+    if (urls.length) {
+      const seen = new Set();
+      norm.images = [...urls.map(url => ({ url })), ...(norm.images || [])]
+        .filter(o => o && o.url && !seen.has(o.url) && seen.add(o.url));
+    }
+  }
 }
 
+// Run a platform tab harvester (harvesters/index.js) named by the profile
+// and fold its panes in through the same buckets as the unified harvester.
+function applyProfileHarvester(norm, $, html, baseUrl, siteType, diag){
+  const harvest = getTabHarvester(String(siteType).toLowerCase());
+  if (!harvest) {
+    diag.warnings.push(`profile harvester "${siteType}" is not known`);
+    return;
+  }
+  // Salesforce works on the HTML string; the others take a cheerio root.
+  const tabs = siteType === 'salesforce' ? harvest(html) : harvest($);
+  if (!Array.isArray(tabs) || !tabs.length) return;
+
+  const cands = tabs.map(t => ({ title: t.title || '', html: t.rawHtml || t.html || '', text: t.text || '' }));
+  const add = extractFromBuckets($, bucketizeTabs(cands), baseUrl);
+
+  if (add.desc && add.desc.length > (norm.description_raw || '').length) {
+    norm.description_raw = mergeDescriptions(norm.description_raw || "", add.desc);
+  }
+  const specs = prunePartsLikeSpecs(add.specs || {});
+  if (Object.keys(specs).length) norm.specs = { ...specs, ...(norm.specs || {}) };
+  const seen = new Set((norm.features_raw || []).map(v => String(v).toLowerCase()));
+  for (const f of add.features || []) {
+    const k = String(f).toLowerCase();
+    if (!seen.has(k)) { (norm.features_raw ||= []).push(f); seen.add(k); }
+  }
+  const have = new Set(norm.manuals || []);
+  for (const u of dedupeManualUrls(Array.from(add.manuals || []))) {
+    if (!have.has(u)) { (norm.manuals ||= []).push(u); have.add(u); }
+  }
+}
+
+// Keep only images matching an `allow` pattern (when any are given), then
+// drop those matching a `deny` pattern.
+function applyProfileImageRules(images, rules){
+  const allow = (rules && rules.allow || []).map(profileRegex);
+  const deny  = (rules && rules.deny  || []).map(profileRegex);
+  return images.filter(img => {
+    const u = String((img && img.url) || img || '');
+    if (allow.length && !allow.some(re => re.test(u))) return false;
+    return !deny.some(re => re.test(u));
+  });
+}
+
+// Manual link harvesters a profile can pick with manuals.harvester. Each
+// returns the absolute manual URLs found under $scope.
+const MANUAL_HARVESTERS = {
+  // PrestaShop product attachments: index.php?controller=attachment&id_attachment=N
+  prestashop_attachments($, $scope, baseUrl){
+    const out = [];
+    $scope.find('a[href]').each((_, el) => {
+      const href = String($(el).attr('href') || '');
+      if (href.includes('controller=attachment')) out.push(new URL(href, baseUrl).href);
+    });
+    return out;
+  },
+};
+
+// Run the profile's manual harvester and add what it finds to norm.manuals;
+// the harvested links also become norm.pdf_manual_urls.
+function applyProfileManuals(norm, $, baseUrl, profile, diag){
+  const { harvester, selector } = profile.manuals;
+  const harvest = MANUAL_HARVESTERS[String(harvester).toLowerCase()];
+  const warn = (msg) => { if (diag) diag.warnings.push(`profile ${profile.name}: ${msg}`); };
+  if (!harvest) return warn(`manual harvester "${harvester}" is not known`);
+  try {
+    const $scope = selector ? $(selector) : $.root();
+    if (!$scope.length) return;
+    const urls = [...new Set(harvest($, $scope, baseUrl))];
+    if (!urls.length) return;
+    norm.manuals = Array.isArray(norm.manuals) ? norm.manuals : [];
+    const seen = new Set(norm.manuals);
+    for (const u of urls) {
+      if (!seen.has(u)) { norm.manuals.push(u); seen.add(u); }
+    }
+    norm.pdf_manual_urls = urls;
+  } catch (e) {
+    warn(`manual harvest failed: ${e.message || e}`);
+  }
+}
+
+/* ================== Compass-only helpers (ADD-ONLY) ================== */
+
 function harvestCompassOverview($){
   const candPanels = $('.tab-content, .tabs-content, [role="tabpanel"], .accordion-content, #tabs, .product-details, .product-detail');
   let best = "";
@@ -5458,7 +6115,23 @@ function harvestCompassSpecs($) {
 
 /* ================== Listen ================== */
 const PORT = process.env.PORT || 8080;
-setupQueueRoutes(app);
+app.use(["/jobs", "/watches", "/scrape-queue", "/ingest-and-return"], requireScope("ingest"));
+setupUsageRoutes(app);
+setupQueueRoutes(app, {
+  ingest: async (q, opts) => ingestBody(await runIngest(q, opts)),
+});
+setupJobRoutes(app, {
+  run: async (q, report) => {
+    const result = await runIngest(q, { onProgress: report, deadlineMs: JOBS_TIMEOUT_MS });
+    return { body: ingestBody(result), ingestionId: result.ingestionId };
+  },
+  ownerFilter: ingestionOwnerFilter,
+});
+setupWatchRoutes(app, {
+  ingest: async (url, options) => (await runIngest({ ...options, url })).norm,
+  isAllowedUrl: (u) => !blockedUrlReason(u),
+  ownerFilter: ingestionOwnerFilter,
+});
 
 
 // Health endpoints (keep these near your routes)
@@ -5468,10 +6141,21 @@ app.get("/healthz", (_, res) => res.json({ ok: true }));
 // --- bind exactly once (Render sets PORT) ---
 if (process.env.NODE_ENV !== "test" && !global.__INGEST_LISTENING__) {
   const PORT = parseInt(process.env.PORT, 10) || 8080; // Render provides PORT (e.g., 10000)
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     global.__INGEST_LISTENING__ = true;
     console.log(`ingest-api listening on :${PORT}`);
+    startWatchScheduler();
   });
+  // Stop taking requests and close the pooled Chromium instances before exiting.
+  for (const sig of ["SIGTERM", "SIGINT"]) {
+    process.once(sig, () => {
+      console.log(`ingest-api: ${sig}, shutting down`);
+      server.close();
+      flushUsage();
+      shutdownBrowserPool().finally(() => process.exit(0));
+    });
+  }
 }
 
+export { ingestPipeline };
 export default app;
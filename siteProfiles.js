@@ -0,0 +1,201 @@
+// siteProfiles.js
+//
+// Per-domain site profiles. Each JSON file in SITE_PROFILES_DIR (default
+// ./site-profiles) describes one site: the hosts it applies to plus any of
+//
+//   selectors        { description, specs, features, images } CSS selectors;
+//                    the description container also wins over tab panes and
+//                    feeds description_md
+//   harvester        platform tab harvester (see harvesters/index.js)
+//   manuals          { harvester, selector } manual link harvester (see
+//                    MANUAL_HARVESTERS in server.js), optionally limited to
+//                    the elements matching `selector`
+//   manual_limit     how many manual PDFs to parse
+//   images           image URL rules:
+//                      allow    [regex] keep only matching images
+//                      deny     [regex] never take matching images
+//                      prefer   [regex] rank matching images first, even off-site
+//                      rewrite  [{ match: regex, replace }] applied by sanitize
+//   spec_key_map     raw spec label -> canonical key (specs_canonical)
+//   drop_phrases     site-chrome phrases removed from tabs/description
+//   drop_class_hints class names marking site-chrome tab panes
+//   slug_pattern     regex whose first group is the family slug in the URL
+//   stages           { enable: [name], skip: [name] } pipeline defaults
+//   renderer         "local" or ["local", "direct"]: renderer order for these
+//                    hosts (see RENDERER_POLICY in server.js)
+//   identity         name of the outbound identity (proxy, user agents,
+//                    headers) for these hosts (see outboundIdentity.js)
+//   politeness       { concurrency, rps, robots } outbound limits for these
+//                    hosts (see hostPoliteness.js)
+//
+// A profile matches a URL when its hostname equals one of `hosts` or is a
+// subdomain of one; the longest matching host wins. Files are read once at
+// startup and again whenever reloadSiteProfiles() is called. Only JSON is
+// supported: files with any other extension (.yaml, .yml, ...) are ignored.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'site-profiles');
+const PROFILES_DIR = process.env.SITE_PROFILES_DIR || DEFAULT_DIR;
+
+const REGEX_FIELDS = ['slug_pattern'];
+const REGEX_LIST_FIELDS = [['images', 'allow'], ['images', 'deny'], ['images', 'prefer']];
+
+let state = { dir: PROFILES_DIR, loadedAt: null, profiles: [], errors: [] };
+
+function toList(v) {
+  if (v == null) return [];
+  return (Array.isArray(v) ? v : [v]).map(s => String(s).trim()).filter(Boolean);
+}
+
+function checkRegex(src, where) {
+  try { new RegExp(src, 'i'); }
+  catch (e) { throw new Error(`${where}: invalid regex ${JSON.stringify(src)} (${e.message})`); }
+}
+
+/**
+ * Validate and normalise one parsed profile file. Throws with a readable
+ * message when the file cannot be used.
+ */
+function normalizeProfile(raw, file) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('profile must be a JSON object');
+  }
+  const hosts = toList(raw.hosts || raw.host).map(h => h.toLowerCase().replace(/^www\./, ''));
+  if (!hosts.length) throw new Error('profile needs at least one entry in "hosts"');
+
+  for (const f of REGEX_FIELDS) {
+    if (raw[f] != null) checkRegex(String(raw[f]), f);
+  }
+  for (const [outer, inner] of REGEX_LIST_FIELDS) {
+    for (const src of toList(raw[outer] && raw[outer][inner])) checkRegex(src, `${outer}.${inner}`);
+  }
+  const rewrites = raw.images && raw.images.rewrite;
+  if (rewrites != null && !Array.isArray(rewrites)) throw new Error('images.rewrite must be a list of { match, replace }');
+  for (const r of rewrites || []) {
+    if (!r || typeof r.match !== 'string' || typeof r.replace !== 'string') {
+      throw new Error('images.rewrite entries need a string "match" and "replace"');
+    }
+    checkRegex(r.match, 'images.rewrite.match');
+  }
+  const manuals = raw.manuals;
+  if (manuals != null) {
+    if (typeof manuals !== 'object' || Array.isArray(manuals)) throw new Error('manuals must be an object');
+    if (typeof manuals.harvester !== 'string' || !manuals.harvester.trim()) throw new Error('manuals.harvester must name a manual harvester');
+    if (manuals.selector != null && typeof manuals.selector !== 'string') throw new Error('manuals.selector must be a CSS selector');
+  }
+  if (raw.manual_limit != null && !(Number.isInteger(raw.manual_limit) && raw.manual_limit >= 0)) {
+    throw new Error('manual_limit must be a non-negative integer');
+  }
+  for (const r of toList(raw.renderer)) {
+    if (!['remote', 'local', 'direct'].includes(r.toLowerCase())) throw new Error(`renderer: unknown renderer "${r}" (expected remote|local|direct)`);
+  }
+  if (raw.identity != null && (typeof raw.identity !== 'string' || !raw.identity.trim())) {
+    throw new Error('identity must be the name of an outbound identity');
+  }
+  const polite = raw.politeness;
+  if (polite != null) {
+    if (typeof polite !== 'object' || Array.isArray(polite)) throw new Error('politeness must be an object');
+    if (polite.concurrency != null && !(Number.isInteger(polite.concurrency) && polite.concurrency >= 1)) {
+      throw new Error('politeness.concurrency must be a positive integer');
+    }
+    if (polite.rps != null && !(typeof polite.rps === 'number' && polite.rps >= 0)) {
+      throw new Error('politeness.rps must be a non-negative number (0 = no limit)');
+    }
+    if (polite.robots != null && typeof polite.robots !== 'boolean') throw new Error('politeness.robots must be true or false');
+  }
+
+  const stages = raw.stages || {};
+  const images = raw.images
+    ? { allow: toList(raw.images.allow), deny: toList(raw.images.deny), prefer: toList(raw.images.prefer), rewrite: rewrites || [] }
+    : undefined;
+  return {
+    ...raw,
+    name: String(raw.name || path.basename(file, '.json')),
+    hosts,
+    images,
+    stages: { enable: toList(stages.enable).map(s => s.toLowerCase()), skip: toList(stages.skip).map(s => s.toLowerCase()) },
+    file: path.basename(file),
+  };
+}
+
+/**
+ * (Re)read every *.json profile from `dir`. A broken file is reported in
+ * `errors` and skipped; it never prevents the others from loading.
+ *
+ * @param {string} [dir]
+ * @returns {{ dir: string, loadedAt: string, profiles: object[], errors: {file: string, error: string}[] }}
+ */
+export function loadSiteProfiles(dir = PROFILES_DIR) {
+  const profiles = [];
+  const errors = [];
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith('.json')).sort();
+  } catch (e) {
+    if (e.code !== 'ENOENT') errors.push({ file: dir, error: e.message });
+  }
+  for (const f of files) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+      profiles.push(normalizeProfile(raw, f));
+    } catch (e) {
+      errors.push({ file: f, error: e.message });
+    }
+  }
+  state = { dir, loadedAt: new Date().toISOString(), profiles, errors };
+  return state;
+}
+
+export function reloadSiteProfiles() {
+  return loadSiteProfiles(state.dir);
+}
+
+/**
+ * Find the profile for a URL (or bare hostname). Returns null when no
+ * profile applies.
+ *
+ * @param {string} url
+ * @returns {object|null}
+ */
+export function getSiteProfile(url) {
+  if (!state.loadedAt) loadSiteProfiles();
+  let host = '';
+  try { host = new URL(url).hostname.toLowerCase(); }
+  catch { host = String(url || '').toLowerCase(); }
+  if (!host) return null;
+
+  let best = null;
+  let bestLen = 0;
+  for (const p of state.profiles) {
+    for (const h of p.hosts) {
+      if ((host === h || host.endsWith('.' + h)) && h.length > bestLen) {
+        best = p;
+        bestLen = h.length;
+      }
+    }
+  }
+  return best;
+}
+
+/** Snapshot of the loaded registry for GET /site-profiles. */
+export function listSiteProfiles() {
+  if (!state.loadedAt) loadSiteProfiles();
+  return {
+    dir: state.dir,
+    loaded_at: state.loadedAt,
+    count: state.profiles.length,
+    profiles: state.profiles,
+    errors: state.errors,
+  };
+}
+
+/**
+ * Compile a profile regex field. Profiles are validated on load, so this
+ * only returns null when the field is absent.
+ */
+export function profileRegex(src) {
+  return src ? new RegExp(String(src), 'i') : null;
+}
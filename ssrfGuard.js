@@ -0,0 +1,260 @@
+// ssrfGuard.js
+//
+// Keeps outbound requests away from internal networks. With
+// ENABLE_SSRF_GUARD=true (default) a URL is refused (400 ESSRF) when its
+// host is localhost / *.localhost / *.local / a cloud metadata name, or when
+// any address it resolves to is loopback, private, carrier-grade NAT,
+// link-local (which covers 169.254.169.254 metadata), multicast or reserved.
+// IPv4-mapped and NAT64 IPv6 addresses are checked as the IPv4 they carry.
+//
+// guardedFetch() is what httpFetch (and so every ingest fetch), robots.txt
+// lookups and watch webhooks use:
+//   - DNS is resolved by the connection itself through a vetting lookup, so
+//     the socket goes to the very address that was checked (no rebinding
+//     between check and connect);
+//   - redirects are followed here, one hop at a time, and every hop is
+//     checked the same way. A hop to another host drops Authorization,
+//     Cookie, Proxy-Authorization and the caller's host-only headers (the
+//     outbound identity's).
+// Behind an outbound proxy (outboundIdentity.js) the proxy connects on its
+// own, so each hop is resolved and checked here first but cannot be pinned.
+// Renderer calls check the page they ask for with assertAllowedUrl(); the
+// local Chromium checks every request with guardPage().
+//
+// SSRF_ALLOWLIST (comma separated) lets internal test hosts through: host
+// names (exact, or ".example.test" for a domain and its subdomains), IPs and
+// CIDR ranges, e.g. "127.0.0.1,10.20.0.0/16,.staging.internal".
+
+import dns from 'node:dns';
+import net from 'node:net';
+import { Agent } from 'undici';
+
+const ENABLED = String(process.env.ENABLE_SSRF_GUARD || 'true').toLowerCase() === 'true';
+const MAX_REDIRECTS = 20;
+const REDIRECT_STATUS = new Set([301, 302, 303, 307, 308]);
+// Not sent on to a different host when following a redirect (as fetch() does).
+const CROSS_HOST_DROP = ['authorization', 'cookie', 'proxy-authorization'];
+
+const BLOCKED_NAMES = ['localhost', 'metadata.google.internal', 'metadata.goog', 'instance-data'];
+const BLOCKED_SUFFIXES = ['.localhost', '.local'];
+
+function rangeList(ranges) {
+  const list = new net.BlockList();
+  for (const r of ranges) {
+    const [addr, bits] = r.split('/');
+    list.addSubnet(addr, parseInt(bits, 10), net.isIPv6(addr) ? 'ipv6' : 'ipv4');
+  }
+  return list;
+}
+
+// Checked in order; the first match names the reason.
+const BLOCKED_RANGES = [
+  { reason: 'metadata', list: rangeList(['169.254.169.254/32', '100.100.100.200/32', 'fd00:ec2::254/128']) },
+  { reason: 'loopback', list: rangeList(['127.0.0.0/8', '::1/128']) },
+  { reason: 'private', list: rangeList(['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '100.64.0.0/10', 'fc00::/7']) },
+  { reason: 'link-local', list: rangeList(['169.254.0.0/16', 'fe80::/10']) },
+  { reason: 'multicast', list: rangeList(['224.0.0.0/4', 'ff00::/8']) },
+  { reason: 'reserved', list: rangeList(['0.0.0.0/8', '192.0.0.0/24', '198.18.0.0/15', '240.0.0.0/4', '::/128']) },
+];
+
+function parseAllowlist(raw) {
+  const names = [];
+  const ranges = new net.BlockList();
+  for (const item of String(raw || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean)) {
+    const [addr, bits] = item.split('/');
+    const family = net.isIP(addr);
+    if (!family) names.push(item);
+    else if (bits != null) ranges.addSubnet(addr, parseInt(bits, 10), family === 6 ? 'ipv6' : 'ipv4');
+    else ranges.addAddress(addr, family === 6 ? 'ipv6' : 'ipv4');
+  }
+  return { names, ranges };
+}
+
+const allow = parseAllowlist(process.env.SSRF_ALLOWLIST);
+
+export function ssrfError(url, reason) {
+  let host = '';
+  try { host = new URL(url).hostname; } catch {}
+  const err = new Error(`Blocked host${host ? ` ${host}` : ''} (${reason})`);
+  err.name = 'SsrfError';
+  err.code = 'ESSRF';
+  err.status = 400;
+  return err;
+}
+
+/** URL hostname without IPv6 brackets, lower-cased. */
+function hostOf(url) {
+  return new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+function nameAllowed(host) {
+  return allow.names.some(n => (n.startsWith('.') ? host === n.slice(1) || host.endsWith(n) : host === n));
+}
+
+/** The IPv4 address inside an IPv4-mapped (::ffff:a.b.c.d) or NAT64 (64:ff9b::/96) address. */
+function embeddedIpv4(ip) {
+  const m = /^(?:::ffff:|64:ff9b::)(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(ip);
+  if (!m) return null;
+  if (m[1]) return m[1];
+  const hi = parseInt(m[2], 16), lo = parseInt(m[3], 16);
+  return [hi >> 8, hi & 255, lo >> 8, lo & 255].join('.');
+}
+
+/**
+ * Why an IP address may not be contacted ('loopback', 'private', ...), or
+ * null when it may (public, or in SSRF_ALLOWLIST).
+ */
+export function blockedAddressReason(ip) {
+  const family = net.isIP(ip);
+  if (!family) return null;
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  if (allow.ranges.check(ip, type)) return null;
+  const v4 = family === 6 ? embeddedIpv4(ip) : null;
+  if (v4) return blockedAddressReason(v4);
+  for (const { reason, list } of BLOCKED_RANGES) if (list.check(ip, type)) return reason;
+  return null;
+}
+
+/**
+ * Why a URL may not be fetched, judging by the URL alone (scheme, host name,
+ * IP literal), or null. Does not resolve DNS.
+ */
+export function blockedUrlReason(url) {
+  let u;
+  try { u = new URL(url); } catch { return 'invalid url'; }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return `scheme ${u.protocol}`;
+  if (!ENABLED) return null;
+  const host = hostOf(url);
+  if (!host) return 'no host';
+  if (nameAllowed(host)) return null;
+  if (net.isIP(host)) return blockedAddressReason(host);
+  if (BLOCKED_NAMES.includes(host) || BLOCKED_SUFFIXES.some(s => host.endsWith(s))) return 'internal name';
+  return null;
+}
+
+/**
+ * Throw an ESSRF error unless `url` may be fetched. With `resolve`, the host
+ * name is looked up and every address it resolves to is checked; a name
+ * that does not resolve passes (the fetch itself will fail).
+ *
+ * @param {string} url
+ * @param {{ resolve?: boolean }} [opts]
+ */
+export async function assertAllowedUrl(url, { resolve = true } = {}) {
+  const reason = blockedUrlReason(url);
+  if (reason) throw ssrfError(url, reason);
+  if (!ENABLED || !resolve) return;
+  const host = hostOf(url);
+  if (net.isIP(host) || nameAllowed(host)) return;
+  let addrs = [];
+  try { addrs = await dns.promises.lookup(host, { all: true, verbatim: true }); } catch { return; }
+  for (const { address } of addrs) {
+    const why = blockedAddressReason(address);
+    if (why) throw ssrfError(url, `${why} address ${address}`);
+  }
+}
+
+/* ================== Pinned connections ================== */
+// net.connect() lookup: resolve, refuse if any address is blocked, and hand
+// back exactly the vetted addresses.
+function vettedLookup(hostname, options, callback) {
+  const host = String(hostname).toLowerCase();
+  dns.lookup(host, { ...options, all: true }, (err, addrs) => {
+    if (err) return callback(err);
+    // A resolver may answer with no addresses; fail like getaddrinfo would.
+    if (!addrs || !addrs.length) {
+      const e = new Error(`getaddrinfo ENOTFOUND ${host}`);
+      return callback(Object.assign(e, { code: 'ENOTFOUND', syscall: 'getaddrinfo', hostname: host }));
+    }
+    if (!nameAllowed(host)) {
+      for (const { address } of addrs) {
+        const why = blockedAddressReason(address);
+        if (why) return callback(ssrfError(`http://${host}/`, `${why} address ${address}`));
+      }
+    }
+    if (options && options.all) return callback(null, addrs);
+    callback(null, addrs[0].address, addrs[0].family);
+  });
+}
+
+let pinnedAgent = null;
+
+function pinnedFetch(input, init) {
+  if (!pinnedAgent) pinnedAgent = new Agent({ connect: { lookup: vettedLookup } });
+  return fetch(input, { ...init, dispatcher: pinnedAgent });
+}
+
+/** `headers` without the `names` (case-insensitive). */
+function withoutHeaders(headers, names) {
+  const out = new Headers(headers || {});
+  for (const n of names) out.delete(n);
+  return out;
+}
+
+/**
+ * fetch() with every hop checked: the URL, each redirect target, and (unless
+ * `doFetch` goes through a proxy) the address actually connected to. Honours
+ * init.redirect ('follow' | 'manual' | 'error'). A redirect to another host
+ * is followed without credentials or `hostHeaders`. With the guard off this
+ * is plain `doFetch`, still following redirects here when `hostHeaders` are
+ * given.
+ *
+ * @param {string|URL} input
+ * @param {RequestInit} [init]
+ * @param {{ doFetch?: typeof fetch, hostHeaders?: string[] }} [opts]
+ *   `doFetch`: a proxying fetch; hops are then resolved and checked before
+ *   each request instead. `hostHeaders`: header names meant only for the
+ *   first URL's host.
+ * @returns {Promise<Response>}
+ */
+export async function guardedFetch(input, init = {}, { doFetch = null, hostHeaders = [] } = {}) {
+  if (!ENABLED && !hostHeaders.length) return (doFetch || fetch)(input, init);
+  const mode = init.redirect || 'follow';
+  let url = String((input && input.url) || input);
+  let req = { ...init, redirect: 'manual' };
+  for (let hop = 0; ; hop++) {
+    if (ENABLED) await assertAllowedUrl(url, { resolve: !!doFetch });
+    let res;
+    try {
+      res = await (doFetch || (ENABLED ? pinnedFetch : fetch))(url, req);
+    } catch (e) {
+      if (e && e.cause && e.cause.code === 'ESSRF') throw e.cause;
+      throw e;
+    }
+    if (mode === 'manual' || !REDIRECT_STATUS.has(res.status) || !res.headers.get('location')) return res;
+    await res.body?.cancel().catch(() => {});
+    if (mode === 'error') throw new TypeError(`unexpected redirect from ${url}`);
+    if (hop >= MAX_REDIRECTS) throw new TypeError(`too many redirects (${url})`);
+    const next = new URL(res.headers.get('location'), url);
+    if (next.host !== new URL(url).host) {
+      req = { ...req, headers: withoutHeaders(req.headers, [...CROSS_HOST_DROP, ...hostHeaders]) };
+    }
+    url = next.href;
+    const method = String(req.method || 'GET').toUpperCase();
+    if (res.status === 303 ? method !== 'HEAD' : (res.status === 301 || res.status === 302) && method === 'POST') {
+      req = { ...req, method: 'GET', body: undefined };
+    }
+  }
+}
+
+/* ================== Browser ================== */
+/**
+ * Check every request a Playwright page makes; blocked ones are aborted.
+ * Chromium follows redirects itself, so also check page.url() after a
+ * navigation (assertAllowedUrl).
+ */
+export async function guardPage(page) {
+  if (!ENABLED) return;
+  const verdicts = new Map(); // origin -> Promise<reason|null>
+  await page.route('**/*', async (route) => {
+    const url = route.request().url();
+    if (/^(data|blob|about):/i.test(url)) return route.continue();
+    let origin = url;
+    try { origin = new URL(url).origin; } catch {}
+    if (!verdicts.has(origin)) {
+      verdicts.set(origin, assertAllowedUrl(url).then(() => null, e => (e && e.code === 'ESSRF' ? e.message : null)));
+    }
+    const blocked = await verdicts.get(origin);
+    return blocked ? route.abort('blockedbyclient') : route.continue();
+  });
+}
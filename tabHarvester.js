@@ -13,6 +13,8 @@
 //     quantities were ignored and duplicates were not counted.
 
 import { load as cheerioLoad } from 'cheerio';
+import { timeoutSignal } from './deadline.js';
+import { fetchCached } from './fetchCache.js';
 
 // -----------------------------------------------------------------------------
 // Selector normalisation helpers
@@ -371,12 +373,17 @@ function extractTabsFromDoc($) {
  * or data-url attributes) or via anchor tags pointing to absolute URLs.
  * This helper fetches those remote pages and extracts their primary
  * content.  The fetch is guarded by a timeout to avoid hanging
- * requests.  If a request fails, it is silently ignored.
+ * requests, and responses are cached (fetchCache.js, kind "pane").  If a
+ * request fails, it is silently ignored.  `signal` (the
+ * request deadline) stops any remaining fetches; panes larger than
+ * `maxBytes` are skipped.
  *
  * @param {CheerioAPI} $ The cheerio instance for the main document
+ * @param {AbortSignal} [signal]
+ * @param {number} [maxBytes]
  * @returns {Promise<{title: string, html: string, text: string, source: string}[]>}
  */
-async function maybeFetchRemoteTabs($) {
+async function maybeFetchRemoteTabs($, signal = null, maxBytes = undefined) {
   const links = [];
   $('[data-remote],[data-url],[role="tablist"] a[href], .nav-tabs a[href]').each((_, a) => {
     const $a = $(a);
@@ -387,14 +394,13 @@ async function maybeFetchRemoteTabs($) {
   });
   const out = [];
   for (const { title, url } of links) {
+    if (signal && signal.aborted) break;
     try {
-      const controller = new AbortController();
       // Abort after 10 seconds to avoid hanging
-      const timer = setTimeout(() => controller.abort(), 10000);
-      const res = await fetch(url, { signal: controller.signal });
-      clearTimeout(timer);
+      const to = timeoutSignal(10000, signal);
+      const res = await fetchCached(url, { signal: to.signal }, { kind: 'pane', maxBytes }).finally(to.clear);
       if (!res.ok) continue;
-      const html = await res.text();
+      const html = res.text;
       const _$ = loadHtmlSafe(html);
       const body = _$('#main, article, .entry-content, body').first();
       const raw = body.html() || '';
@@ -483,16 +489,17 @@ function normalizeIncluded(lines = []) {
  *
  * @param {string} html The full HTML document to parse
  * @param {string} baseUrl The base URL of the document (unused but kept for API parity)
+ * @param {{signal?: AbortSignal, maxBytes?: number}} [opts] `signal` aborts remote tab fetches (request deadline); `maxBytes` caps each one
  * @returns {Promise<{tabs: {title: string, html: string, rawHtml: string, text: string, source: string}[], includedItems: string[], productsInclude: string[]}>}
  */
-export async function harvestTabsFromHtml(html, baseUrl) {
+export async function harvestTabsFromHtml(html, baseUrl, { signal = null, maxBytes = undefined } = {}) {
   const $ = loadHtmlSafe(html);
   // Remove navigation and other common noise elements before extracting tabs.
   $('body > nav, body > header, body > footer, [role="navigation"], .navigation, .site-nav, .nav-bar, .navbar, .breadcrumb, .breadcrumbs, .pagination').remove();
   // Extract all tab content in the current document
   const inDoc = extractTabsFromDoc($);
   // Fetch remote tab content if any
-  const remote = await maybeFetchRemoteTabs($);
+  const remote = await maybeFetchRemoteTabs($, signal, maxBytes);
   const tabs = [...inDoc, ...remote];
   // Parse lists from tabs
   const includedItems = [];
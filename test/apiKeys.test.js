@@ -0,0 +1,123 @@
+// API-key authentication, scopes, rate limits and daily quotas (apiKeys.js)
+// through a small Express app, so the middleware runs as it does in server.js.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'apikeys-test-'));
+let server;
+let base;
+let mod;
+
+before(async () => {
+  process.env.USAGE_FILE = path.join(tmp, 'usage.json');
+  process.env.API_KEYS = JSON.stringify({
+    alice: { key: 'alice-key', scopes: ['ingest', 'image-proxy'] },
+    hashed: { key_sha256: crypto.createHash('sha256').update('hashed-key').digest('hex'), scopes: ['ingest'] },
+    pdfonly: { key: 'pdf-key', scopes: ['parse-pdf'] },
+    admin: { key: 'admin-key', scopes: ['*'] },
+    limited: { key: 'limited-key', scopes: ['ingest'], rate_per_minute: 2 },
+    quota: { key: 'quota-key', scopes: ['ingest'], daily: { requests: 1 } },
+    broken: { scopes: ['ingest'] },
+  });
+  mod = await import('../apiKeys.js');
+  const { requireScope, callerHasScope } = mod;
+  const { usageKey } = await import('../usageMeter.js');
+
+  const app = express();
+  app.get('/ingest', requireScope('ingest'), (req, res) => {
+    res.json({ key: req.apiKey.name, meteredAs: usageKey(), admin: callerHasScope(req, 'admin'), query: req.query });
+  });
+  app.get('/image-proxy', requireScope('image-proxy', { queryKey: true }), (req, res) => {
+    res.json({ key: req.apiKey.name, query: req.query });
+  });
+  mod.default(app);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  if (server) server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const get = (p, headers = {}) => fetch(base + p, { headers });
+
+test('requests without a valid key are refused with 401', async () => {
+  assert.equal((await get('/ingest')).status, 401);
+  assert.equal((await get('/ingest', { 'x-api-key': 'nope' })).status, 401);
+  // "broken" has no key at all, so it was never loaded.
+  assert.equal(mod.apiKeyStats().keys, 6);
+});
+
+test('x-api-key, Bearer and key_sha256 keys authenticate', async () => {
+  const a = await get('/ingest', { 'x-api-key': 'alice-key' });
+  assert.equal(a.status, 200);
+  assert.deepEqual(await a.json(), { key: 'alice', meteredAs: 'alice', admin: false, query: {} });
+
+  const b = await get('/ingest', { authorization: 'Bearer alice-key' });
+  assert.equal((await b.json()).key, 'alice');
+
+  const h = await get('/ingest', { 'x-api-key': 'hashed-key' });
+  assert.equal((await h.json()).key, 'hashed');
+});
+
+test('a key without the route scope gets 403; "*" grants every scope', async () => {
+  const res = await get('/ingest', { 'x-api-key': 'pdf-key' });
+  assert.equal(res.status, 403);
+  assert.match((await res.json()).error, /lacks scope "ingest"/);
+
+  const admin = await get('/ingest', { 'x-api-key': 'admin-key' });
+  assert.equal(admin.status, 200);
+  assert.equal((await admin.json()).admin, true);
+});
+
+test('?api_key= only works where queryKey is allowed, and never reaches the handler', async () => {
+  assert.equal((await get('/ingest?api_key=alice-key')).status, 401);
+
+  const res = await get('/image-proxy?api_key=alice-key&url=https://example.com/a.jpg&access_token=x');
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { key: 'alice', query: { url: 'https://example.com/a.jpg' } });
+});
+
+test('withoutCredentialParams drops every credential parameter', () => {
+  const q = { url: 'https://example.com', api_key: 'k', apikey: 'k', access_token: 't', pdf: 'true' };
+  assert.deepEqual(mod.withoutCredentialParams(q), { url: 'https://example.com', pdf: 'true' });
+  assert.equal(q.api_key, 'k');
+});
+
+test('rate_per_minute answers 429 with Retry-After once the bucket is empty', async () => {
+  const h = { 'x-api-key': 'limited-key' };
+  assert.equal((await get('/ingest', h)).status, 200);
+  assert.equal((await get('/ingest', h)).status, 200);
+  const res = await get('/ingest', h);
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get('retry-after')) >= 1);
+});
+
+test('a used-up daily quota answers 429 until UTC midnight', async () => {
+  const h = { 'x-api-key': 'quota-key' };
+  assert.equal((await get('/ingest', h)).status, 200);
+  const res = await get('/ingest', h);
+  assert.equal(res.status, 429);
+  const body = await res.json();
+  assert.deepEqual(body.quota, { metric: 'requests', limit: 1, used: 1 });
+  const retry = Number(res.headers.get('retry-after'));
+  assert.ok(retry > 0 && retry <= 86400);
+});
+
+test('GET /usage reports the caller only, unless it has the admin scope', async () => {
+  const own = await (await get('/usage?days=1', { 'x-api-key': 'quota-key' })).json();
+  assert.equal(own.key, 'quota');
+  assert.equal(own.remaining_today.requests, 0);
+
+  assert.equal((await get('/usage?key=alice', { 'x-api-key': 'quota-key' })).status, 403);
+  const all = await (await get('/usage?key=*', { 'x-api-key': 'admin-key' })).json();
+  assert.ok(all.keys.some(k => k.key === 'alice'));
+});
@@ -0,0 +1,95 @@
+// Page bodies (bodyReader.js): charset detection from BOM, header and meta
+// tags, decoding, and size limits enforced while the body streams in.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeHtmlBody, detectCharset, readBodyLimited } from '../bodyReader.js';
+
+const latin1 = (s) => Buffer.from(s, 'latin1');
+
+/** A Response whose body arrives in `chunks` chunks of `size` bytes; counts pulls. */
+function streamed(chunks, size, headers = {}) {
+  const stats = { pulled: 0, cancelled: false };
+  const body = new ReadableStream({
+    pull(ctrl) {
+      if (stats.pulled === chunks) return ctrl.close();
+      stats.pulled++;
+      ctrl.enqueue(new Uint8Array(size).fill(0x61));
+    },
+    cancel() { stats.cancelled = true; },
+  });
+  return { res: new Response(body, { headers }), stats };
+}
+
+test('a byte-order mark wins over everything else', () => {
+  const buf = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('<meta charset="iso-8859-1">é')]);
+  assert.deepEqual(detectCharset(buf, 'text/html; charset=shift_jis'), { charset: 'utf-8', source: 'bom' });
+  assert.equal(decodeHtmlBody(buf).html, '<meta charset="iso-8859-1">é');
+
+  const le = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('<p>hi</p>', 'utf16le')]);
+  assert.deepEqual(decodeHtmlBody(le), { html: '<p>hi</p>', charset: 'utf-16le', source: 'bom' });
+});
+
+test('the Content-Type charset comes next, quoted or not; unknown labels are ignored', () => {
+  assert.deepEqual(detectCharset(latin1('<p>caf\xe9</p>'), 'text/html; charset="ISO-8859-1"'), { charset: 'windows-1252', source: 'header' });
+  assert.equal(decodeHtmlBody(latin1('<p>caf\xe9</p>'), 'text/html;charset=latin1').html, '<p>café</p>');
+  assert.equal(detectCharset(Buffer.from('<p>x</p>'), 'text/html; charset=bogus-9').source, 'utf8');
+});
+
+test('<meta charset> and http-equiv declarations are read from the first 4 KB', () => {
+  const sjis = Buffer.concat([Buffer.from('<meta charset="Shift_JIS"><p>'), Buffer.from([0x93, 0xfa, 0x96, 0x7b]), Buffer.from('</p>')]);
+  assert.deepEqual(decodeHtmlBody(sjis), { html: '<meta charset="Shift_JIS"><p>日本</p>', charset: 'shift_jis', source: 'meta' });
+
+  const equiv = latin1('<meta http-equiv="Content-Type" content="text/html; charset=iso-8859-1"><p>d\xe9j\xe0</p>');
+  assert.deepEqual(detectCharset(equiv), { charset: 'windows-1252', source: 'meta' });
+  assert.ok(decodeHtmlBody(equiv).html.endsWith('<p>déjà</p>'));
+
+  const late = Buffer.concat([Buffer.from(' '.repeat(5000)), latin1('<meta charset="iso-8859-1">\xe9')]);
+  assert.equal(detectCharset(late).source, 'default');
+});
+
+test('a legacy meta charset is ignored when the bytes are valid UTF-8', () => {
+  const buf = Buffer.from('<meta charset="iso-8859-1"><p>café</p>');
+  assert.deepEqual(detectCharset(buf), { charset: 'utf-8', source: 'utf8' });
+  assert.equal(decodeHtmlBody(buf).html, '<meta charset="iso-8859-1"><p>café</p>');
+});
+
+test('undeclared pages: valid UTF-8 is UTF-8, anything else windows-1252', () => {
+  assert.deepEqual(detectCharset(Buffer.from('<p>naïve</p>')), { charset: 'utf-8', source: 'utf8' });
+  const legacy = latin1('<p>cr\xe8me br\xfbl\xe9e</p>');
+  assert.deepEqual(decodeHtmlBody(legacy), { html: '<p>crème brûlée</p>', charset: 'windows-1252', source: 'default' });
+});
+
+test('readBodyLimited returns the whole body when it fits', async () => {
+  const { res, stats } = streamed(4, 1000);
+  const buf = await readBodyLimited(res, 4000);
+  assert.equal(buf.length, 4000);
+  assert.equal(stats.pulled, 4);
+  assert.equal((await readBodyLimited(new Response(null))).length, 0);
+});
+
+test('readBodyLimited stops reading as soon as the limit is passed', async () => {
+  const { res, stats } = streamed(1000, 1000);
+  await assert.rejects(readBodyLimited(res, 2500), (err) => {
+    assert.equal(err.code, 'ETOOLARGE');
+    assert.equal(err.status, 502);
+    assert.equal(err.message, 'response-too-large(3000 > 2500 bytes)');
+    return true;
+  });
+  assert.ok(stats.pulled < 10, `pulled ${stats.pulled} chunks`);
+  assert.equal(stats.cancelled, true);
+});
+
+test('readBodyLimited refuses an oversized Content-Length without reading', async () => {
+  const { res, stats } = streamed(1000, 1000, { 'content-length': '1000000' });
+  await assert.rejects(readBodyLimited(res, 5000), /response-too-large\(1000000 > 5000 bytes\)/);
+  assert.equal(stats.cancelled, true);
+  assert.ok(stats.pulled <= 1, `pulled ${stats.pulled} chunks`);
+});
+
+test('readBodyLimited returns an unpooled Buffer (byteOffset 0)', async () => {
+  const buf = await readBodyLimited(new Response('tiny'));
+  assert.equal(buf.toString(), 'tiny');
+  assert.equal(buf.byteOffset, 0);
+  assert.equal(buf.buffer.byteLength, 4);
+});
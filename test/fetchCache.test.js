@@ -0,0 +1,145 @@
+// Fetch cache (fetchCache.js): keys, fresh hits, conditional revalidation,
+// purges and the file backend's host directories. A local server stands in
+// for the supplier site; entries go stale after CACHE_TTL_MS (200 ms here).
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import http from 'node:http';
+
+let mod;
+let server;
+let base;
+let tmp;
+const hits = [];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+before(async () => {
+  process.env.ENABLE_CACHE = 'true';
+  process.env.CACHE_BACKEND = 'memory';
+  process.env.CACHE_TTL_MS = '200';
+  process.env.ENABLE_SSRF_GUARD = 'false';
+  process.env.HOST_MAX_RPS = '0';
+  mod = await import('../fetchCache.js');
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-cache-'));
+
+  server = http.createServer((req, res) => {
+    hits.push({ url: req.url, inm: req.headers['if-none-match'] || null });
+    if (req.url.startsWith('/etag') && req.headers['if-none-match'] === '"v1"') {
+      res.writeHead(304, { etag: '"v1"' });
+      return res.end();
+    }
+    if (req.url.startsWith('/etag')) {
+      res.writeHead(200, { 'content-type': 'text/html; charset=utf-8', etag: '"v1"' });
+      return res.end('<p>etag page</p>');
+    }
+    if (req.url === '/latin1') {
+      res.writeHead(200, { 'content-type': 'text/html; charset=iso-8859-1' });
+      return res.end(Buffer.from('<p>caf\xe9</p>', 'latin1'));
+    }
+    if (req.url === '/missing') {
+      res.writeHead(404);
+      return res.end('nope');
+    }
+    res.writeHead(200, { 'content-type': 'text/html' });
+    res.end(`<p>${req.url}</p>`);
+  });
+  server.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  if (server) server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const hitsFor = (p) => hits.filter(h => h.url === p);
+
+test('cacheKey sorts options and skips empty ones', () => {
+  assert.equal(mod.cacheKey('render', 'https://a.com/x', { wait: 5, mode: 'full', selector: '' }),
+    'render:https://a.com/x|mode=full|wait=5');
+  assert.equal(mod.cacheKey('direct', 'https://a.com/x', { mode: null }), 'direct:https://a.com/x');
+});
+
+test('a fresh entry is served without a request', async () => {
+  const first = await mod.fetchCached(`${base}/plain`);
+  assert.equal(first.cache, 'miss');
+  assert.equal(first.text, '<p>/plain</p>');
+
+  const second = await mod.fetchCached(`${base}/plain`);
+  assert.equal(second.cache, 'hit');
+  assert.equal(second.text, '<p>/plain</p>');
+  assert.equal(hitsFor('/plain').length, 1);
+});
+
+test('a stale entry with an ETag is revalidated with If-None-Match and reused on 304', async () => {
+  assert.equal((await mod.fetchCached(`${base}/etag`)).cache, 'miss');
+  await sleep(250);
+
+  const again = await mod.fetchCached(`${base}/etag`);
+  assert.equal(again.cache, 'revalidated');
+  assert.equal(again.text, '<p>etag page</p>');
+  assert.deepEqual(hitsFor('/etag').map(h => h.inm), [null, '"v1"']);
+
+  // The 304 refreshed the entry, so it is fresh again.
+  assert.equal((await mod.fetchCached(`${base}/etag`)).cache, 'hit');
+  assert.equal(hitsFor('/etag').length, 2);
+});
+
+test('the decoded text and its charset are cached, not the raw bytes', async () => {
+  const first = await mod.fetchCached(`${base}/latin1`);
+  assert.equal(first.text, '<p>café</p>');
+  const second = await mod.fetchCached(`${base}/latin1`);
+  assert.equal(second.cache, 'hit');
+  assert.equal(second.text, '<p>café</p>');
+  assert.equal(second.charset, first.charset);
+});
+
+test('error responses are not cached', async () => {
+  assert.equal((await mod.fetchCached(`${base}/missing`)).ok, false);
+  assert.equal((await mod.fetchCached(`${base}/missing`)).ok, false);
+  assert.equal(hitsFor('/missing').length, 2);
+});
+
+test('purgeCache drops a page, then a whole host', async () => {
+  await mod.fetchCached(`${base}/a`);
+  await mod.fetchCached(`${base}/b`);
+  assert.equal(await mod.purgeCache({ url: `${base}/a` }), 1);
+  assert.equal((await mod.fetchCached(`${base}/a`)).cache, 'miss');
+  assert.equal((await mod.fetchCached(`${base}/b`)).cache, 'hit');
+
+  assert.ok(await mod.purgeCache({ host: '127.0.0.1' }) >= 2);
+  assert.equal((await mod.fetchCached(`${base}/b`)).cache, 'miss');
+});
+
+test('purge hosts must be plain hostnames', async () => {
+  assert.equal(mod.isCacheHost('www.example.com'), true);
+  for (const bad of ['../..', '..', 'a/b', 'a\\b', 'A.com', '', '.../x']) {
+    assert.equal(mod.isCacheHost(bad), false, bad);
+  }
+  await assert.rejects(mod.purgeCache({ host: '../..' }), /Invalid cache host/);
+});
+
+test('the file backend keeps entries under <dir>/<host>/ and never leaves it', async () => {
+  const dir = path.join(tmp, 'cache');
+  const outside = path.join(tmp, 'keep.json');
+  fs.writeFileSync(outside, '{}');
+  const cache = mod.createFileCache({ dir });
+  const key = mod.cacheKey('direct', 'https://shop.example.com/p/1');
+  await cache.set({ key, url: 'https://shop.example.com/p/1', host: 'shop.example.com', keep_until: Date.now() + 60000, body: 'x', bytes: 1 });
+  assert.equal((await cache.get(key)).body, 'x');
+  assert.equal(fs.readdirSync(path.join(dir, 'shop.example.com')).length, 1);
+  assert.equal((await cache.stats()).entries, 1);
+
+  for (const bad of ['..', '../..', 'shop.example.com/..']) {
+    await assert.rejects(cache.purge({ host: bad }), { code: 'EBADHOST' });
+  }
+  assert.ok(fs.existsSync(outside));
+
+  assert.equal(await cache.purge({ host: 'shop.example.com' }), 1);
+  assert.equal(await cache.get(key), null);
+});
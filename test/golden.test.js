@@ -0,0 +1,135 @@
+// Golden-snapshot regression suite for the extractor.
+//
+// Every directory under test/fixtures/golden holds one saved supplier page:
+//
+//   page.html      rendered HTML as the renderer returned it
+//   fixture.json   { base_url, options, files?, captured_at? }; `files` maps
+//                  URLs the pipeline may fetch (manual PDFs etc.) to files
+//                  alongside
+//   expected.json  the normalized /ingest record we expect back
+//
+// New pages are captured from the live site with
+//   npm run capture:golden -- <name> <url> [--pdf]
+// which saves the exact HTML the pipeline ran on and stamps captured_at.
+// Fixtures without captured_at are trimmed, hand-reduced copies of a
+// supplier's product markup, not full captures.
+//
+// Each page is posted to POST /ingest/html, so it runs through the real
+// pipeline (structured data, tabs, PDFs, noise removal, sanitize, ...). The
+// network is disabled: fetch() only reaches the local server and the fixture
+// files, anything else fails.
+//
+//   npm test                        compare against expected.json
+//   npm run test:update-snapshots   rewrite expected.json from current output
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { isDeepStrictEqual } from 'node:util';
+import { validateIngestResponse } from '../ingestSchema.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'golden');
+const UPDATE = process.env.UPDATE_SNAPSHOTS === '1';
+const MAX_DIFF_LINES = 40;
+
+const fixtures = fs.readdirSync(FIXTURES_DIR, { withFileTypes: true })
+  .filter(d => d.isDirectory())
+  .map(d => d.name)
+  .sort();
+
+const realFetch = globalThis.fetch;
+let server;
+let base;
+let current = null; // fixture whose files fetch() may serve
+
+before(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.INGESTION_STORE = 'memory';
+  globalThis.fetch = async (input, init) => {
+    const url = String((input && input.url) || input);
+    if (url.startsWith(base)) return realFetch(input, init);
+    const file = current && current.files && current.files[url];
+    if (file) {
+      const body = fs.readFileSync(path.join(current.dir, file));
+      const type = file.endsWith('.pdf') ? 'application/pdf' : 'text/html; charset=utf-8';
+      return new Response(body, { status: 200, headers: { 'content-type': type } });
+    }
+    throw new TypeError(`network disabled in golden tests: ${url}`);
+  };
+  const { default: app } = await import('../server.js');
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+  if (server) server.close();
+});
+
+/** Flatten a JSON value into path -> leaf value lines for diffing. */
+function flatten(value, prefix = '$', out = new Map()) {
+  if (value && typeof value === 'object') {
+    const entries = Array.isArray(value) ? value.map((v, i) => [`[${i}]`, v]) : Object.entries(value).map(([k, v]) => [`.${k}`, v]);
+    if (!entries.length) out.set(prefix, Array.isArray(value) ? '[]' : '{}');
+    for (const [k, v] of entries) flatten(v, prefix + k, out);
+  } else {
+    out.set(prefix, JSON.stringify(value));
+  }
+  return out;
+}
+
+/** Readable path-level diff: one line per changed, added or removed leaf. */
+function describeDiff(expected, actual) {
+  const exp = flatten(expected);
+  const act = flatten(actual);
+  const lines = [];
+  for (const [p, v] of exp) {
+    if (!act.has(p)) lines.push(`- ${p}: ${v}`);
+    else if (act.get(p) !== v) lines.push(`~ ${p}: ${v} → ${act.get(p)}`);
+  }
+  for (const [p, v] of act) {
+    if (!exp.has(p)) lines.push(`+ ${p}: ${v}`);
+  }
+  const shown = lines.slice(0, MAX_DIFF_LINES).map(l => (l.length > 240 ? l.slice(0, 237) + '...' : l));
+  if (lines.length > MAX_DIFF_LINES) shown.push(`... and ${lines.length - MAX_DIFF_LINES} more`);
+  return shown.join('\n');
+}
+
+for (const name of fixtures) {
+  test(`golden: ${name}`, async () => {
+    const dir = path.join(FIXTURES_DIR, name);
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, 'fixture.json'), 'utf8'));
+    const html = fs.readFileSync(path.join(dir, 'page.html'), 'utf8');
+    current = { ...fixture, dir };
+
+    let res;
+    try {
+      res = await realFetch(`${base}/ingest/html`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ html, base_url: fixture.base_url, options: fixture.options || {} }),
+      });
+    } finally {
+      current = null;
+    }
+    const actual = await res.json();
+    assert.equal(res.status, 200, `POST /ingest/html returned ${res.status}: ${JSON.stringify(actual)}`);
+    const schema = validateIngestResponse(actual, 'v1');
+    assert.ok(schema.valid, `${name}: response violates the v1 schema: ${JSON.stringify(schema.errors)}`);
+
+    const expectedPath = path.join(dir, 'expected.json');
+    if (UPDATE) {
+      fs.writeFileSync(expectedPath, JSON.stringify(actual, null, 2) + '\n');
+      return;
+    }
+    assert.ok(fs.existsSync(expectedPath), `${name}: no expected.json; run npm run test:update-snapshots`);
+    const expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+    if (!isDeepStrictEqual(expected, actual)) {
+      assert.fail(`${name}: output differs from expected.json (- removed, + added, ~ changed)\n${describeDiff(expected, actual)}\n` +
+        'If the change is intended, run npm run test:update-snapshots and review the diff.');
+    }
+  });
+}
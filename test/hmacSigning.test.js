@@ -0,0 +1,107 @@
+// Strict HMAC signatures (hmacSigning.js) and the render-engine /ingest check
+// built on them (tools/render-engine/ingest-signature.mjs, strict mode).
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  NONCE_HEADER,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  createSignatureVerifier,
+  hmacHex,
+  parseSecrets,
+  signatureHeaders,
+} from '../hmacSigning.js';
+
+const BODY = '{"url":"https://example.com/p/1","correlation_id":"abc"}';
+const NOW = Date.UTC(2026, 0, 15, 12, 0, 0);
+
+let ingest;
+
+before(async () => {
+  process.env.INGEST_SIGNATURE_MODE = 'strict';
+  process.env.INGEST_SECRETS = 'new-secret, old-secret';
+  ingest = await import('../tools/render-engine/ingest-signature.mjs');
+});
+
+test('parseSecrets splits a comma-separated list, newest first', () => {
+  assert.deepEqual(parseSecrets(' a , b,,c '), ['a', 'b', 'c']);
+  assert.deepEqual(parseSecrets(undefined), []);
+});
+
+test('strict headers carry a timestamp, a nonce and v1=<hmac of "ts.nonce.body">', () => {
+  const h = signatureHeaders(BODY, 's3cret', { now: NOW });
+  assert.equal(h[TIMESTAMP_HEADER], String(NOW / 1000));
+  assert.match(h[NONCE_HEADER], /^[a-f0-9]{32}$/);
+  assert.equal(h[SIGNATURE_HEADER], `v1=${hmacHex('s3cret', `${h[TIMESTAMP_HEADER]}.${h[NONCE_HEADER]}.${BODY}`)}`);
+  assert.deepEqual(signatureHeaders(BODY, '', { now: NOW }), {});
+  assert.deepEqual(signatureHeaders(BODY, 's3cret', { mode: 'legacy' }), { [SIGNATURE_HEADER]: hmacHex('s3cret', BODY) });
+});
+
+test('a correctly signed body verifies once; the same nonce is then a replay', () => {
+  const verify = createSignatureVerifier();
+  const h = signatureHeaders(BODY, 's3cret', { now: NOW });
+  assert.deepEqual(verify(h, Buffer.from(BODY), ['s3cret'], NOW), { ok: true });
+  assert.deepEqual(verify(h, BODY, ['s3cret'], NOW + 1000), { ok: false, reason: 'replayed_nonce' });
+});
+
+test('any configured secret verifies while keys are rotated', () => {
+  const verify = createSignatureVerifier();
+  const h = signatureHeaders(BODY, 'old', { now: NOW });
+  assert.deepEqual(verify(h, BODY, ['new', 'old'], NOW), { ok: true });
+});
+
+test('tampering, wrong secrets, stale timestamps and malformed headers are rejected', () => {
+  const verify = createSignatureVerifier({ toleranceS: 300 });
+  const signed = () => signatureHeaders(BODY, 's3cret', { now: NOW });
+  const reason = (headers, body = BODY, secrets = ['s3cret'], now = NOW) => verify(headers, body, secrets, now).reason;
+
+  assert.equal(reason(signed(), BODY.replace('1', '2')), 'bad_signature');
+  assert.equal(reason(signed(), BODY, ['other']), 'bad_signature');
+  assert.equal(reason(signed(), BODY, []), 'no_secret_configured');
+  assert.equal(reason(signed(), BODY, ['s3cret'], NOW + 301 * 1000), 'stale_timestamp');
+  assert.equal(reason(signed(), BODY, ['s3cret'], NOW - 301 * 1000), 'stale_timestamp');
+  assert.equal(reason({ ...signed(), [NONCE_HEADER]: undefined }), 'missing_signature');
+  assert.equal(reason({ ...signed(), [TIMESTAMP_HEADER]: '12.5' }), 'bad_timestamp');
+  assert.equal(reason({ ...signed(), [NONCE_HEADER]: 'short' }), 'bad_nonce');
+  // A legacy body-only signature does not pass the strict check.
+  assert.equal(reason({ ...signed(), [SIGNATURE_HEADER]: hmacHex('s3cret', BODY) }), 'bad_signature');
+});
+
+test('a rejected signature does not use up its nonce', () => {
+  const verify = createSignatureVerifier();
+  const h = signatureHeaders(BODY, 's3cret', { now: NOW });
+  assert.equal(verify(h, BODY, ['wrong'], NOW).reason, 'bad_signature');
+  assert.deepEqual(verify(h, BODY, ['s3cret'], NOW), { ok: true });
+});
+
+test('render-engine /ingest in strict mode checks the raw request bytes', () => {
+  assert.equal(ingest.signatureMode(), 'strict');
+  const raw = Buffer.from(BODY);
+  const signedReq = (secret, body = raw) => ({
+    headers: signatureHeaders(raw, secret),
+    rawBody: body,
+    body: JSON.parse(BODY),
+  });
+
+  assert.deepEqual(ingest.verifyIngestRequest(signedReq('new-secret')), { ok: true });
+  assert.deepEqual(ingest.verifyIngestRequest(signedReq('old-secret')), { ok: true });
+  assert.equal(ingest.verifyIngestRequest(signedReq('nope')).reason, 'bad_signature');
+  // Re-serialised JSON is not what was signed.
+  const reformatted = Buffer.from(JSON.stringify(JSON.parse(BODY), null, 2));
+  assert.equal(ingest.verifyIngestRequest(signedReq('new-secret', reformatted)).reason, 'bad_signature');
+  assert.equal(ingest.verifyIngestRequest({ headers: {}, rawBody: raw, body: {} }).reason, 'missing_signature');
+  assert.equal(ingest.verifyIngestRequest({ headers: signatureHeaders(raw, 'new-secret'), body: {} }).reason, 'raw_body_unavailable');
+
+  const req = signedReq('new-secret');
+  assert.equal(ingest.verifyIngestRequest(req).ok, true);
+  assert.equal(ingest.verifyIngestRequest(req).reason, 'replayed_nonce');
+});
+
+test('callbacks are signed strict with the newest secret', () => {
+  const body = '{"ok":true}';
+  const h = ingest.signCallbackHeaders(body);
+  const verify = createSignatureVerifier();
+  assert.deepEqual(verify(h, body, ['new-secret']), { ok: true });
+  assert.equal(createSignatureVerifier()(h, body, ['old-secret']).reason, 'bad_signature');
+});
@@ -0,0 +1,155 @@
+// Per-host politeness (hostPoliteness.js): robots.txt parsing and matching,
+// per-host concurrency and rate limits from site profiles, and robots.txt
+// enforcement against a local server. Profiles come from a temporary
+// SITE_PROFILES_DIR; no request leaves the machine.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import http from 'node:http';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'politeness-test-'));
+let mod;
+let server;
+let base;
+let robotsHits = 0;
+
+before(async () => {
+  const profile = (name, hosts, politeness) => fs.writeFileSync(path.join(tmp, `${name}.json`), JSON.stringify({ name, hosts, politeness }));
+  profile('serial', ['serial.test'], { concurrency: 1, rps: 0 });
+  profile('rated', ['rated.test'], { concurrency: 4, rps: 20 });
+  profile('local', ['127.0.0.1'], { robots: true, rps: 0 });
+  process.env.SITE_PROFILES_DIR = tmp;
+  process.env.HOST_MAX_CONCURRENCY = '4';
+  process.env.HOST_MAX_RPS = '0';
+  process.env.RESPECT_ROBOTS_TXT = 'false';
+  process.env.ROBOTS_USER_AGENT = 'MedicalExIngest';
+  process.env.ENABLE_SSRF_GUARD = 'false';
+  mod = await import('../hostPoliteness.js');
+
+  server = http.createServer((req, res) => {
+    if (req.url === '/robots.txt') {
+      robotsHits++;
+      res.writeHead(200, { 'content-type': 'text/plain' });
+      return res.end('User-agent: *\nDisallow: /private\nAllow: /private/ok\n');
+    }
+    res.end('ok');
+  });
+  server.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  if (server) server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const settled = (p) => Promise.race([p.then(() => true, () => true), new Promise(r => setImmediate(() => r(false)))]);
+
+test('parseRobots picks the group naming our agent, else the * group', () => {
+  const txt = [
+    '# comment',
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: OtherBot',
+    'User-agent: medicalexingest   # ours',
+    'Disallow: /cart',
+    'Allow: /cart/help',
+    'Crawl-delay: 2.5',
+    'Disallow:',
+  ].join('\r\n');
+  assert.deepEqual(mod.parseRobots(txt, 'MedicalExIngest/1.7'), {
+    rules: [{ allow: false, path: '/cart' }, { allow: true, path: '/cart/help' }],
+    crawlDelay: 2.5,
+  });
+  assert.deepEqual(mod.parseRobots(txt, 'SomeoneElse'), { rules: [{ allow: false, path: '/' }], crawlDelay: null });
+  assert.deepEqual(mod.parseRobots('', 'x'), { rules: [], crawlDelay: null });
+  assert.deepEqual(mod.parseRobots('Disallow: /orphan', 'x'), { rules: [], crawlDelay: null });
+});
+
+test('robotsAllows: longest match wins, Allow wins a tie, * and $ patterns', () => {
+  const rules = [
+    { allow: false, path: '/p' },
+    { allow: true, path: '/p/public' },
+    { allow: false, path: '/*.pdf$' },
+    { allow: false, path: '/tie' },
+    { allow: true, path: '/tie' },
+  ];
+  assert.deepEqual(mod.robotsAllows(rules, '/p/secret'), { allowed: false, rule: 'Disallow: /p' });
+  assert.deepEqual(mod.robotsAllows(rules, '/p/public/x'), { allowed: true, rule: 'Allow: /p/public' });
+  assert.equal(mod.robotsAllows(rules, '/docs/manual.pdf').allowed, false);
+  assert.equal(mod.robotsAllows(rules, '/docs/manual.pdf?x=1').allowed, true);
+  assert.equal(mod.robotsAllows(rules, '/tie').allowed, true);
+  assert.deepEqual(mod.robotsAllows(rules, '/other'), { allowed: true, rule: null });
+});
+
+test('hostLimits: env defaults, overridden by the host\'s site profile', () => {
+  assert.deepEqual(mod.hostLimits('plain.test'), { concurrency: 4, rps: 0, robots: false });
+  assert.deepEqual(mod.hostLimits('www.serial.test'), { concurrency: 1, rps: 0, robots: false });
+  assert.deepEqual(mod.hostLimits('127.0.0.1'), { concurrency: 4, rps: 0, robots: true });
+});
+
+test('a host at its concurrency limit queues requests until a slot is released', async () => {
+  const log = mod.createPolitenessLog();
+  await mod.withPolitenessLog(log, async () => {
+    const release1 = await mod.acquireHostSlot('https://serial.test/a');
+    const second = mod.acquireHostSlot('https://serial.test/b');
+    assert.equal(await settled(second), false);
+    assert.deepEqual(mod.politenessStats().busy_hosts['serial.test'], { active: 1, waiting: 1 });
+
+    release1();
+    release1(); // a second call is a no-op
+    const release2 = await second;
+    assert.deepEqual(mod.politenessStats().busy_hosts['serial.test'], { active: 1, waiting: 0 });
+    release2();
+  });
+  assert.equal(mod.politenessStats().busy_hosts['serial.test'], undefined);
+  assert.equal(log.throttled_count, 1);
+  assert.equal(log.throttled[0].reason, 'concurrency');
+  assert.equal(log.throttled[0].url, 'https://serial.test/b');
+});
+
+test('an abort while waiting rejects with its reason and leaves the queue', async () => {
+  const release = await mod.acquireHostSlot('https://serial.test/a');
+  const ctrl = new AbortController();
+  const waiting = mod.acquireHostSlot('https://serial.test/b', { signal: ctrl.signal });
+  ctrl.abort(new Error('deadline'));
+  await assert.rejects(waiting, /deadline/);
+  assert.deepEqual(mod.politenessStats().busy_hosts['serial.test'], { active: 1, waiting: 0 });
+  release();
+  (await mod.acquireHostSlot('https://serial.test/c'))();
+});
+
+test('rps spaces request starts on the same host, not across hosts', async () => {
+  const log = mod.createPolitenessLog();
+  const t0 = Date.now();
+  await mod.withPolitenessLog(log, async () => {
+    for (let i = 0; i < 3; i++) (await mod.acquireHostSlot(`https://rated.test/${i}`))();
+    (await mod.acquireHostSlot('https://plain.test/'))();
+  });
+  // 20 rps = one start every 50 ms: the 2nd and 3rd waited.
+  assert.ok(Date.now() - t0 >= 90, `took ${Date.now() - t0} ms`);
+  assert.equal(log.throttled_count, 2);
+  assert.ok(log.throttled.every(t => t.reason === 'rate' && t.url.startsWith('https://rated.test/')));
+});
+
+test('robots.txt is fetched once per origin and disallowed URLs fail with 403 EROBOTS', async () => {
+  const log = mod.createPolitenessLog();
+  await mod.withPolitenessLog(log, async () => {
+    (await mod.acquireHostSlot(`${base}/products/1`))();
+    (await mod.acquireHostSlot(`${base}/private/ok`))();
+    await assert.rejects(mod.acquireHostSlot(`${base}/private/orders?id=1`), (err) => {
+      assert.equal(err.code, 'EROBOTS');
+      assert.equal(err.status, 403);
+      assert.match(err.message, /Disallow: \/private/);
+      return true;
+    });
+  });
+  assert.equal(robotsHits, 1);
+  assert.deepEqual(log.blocked, [{ host: '127.0.0.1', url: `${base}/private/orders?id=1`, reason: 'robots.txt', rule: 'Disallow: /private' }]);
+  assert.deepEqual(mod.politenessReport(log).blocked, log.blocked);
+});
@@ -0,0 +1,103 @@
+// Structured diff and content hash (ingestDiff.js): what counts as a change,
+// what is normalised away, and v1/v2 inputs.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { contentHash, diffIngestResults } from '../ingestDiff.js';
+import { toIngestV2 } from '../ingestSchema.js';
+
+// A v1 /ingest record with the fields the diff looks at.
+const base = () => ({
+  source: 'https://example.com/p/1',
+  name_raw: 'Pro Transfer Bench',
+  brand: 'Compass',
+  sku: 'TB-100',
+  description_raw: 'Sturdy bench for bathtubs. Adjustable legs.',
+  specs: { 'Seat Width': '18 in', 'Weight Capacity': '300 lbs' },
+  features_raw: ['Tool-free assembly', 'Non-slip feet'],
+  images: [{ url: 'https://example.com/img/a.jpg' }, { url: 'https://example.com/img/b.jpg' }],
+  pdf_manual_urls: ['https://example.com/docs/manual.pdf'],
+});
+
+test('identical records are unchanged and hash the same', () => {
+  const d = diffIngestResults(base(), base());
+  assert.equal(d.changed, false);
+  assert.deepEqual(d.summary.fields, []);
+  assert.equal(contentHash(base()), contentHash(base()));
+});
+
+test('formatting noise is not a change', () => {
+  const noisy = base();
+  noisy.name_raw = '  pro   transfer BENCH ';
+  noisy.description_raw = 'Sturdy bench for bathtubs.   Adjustable legs';
+  noisy.specs = { weight_capacity: '300 LBS', seat_width: '18 in.' };
+  noisy.features_raw = ['• Non-slip feet;', 'tool-free assembly'];
+  noisy.images = [{ url: 'https://www.example.com/img/b.jpg?v=123' }, { url: 'https://example.com/img/a.jpg' }];
+  noisy.pdf_manual_urls = ['https://example.com/docs/manual.pdf?cache=2'];
+
+  const d = diffIngestResults(base(), noisy);
+  assert.equal(d.changed, false, JSON.stringify(d.summary));
+  assert.equal(contentHash(noisy), contentHash(base()));
+});
+
+test('spec, feature, image and manual changes are itemised', () => {
+  const next = base();
+  next.specs = { 'Seat Width': '20 in', 'Seat Height': '17-21 in' };
+  next.features_raw = ['Tool-free assembly', 'Reversible backrest'];
+  next.images = [{ url: 'https://example.com/img/a.jpg' }, { url: 'https://example.com/img/c.jpg' }];
+  next.pdf_manual_urls = ['https://example.com/docs/manual-v2.pdf'];
+
+  const d = diffIngestResults(base(), next);
+  assert.equal(d.changed, true);
+  assert.deepEqual(d.specs, {
+    added: { 'Seat Height': '17-21 in' },
+    removed: { 'Weight Capacity': '300 lbs' },
+    changed: { 'Seat Width': { before: '18 in', after: '20 in' } },
+  });
+  assert.deepEqual(d.features, { added: ['Reversible backrest'], removed: ['Non-slip feet'] });
+  assert.deepEqual(d.images, { added: ['https://example.com/img/c.jpg'], removed: ['https://example.com/img/b.jpg'] });
+  assert.deepEqual(d.manuals, { added: ['https://example.com/docs/manual-v2.pdf'], removed: ['https://example.com/docs/manual.pdf'] });
+  assert.deepEqual(d.summary.specs, { added: 1, removed: 1, changed: 1 });
+  assert.notEqual(contentHash(next), contentHash(base()));
+});
+
+test('query strings identify pages but not plain files', () => {
+  const a = { ...base(), images: [{ url: 'https://example.com/image?id=1' }] };
+  const b = { ...base(), images: [{ url: 'https://example.com/image?id=2' }] };
+  assert.equal(diffIngestResults(a, b).summary.images.added, 1);
+});
+
+test('field and description changes list the sentences that moved', () => {
+  const next = base();
+  next.sku = 'TB-200';
+  next.description_raw = 'Sturdy bench for bathtubs. Legs adjust in 1 in steps.';
+  const d = diffIngestResults(base(), next);
+  assert.deepEqual(d.fields, { sku: { before: 'TB-100', after: 'TB-200' } });
+  assert.deepEqual(d.description, {
+    changed: true,
+    added: ['Legs adjust in 1 in steps.'],
+    removed: ['Adjustable legs.'],
+  });
+});
+
+test('a discontinued notice is flagged as a change', () => {
+  const next = base();
+  next.features_raw = [...next.features_raw, 'Discontinued - while supplies last'];
+  const d = diffIngestResults(base(), next);
+  assert.deepEqual(d.discontinued, { before: false, after: true });
+  assert.equal(d.summary.discontinued, true);
+  assert.equal(d.changed, true);
+});
+
+test('v1 and v2 records of the same page compare equal', () => {
+  const v2 = toIngestV2(base());
+  assert.equal(diffIngestResults(base(), v2).changed, false);
+  assert.equal(contentHash(v2), contentHash(base()));
+});
+
+test('missing or empty input diffs as an empty record', () => {
+  const d = diffIngestResults(null, base());
+  assert.equal(d.changed, true);
+  assert.deepEqual(d.fields.name, { before: null, after: 'Pro Transfer Bench' });
+  assert.equal(diffIngestResults(undefined, {}).changed, false);
+});
@@ -0,0 +1,147 @@
+// Stage registry and selection (ingestPipeline.js): registration order,
+// ?stages= / ?skip=, profile enable/disable, required stages, failures and
+// the deadline signal.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPipeline, parseStageList } from '../ingestPipeline.js';
+
+/** A pipeline of stages that only record that they ran. */
+function pipeline(defs) {
+  const p = createPipeline();
+  for (const d of defs) p.register({ run: (ctx) => { ctx.ran.push(d.name); }, ...d });
+  return p;
+}
+
+const ctx = () => ({ ran: [], diag: { warnings: [] } });
+const statuses = (c) => Object.fromEntries(c.diag.stages.map(s => [s.name, s.status]));
+
+const STAGES = [
+  { name: 'render', required: true },
+  { name: 'structured' },
+  { name: 'tabs' },
+  { name: 'browse', enabled: (c) => !!c.browse },
+];
+
+test('parseStageList splits, trims and lowercases', () => {
+  assert.deepEqual([...parseStageList(' Tabs, pdf ,,')], ['tabs', 'pdf']);
+  assert.deepEqual([...parseStageList(['A', 'b'])], ['a', 'b']);
+  assert.equal(parseStageList(''), null);
+  assert.equal(parseStageList(undefined), null);
+  assert.equal(parseStageList(' , '), null);
+});
+
+test('stages run in registration order; before/after place them elsewhere', async () => {
+  const p = pipeline(STAGES);
+  p.register({ name: 'first', run: (c) => { c.ran.push('first'); } }, { before: 'render' });
+  p.register({ name: 'pdf', run: (c) => { c.ran.push('pdf'); } }, { after: 'tabs' });
+  assert.deepEqual(p.names(), ['first', 'render', 'structured', 'tabs', 'pdf', 'browse']);
+  assert.throws(() => p.register({ name: 'x', run() {} }, { after: 'nope' }), /"nope" not found/);
+
+  const c = await p.run(ctx());
+  assert.deepEqual(c.ran, ['first', 'render', 'structured', 'tabs', 'pdf']);
+  assert.equal(statuses(c).browse, 'skipped');
+});
+
+test('registering an existing name replaces the stage in place', async () => {
+  const p = pipeline(STAGES);
+  p.register({ name: 'Tabs', run: (c) => { c.ran.push('tabs2'); } });
+  assert.deepEqual(p.names(), ['render', 'structured', 'tabs', 'browse']);
+  assert.deepEqual((await p.run(ctx())).ran, ['render', 'structured', 'tabs2']);
+});
+
+test('only runs the listed stages plus required ones', async () => {
+  const c = await pipeline(STAGES).run(ctx(), { only: parseStageList('browse') });
+  assert.deepEqual(c.ran, ['render', 'browse']);
+  assert.deepEqual(statuses(c), { render: 'ok', structured: 'skipped', tabs: 'skipped', browse: 'ok' });
+});
+
+test('skip drops stages, but a required stage runs anyway with a warning', async () => {
+  const c = await pipeline(STAGES).run(ctx(), { skip: parseStageList('tabs,render') });
+  assert.deepEqual(c.ran, ['render', 'structured']);
+  assert.deepEqual(c.diag.warnings, ['stage render is required; running it anyway']);
+});
+
+test('unknown stage names from the caller are a 400 before anything runs', async () => {
+  const c = ctx();
+  await assert.rejects(pipeline(STAGES).run(c, { only: parseStageList('render,bogus') }), (err) => {
+    assert.equal(err.status, 400);
+    assert.match(err.message, /Unknown stage\(s\): bogus\. Known: render, structured, tabs, browse/);
+    return true;
+  });
+  assert.deepEqual(c.ran, []);
+});
+
+test('profile enable/disable flip defaults; unknown names only warn; caller skip still wins', async () => {
+  const c = await pipeline(STAGES).run(ctx(), {
+    enable: parseStageList('browse,nope'),
+    disable: parseStageList('structured'),
+    skip: parseStageList('browse'),
+  });
+  assert.deepEqual(c.ran, ['render', 'tabs']);
+  assert.deepEqual(c.diag.warnings, ['unknown stage "nope" in stage defaults; ignored']);
+
+  const enabled = await pipeline(STAGES).run({ ...ctx(), browse: false }, { enable: parseStageList('browse') });
+  assert.ok(enabled.ran.includes('browse'));
+});
+
+test('an optional stage failure is recorded and the run goes on', async () => {
+  const p = pipeline(STAGES);
+  p.register({ name: 'tabs', run: () => { throw new Error('tab markup changed'); } });
+  const c = await p.run(ctx());
+  assert.deepEqual(c.ran, ['render', 'structured']);
+  const tabs = c.diag.stages.find(s => s.name === 'tabs');
+  assert.equal(tabs.status, 'error');
+  assert.equal(tabs.error, 'tab markup changed');
+  assert.deepEqual(tabs.warnings, ['tabs: tab markup changed']);
+});
+
+test('a required stage failure, or any error with a status, aborts the run', async () => {
+  const p = pipeline(STAGES);
+  p.register({ name: 'render', required: true, run: () => { throw new Error('renderer down'); } });
+  await assert.rejects(p.run(ctx()), /renderer down/);
+
+  const q = pipeline(STAGES);
+  q.register({ name: 'tabs', run: () => { throw Object.assign(new Error('blocked'), { status: 400 }); } });
+  await assert.rejects(q.run(ctx()), { status: 400 });
+});
+
+test('after the deadline, io stages time out, local ones still run, required io is a 504', async () => {
+  const ctrl = new AbortController();
+  const p = createPipeline();
+  p.register({ name: 'render', required: true, io: true, run: (c) => { c.ran.push('render'); } });
+  p.register({ name: 'tabs', io: true, run: (c) => { c.ran.push('tabs'); ctrl.abort(new Error('deadline')); } });
+  p.register({ name: 'pdf', io: true, run: (c) => { c.ran.push('pdf'); } });
+  p.register({ name: 'sanitize', run: (c) => { c.ran.push('sanitize'); } });
+  const c = await p.run(ctx(), { signal: ctrl.signal });
+  assert.deepEqual(c.ran, ['render', 'tabs', 'sanitize']);
+  assert.deepEqual(statuses(c), { render: 'ok', tabs: 'timeout', pdf: 'timeout', sanitize: 'ok' });
+
+  await assert.rejects(p.run(ctx(), { signal: ctrl.signal }), (err) => {
+    assert.equal(err.status, 504);
+    assert.match(err.message, /required stage render \(deadline\)/);
+    return true;
+  });
+});
+
+test('a client disconnect marks cut-short stages as cancelled', async () => {
+  const ctrl = new AbortController();
+  ctrl.abort(Object.assign(new Error('client went away'), { code: 'ECANCELLED' }));
+  const p = pipeline([{ name: 'tabs', io: true }, { name: 'sanitize' }]);
+  const c = await p.run(ctx(), { signal: ctrl.signal });
+  assert.deepEqual(statuses(c), { tabs: 'cancelled', sanitize: 'ok' });
+});
+
+test('hooks wrap every stage that runs, including failed ones', async () => {
+  const seen = [];
+  const p = pipeline(STAGES);
+  p.register({ name: 'tabs', run: () => { throw new Error('x'); } });
+  await p.run(ctx(), {
+    skip: parseStageList('structured'),
+    hooks: {
+      before: (stage) => seen.push(`>${stage.name}`),
+      after: (stage, _c, rec) => seen.push(`<${stage.name}:${rec.status}`),
+    },
+  });
+  assert.deepEqual(seen, ['>render', '<render:ok', '>tabs', '<tabs:error']);
+});
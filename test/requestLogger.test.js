@@ -0,0 +1,129 @@
+// Request logs (tools/render-engine/request-logger.js): what is redacted from
+// debug logs, body size limits and request ids. Each test mounts the logger on
+// a small Express app with its own env and reads the JSON lines it writes.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import express from 'express';
+
+const require = createRequire(import.meta.url);
+const requestLogger = require('../tools/render-engine/request-logger.js');
+
+const servers = [];
+const lines = [];
+const original = { log: console.log, warn: console.warn, error: console.error };
+for (const name of Object.keys(original)) {
+  console[name] = (line, ...rest) => {
+    if (typeof line === 'string' && line.includes('"msg":"request"')) lines.push(JSON.parse(line));
+    else original[name](line, ...rest);
+  };
+}
+
+after(() => {
+  Object.assign(console, original);
+  for (const s of servers) s.close();
+});
+
+/** An app logging with `env`; resolves to its base URL. */
+async function serve(env) {
+  const app = express();
+  requestLogger(app, { env });
+  app.post('/echo', (req, res) => res.json({ ok: true }));
+  app.get('/fail', (req, res) => res.status(500).end());
+  const server = app.listen(0, '127.0.0.1');
+  servers.push(server);
+  await new Promise(resolve => server.once('listening', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+/** The log line for the request `send` makes; waits for the finish handler. */
+async function logged(send) {
+  const before = lines.length;
+  const res = await send();
+  for (let i = 0; i < 50 && lines.length === before; i++) await new Promise(r => setTimeout(r, 10));
+  return { res, entry: lines.length > before ? lines[lines.length - 1] : null };
+}
+
+const post = (url, body, headers = {}) =>
+  fetch(url, { method: 'POST', headers: { 'content-type': 'application/json', ...headers }, body: JSON.stringify(body) });
+
+test('debug logs redact credential headers and configured extras', async () => {
+  const base = await serve({ LOG_LEVEL: 'debug', LOG_REDACT_HEADERS: 'X-Tenant-Secret' });
+  const { entry } = await logged(() => post(`${base}/echo?token=abc&page=2`, {}, {
+    authorization: 'Bearer s3cret',
+    cookie: 'sid=1',
+    'x-api-key': 'k',
+    'x-avidiatech-signature': 'sig',
+    'x-tenant-secret': 't',
+    'x-trace': 'keep-me',
+  }));
+  const h = entry.headers;
+  for (const name of ['authorization', 'cookie', 'x-api-key', 'x-avidiatech-signature', 'x-tenant-secret']) {
+    assert.equal(h[name], '[REDACTED]', name);
+  }
+  assert.equal(h['x-trace'], 'keep-me');
+  assert.deepEqual(entry.query, { token: '[REDACTED]', page: '2' });
+  assert.doesNotMatch(JSON.stringify(entry), /s3cret|sid=1/);
+});
+
+test('body keys are redacted at any depth; dotted paths only from the root', async () => {
+  const base = await serve({ LOG_LEVEL: 'debug', LOG_REDACT_BODY_PATHS: 'options.proxy,items.*.sku' });
+  const { entry } = await logged(() => post(`${base}/echo`, {
+    url: 'https://example.com/p/1',
+    html: '<p>page</p>',
+    options: { proxy: 'http://user:pw@proxy', wait: 5, nested: { password: 'pw', proxy: 'kept' } },
+    items: [{ sku: 'A1', qty: 1 }, { sku: 'B2', qty: 2 }],
+  }));
+  assert.deepEqual(entry.body, {
+    url: 'https://example.com/p/1',
+    html: '[REDACTED]',
+    options: { proxy: '[REDACTED]', wait: 5, nested: { password: '[REDACTED]', proxy: 'kept' } },
+    items: [{ sku: '[REDACTED]', qty: 1 }, { sku: '[REDACTED]', qty: 2 }],
+  });
+});
+
+test('long bodies are cut after redaction; LOG_BODY_MAX_BYTES=0 drops them', async () => {
+  const cut = await serve({ LOG_LEVEL: 'debug', LOG_BODY_MAX_BYTES: '40' });
+  const { entry } = await logged(() => post(`${cut}/echo`, { token: 'tok-123', note: 'x'.repeat(200) }));
+  assert.equal(entry.body_truncated, true);
+  assert.equal(entry.body.length, 40);
+  assert.ok(entry.body.startsWith('{"token":"[REDACTED]"'));
+  assert.ok(entry.body_bytes > 200);
+
+  const none = await serve({ LOG_LEVEL: 'debug', LOG_BODY_MAX_BYTES: '0' });
+  const { entry: bare } = await logged(() => post(`${none}/echo`, { note: 'hello' }));
+  assert.equal(bare.body, undefined);
+});
+
+test('at info level headers, query and body are not logged at all', async () => {
+  const base = await serve({ LOG_LEVEL: 'info' });
+  const { entry } = await logged(() => post(`${base}/echo?q=1`, { password: 'pw' }, { authorization: 'Bearer x' }));
+  assert.equal(entry.level, 'info');
+  assert.equal(entry.status, 200);
+  for (const key of ['headers', 'query', 'body']) assert.equal(entry[key], undefined, key);
+});
+
+test('request ids: a valid x-request-id is reused, else correlation_id, else a fresh id', async () => {
+  const base = await serve({ LOG_LEVEL: 'info' });
+  const given = await logged(() => post(`${base}/echo`, { correlation_id: 'corr-1' }, { 'x-request-id': 'req-1' }));
+  assert.equal(given.res.headers.get('x-request-id'), 'req-1');
+  assert.equal(given.entry.req_id, 'req-1');
+  assert.equal(given.entry.correlation_id, 'corr-1');
+
+  const corr = await logged(() => post(`${base}/echo`, { correlation_id: 'corr-2' }, { 'x-request-id': 'has spaces' }));
+  assert.equal(corr.entry.req_id, 'corr-2');
+  assert.equal(corr.entry.correlation_id, undefined);
+
+  const fresh = await logged(() => post(`${base}/echo`, {}));
+  assert.match(fresh.entry.req_id, /^[0-9a-f]{12}$/);
+});
+
+test('sampling skips matched routes but never 5xx responses', async () => {
+  const base = await serve({ LOG_LEVEL: 'info', LOG_SAMPLE: '/echo=0,/fail=0' });
+  const { entry } = await logged(() => post(`${base}/echo`, {}));
+  assert.equal(entry, null);
+  const failed = await logged(() => fetch(`${base}/fail`));
+  assert.equal(failed.entry.level, 'error');
+  assert.equal(failed.entry.status, 500);
+});
@@ -0,0 +1,142 @@
+// SSRF guard (ssrfGuard.js): address and URL checks, DNS-resolved checks,
+// the pinned connection lookup and redirect hops. DNS is faked for *.test
+// names; 127.0.0.1 is allowlisted so a local server can stand in for a site.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'node:dns';
+import http from 'node:http';
+
+const FAKE_DNS = {
+  'public.test': ['93.184.216.34'],
+  'internal.test': ['93.184.216.34', '10.0.0.5'],
+  'rebind.test': ['169.254.169.254'],
+  'site.test': ['127.0.0.1'],
+  'empty.test': [],
+};
+const realLookup = dns.lookup;
+const realPromiseLookup = dns.promises.lookup;
+const answer = (host) => FAKE_DNS[host].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+let guard;
+let server;
+let port;
+
+before(async () => {
+  process.env.ENABLE_SSRF_GUARD = 'true';
+  process.env.SSRF_ALLOWLIST = '127.0.0.1,.staging.internal';
+  dns.lookup = (host, opts, cb) => (host in FAKE_DNS ? process.nextTick(cb, null, answer(host)) : realLookup(host, opts, cb));
+  dns.promises.lookup = async (host, opts) => (host in FAKE_DNS ? answer(host) : realPromiseLookup(host, opts));
+  guard = await import('../ssrfGuard.js');
+
+  server = http.createServer((req, res) => {
+    if (req.url === '/to-metadata') {
+      res.writeHead(302, { location: 'http://169.254.169.254/latest/meta-data/' });
+      return res.end();
+    }
+    if (req.url.startsWith('/hop?to=')) {
+      res.writeHead(302, { location: decodeURIComponent(req.url.slice('/hop?to='.length)) });
+      return res.end();
+    }
+    if (req.url === '/headers') {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify(req.headers));
+    }
+    if (req.url === '/to-internal-name') {
+      res.writeHead(301, { location: 'http://internal.test/' });
+      return res.end();
+    }
+    res.end('ok');
+  });
+  server.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  dns.lookup = realLookup;
+  dns.promises.lookup = realPromiseLookup;
+  if (server) server.close();
+});
+
+test('blockedAddressReason names the range of internal addresses', () => {
+  const { blockedAddressReason } = guard;
+  assert.equal(blockedAddressReason('169.254.169.254'), 'metadata');
+  assert.equal(blockedAddressReason('127.0.0.2'), 'loopback');
+  assert.equal(blockedAddressReason('::1'), 'loopback');
+  assert.equal(blockedAddressReason('10.1.2.3'), 'private');
+  assert.equal(blockedAddressReason('100.64.0.1'), 'private');
+  assert.equal(blockedAddressReason('fe80::1'), 'link-local');
+  assert.equal(blockedAddressReason('0.0.0.0'), 'reserved');
+  // IPv4 carried in IPv6 is judged as the IPv4 address.
+  assert.equal(blockedAddressReason('::ffff:10.0.0.1'), 'private');
+  assert.equal(blockedAddressReason('::ffff:a9fe:a9fe'), 'metadata');
+  assert.equal(blockedAddressReason('64:ff9b::7f00:2'), 'loopback');
+  assert.equal(blockedAddressReason('93.184.216.34'), null);
+  assert.equal(blockedAddressReason('127.0.0.1'), null); // allowlisted
+});
+
+test('blockedUrlReason refuses internal names, IP literals and other schemes', () => {
+  const { blockedUrlReason } = guard;
+  assert.equal(blockedUrlReason('http://localhost:8080/'), 'internal name');
+  assert.equal(blockedUrlReason('http://printer.local/'), 'internal name');
+  assert.equal(blockedUrlReason('http://metadata.google.internal/'), 'internal name');
+  assert.equal(blockedUrlReason('http://[::1]/'), 'loopback');
+  assert.equal(blockedUrlReason('file:///etc/passwd'), 'scheme file:');
+  assert.equal(blockedUrlReason('not a url'), 'invalid url');
+  assert.equal(blockedUrlReason('https://api.staging.internal/'), null); // allowlisted domain
+  assert.equal(blockedUrlReason('https://example.com/'), null);
+});
+
+test('assertAllowedUrl rejects a name when any address it resolves to is internal', async () => {
+  await guard.assertAllowedUrl('http://public.test/');
+  await assert.rejects(guard.assertAllowedUrl('http://internal.test/'), (err) => {
+    assert.equal(err.code, 'ESSRF');
+    assert.equal(err.status, 400);
+    assert.match(err.message, /private address 10\.0\.0\.5/);
+    return true;
+  });
+  // Without resolving, only the URL itself is judged.
+  await guard.assertAllowedUrl('http://internal.test/', { resolve: false });
+});
+
+test('guardedFetch refuses to connect to an internal address resolved at connect time', async () => {
+  await assert.rejects(guard.guardedFetch('http://rebind.test/'), (err) => {
+    assert.equal(err.code, 'ESSRF');
+    assert.match(err.message, /metadata address 169\.254\.169\.254/);
+    return true;
+  });
+});
+
+test('guardedFetch fails with ENOTFOUND when DNS answers with no addresses', async () => {
+  await assert.rejects(guard.guardedFetch('http://empty.test/'), (err) => {
+    assert.equal(err.cause && err.cause.code, 'ENOTFOUND');
+    return true;
+  });
+});
+
+test('guardedFetch checks every redirect hop', async () => {
+  const ok = await guard.guardedFetch(`http://site.test:${port}/`);
+  assert.equal(await ok.text(), 'ok');
+
+  await assert.rejects(guard.guardedFetch(`http://127.0.0.1:${port}/to-metadata`), { code: 'ESSRF' });
+  await assert.rejects(guard.guardedFetch(`http://127.0.0.1:${port}/to-internal-name`), { code: 'ESSRF' });
+
+  const manual = await guard.guardedFetch(`http://127.0.0.1:${port}/to-metadata`, { redirect: 'manual' });
+  assert.equal(manual.status, 302);
+});
+
+test('guardedFetch drops credentials and host-only headers on a redirect to another host', async () => {
+  const init = { headers: { authorization: 'Bearer t', cookie: 'c=1', 'x-site-token': 's', accept: 'text/html' } };
+  const hop = (to) => `http://127.0.0.1:${port}/hop?to=${encodeURIComponent(to)}`;
+
+  const same = await (await guard.guardedFetch(hop(`http://127.0.0.1:${port}/headers`), init, { hostHeaders: ['X-Site-Token'] })).json();
+  assert.equal(same.authorization, 'Bearer t');
+  assert.equal(same['x-site-token'], 's');
+
+  const other = await (await guard.guardedFetch(hop(`http://site.test:${port}/headers`), init, { hostHeaders: ['X-Site-Token'] })).json();
+  assert.equal(other.authorization, undefined);
+  assert.equal(other.cookie, undefined);
+  assert.equal(other['x-site-token'], undefined);
+  assert.equal(other.accept, 'text/html');
+});
@@ -0,0 +1,109 @@
+// tools/render-engine/ingest-signature.mjs
+// HMAC signatures for POST /ingest (AvidiaTech -> render-engine) and the
+// job callback (render-engine -> AvidiaTech). The scheme itself lives in
+// hmacSigning.js at the repo root, shared with watch webhooks.
+//
+// INGEST_SIGNATURE_MODE=strict:
+//   - the raw request bytes are signed together with x-avidiatech-timestamp
+//     and x-avidiatech-nonce, not a re-serialised body;
+//   - timestamps more than INGEST_SIGNATURE_TOLERANCE_S (default 300) away
+//     from our clock are stale, and a nonce is accepted once within that
+//     window (kept in memory, so per process);
+//   - any secret in INGEST_SECRETS (comma separated) verifies, the first one
+//     signs callbacks: add the new secret, move senders over, drop the old.
+//   Missing headers, bad or stale signatures and replays are all rejected.
+//
+// INGEST_SIGNATURE_MODE=legacy (default): the old best-effort check, kept
+// until every caller signs the strict way: x-avidiatech-signature is the hex
+// HMAC of JSON.stringify(body); unsigned requests are allowed and logged.
+
+import {
+  SIGNATURE_HEADER,
+  createSignatureVerifier,
+  hmacHex,
+  parseSecrets,
+  sameDigest,
+  signatureHeaders,
+} from "../../hmacSigning.js";
+
+const MODE =
+  String(process.env.INGEST_SIGNATURE_MODE || "legacy").toLowerCase() === "strict"
+    ? "strict"
+    : "legacy";
+const TOLERANCE_S =
+  Number(process.env.INGEST_SIGNATURE_TOLERANCE_S || "300") || 300;
+
+const verifyStrictHeaders = createSignatureVerifier({ toleranceS: TOLERANCE_S });
+
+/**
+ * Active secrets, newest first: INGEST_SECRETS, else INGEST_SECRET, else
+ * RENDER_ENGINE_SECRET. Strict mode has no "dev-secret" fallback.
+ */
+function activeSecrets() {
+  const list = parseSecrets(
+    process.env.INGEST_SECRETS ||
+      process.env.INGEST_SECRET ||
+      process.env.RENDER_ENGINE_SECRET
+  );
+  if (list.length || MODE === "strict") return list;
+  return ["dev-secret"];
+}
+
+export function signatureMode() {
+  return MODE;
+}
+
+/* ================== Inbound ================== */
+function verifyStrict(req) {
+  if (!Buffer.isBuffer(req.rawBody)) return { ok: false, reason: "raw_body_unavailable" };
+  return verifyStrictHeaders(req.headers, req.rawBody, activeSecrets());
+}
+
+function verifyLegacy(req) {
+  const raw = req.headers[SIGNATURE_HEADER];
+  const headerValue = Array.isArray(raw) ? raw[0] : raw;
+  if (!headerValue) {
+    console.warn(
+      "render-engine: missing x-avidiatech-signature; allowing but logging"
+    );
+    return { ok: true };
+  }
+
+  try {
+    const json = JSON.stringify(req.body || {});
+    const valid = activeSecrets().some((secret) =>
+      sameDigest(hmacHex(secret, json), headerValue)
+    );
+    return valid ? { ok: true } : { ok: false, reason: "bad_signature" };
+  } catch (err) {
+    console.error(
+      "render-engine: error while verifying ingest signature:",
+      err && err.stack ? err.stack : String(err)
+    );
+    // Fail-open so we don't accidentally brick the pipeline.
+    return { ok: true };
+  }
+}
+
+/**
+ * Check the signature of an inbound /ingest request.
+ * Strict mode needs the raw body on req.rawBody (the root JSON parser keeps it).
+ *
+ * @returns {{ ok: boolean, reason?: string }}
+ */
+export function verifyIngestRequest(req) {
+  return MODE === "strict" ? verifyStrict(req) : verifyLegacy(req);
+}
+
+/* ================== Outbound ================== */
+/**
+ * Signature headers for a callback body (the exact string that is sent),
+ * in the current mode, signed with the newest secret. Empty when there is
+ * no secret.
+ *
+ * @param {string} body
+ * @returns {Record<string, string>}
+ */
+export function signCallbackHeaders(body) {
+  return signatureHeaders(body, activeSecrets()[0], { mode: MODE });
+}
@@ -1,27 +1,177 @@
 // require('./request-logger')(app) - attach early, before route handlers
+//
+// One JSON line per request, written when the response finishes:
+//
+//   {"time":"…","level":"info","msg":"request","req_id":"…","method":"POST",
+//    "path":"/ingest","status":202,"duration_ms":812,"correlation_id":"…"}
+//
+// req_id is the caller's x-request-id, else the body's correlation_id, else a
+// fresh id; it is set on req.reqId (runIngest reuses it as _debug.reqId) and
+// echoed in the x-request-id response header.
+//
+//   LOG_LEVEL              debug | info (default) | warn | error | silent.
+//                          5xx log at error, 4xx at warn, the rest at info;
+//                          debug adds the (redacted) headers, query and body.
+//   LOG_REDACT_HEADERS     extra header names to redact (comma separated);
+//                          authorization, cookies, API keys and signatures
+//                          always are.
+//   LOG_REDACT_BODY_PATHS  extra body paths: "password" redacts that key at
+//                          any depth, "options.proxy" / "items.*.token" a path
+//                          from the root (* = any key or array index).
+//   LOG_BODY_MAX_BYTES     logged body size before it is cut (default 2048;
+//                          0 = never log bodies).
+//   LOG_SAMPLE             per-route sampling, "path-prefix=rate" pairs, e.g.
+//                          "/healthz=0,/ingest=0.1"; the longest prefix wins,
+//                          unmatched paths are always logged, and so are
+//                          responses with status >= 500.
+
+const crypto = require('crypto');
 const express = require('express');
 
-module.exports = function requestLogger(app) {
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[REDACTED]';
+const ALWAYS_REDACTED_HEADERS = [
+  'authorization', 'proxy-authorization', 'cookie', 'set-cookie',
+  'x-api-key', 'x-engine-key', 'x-avidiatech-signature', 'x-avidiatech-nonce',
+];
+const DEFAULT_BODY_PATHS = [
+  'password', 'secret', 'token', 'api_key', 'apiKey', 'access_token',
+  'html', 'raw_payload', 'normalized_payload',
+];
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function list(value) {
+  return String(value || '').split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+function loadConfig(env = process.env) {
+  const level = String(env.LOG_LEVEL || 'info').toLowerCase();
+  const maxBytes = parseInt(env.LOG_BODY_MAX_BYTES || '2048', 10);
+  const sampling = list(env.LOG_SAMPLE)
+    .map((pair) => {
+      const [prefix, rate] = pair.split('=');
+      return { prefix: prefix.trim(), rate: Math.min(1, Math.max(0, Number(rate))) };
+    })
+    .filter((s) => s.prefix && Number.isFinite(s.rate))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+  return {
+    threshold: LEVELS[level] != null ? LEVELS[level] : LEVELS.info,
+    headers: new Set([...ALWAYS_REDACTED_HEADERS, ...list(env.LOG_REDACT_HEADERS)].map((h) => h.toLowerCase())),
+    bodyPaths: [...DEFAULT_BODY_PATHS, ...list(env.LOG_REDACT_BODY_PATHS)].map((p) => p.split('.')),
+    maxBytes: Number.isFinite(maxBytes) && maxBytes >= 0 ? maxBytes : 2048,
+    sampling,
+  };
+}
+
+function redactHeaders(headers, config) {
+  const out = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    out[name] = config.headers.has(name.toLowerCase()) ? REDACTED : value;
+  }
+  return out;
+}
+
+/** Copy of `value` with every matching path replaced by REDACTED. */
+function redactBody(value, config) {
+  const walk = (node, trail) => {
+    if (!node || typeof node !== 'object') return node;
+    const out = Array.isArray(node) ? [] : {};
+    for (const [key, child] of Object.entries(node)) {
+      const here = [...trail, key];
+      const hit = config.bodyPaths.some((rule) =>
+        rule.length === 1
+          ? rule[0] === key
+          : rule.length === here.length && rule.every((seg, i) => seg === '*' || seg === here[i])
+      );
+      out[key] = hit ? REDACTED : walk(child, here);
+    }
+    return out;
+  };
+  return walk(value, []);
+}
+
+/** The redacted body as logged: parsed JSON when it fits, else a cut string. */
+function loggedBody(body, config) {
+  if (body == null || config.maxBytes === 0) return {};
+  if (typeof body === 'object' && !Object.keys(body).length) return {};
+  let text;
+  try {
+    text = typeof body === 'object' ? JSON.stringify(redactBody(body, config)) : String(body);
+  } catch {
+    return { body: '<unserializable>' };
+  }
+  const bytes = Buffer.byteLength(text);
+  if (bytes <= config.maxBytes) return { body: typeof body === 'object' ? JSON.parse(text) : text };
+  return {
+    body: Buffer.from(text).subarray(0, config.maxBytes).toString('utf8'),
+    body_bytes: bytes,
+    body_truncated: true,
+  };
+}
+
+function sampleRate(path, config) {
+  const rule = config.sampling.find((s) => path.startsWith(s.prefix));
+  return rule ? rule.rate : 1;
+}
+
+function requestIdOf(req) {
+  const given = req.get('x-request-id');
+  if (given && REQUEST_ID_RE.test(given)) return given;
+  const correlation = req.body && req.body.correlation_id;
+  if (typeof correlation === 'string' && REQUEST_ID_RE.test(correlation)) return correlation;
+  return crypto.randomBytes(6).toString('hex');
+}
+
+function write(level, entry) {
+  const line = JSON.stringify({ time: new Date().toISOString(), level, ...entry });
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+module.exports = function requestLogger(app, opts = {}) {
+  const config = loadConfig(opts.env);
+
   // Ensure JSON parsing so we can log request bodies
-  app.use(express.json({ limit: "1mb" }));
+  app.use(express.json({ limit: '1mb' }));
 
   app.use((req, res, next) => {
-    const now = new Date().toISOString();
-    const safeHeaders = { ...req.headers };
-    if (safeHeaders['x-engine-key']) safeHeaders['x-engine-key'] = '***REDACTED***';
-    console.log(`[render:request] ${now} ${req.method} ${req.originalUrl} headers=${JSON.stringify(safeHeaders)}`);
-
-    if (req.body) {
-      try {
-        console.log(`[render:request] body=${JSON.stringify(req.body)}`);
-      } catch (e) {
-        console.log(`[render:request] body=<unserializable>`);
-      }
-    }
+    const started = process.hrtime.bigint();
+    const reqId = requestIdOf(req);
+    req.reqId = reqId;
+    res.set('x-request-id', reqId);
+    // Sampled up front so a request is logged whole or not at all.
+    const sampled = Math.random() < sampleRate(req.path, config);
 
-    res.on('finish', () => {
-      console.log(`[render:response] ${now} ${req.method} ${req.originalUrl} status=${res.statusCode}`);
-    });
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      // The client went away before a response was sent.
+      const status = res.writableFinished ? res.statusCode : 499;
+      const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+      if (LEVELS[level] < config.threshold || (!sampled && status < 500)) return;
+      const correlation = req.body && typeof req.body.correlation_id === 'string' ? req.body.correlation_id : undefined;
+      write(level, {
+        msg: 'request',
+        ...(opts.prefix ? { logger: opts.prefix } : {}),
+        req_id: reqId,
+        ...(correlation && correlation !== reqId ? { correlation_id: correlation } : {}),
+        method: req.method,
+        path: req.path,
+        status,
+        duration_ms: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+        ...(config.threshold <= LEVELS.debug
+          ? {
+              query: redactBody(req.query, config),
+              headers: redactHeaders(req.headers, config),
+              ...loggedBody(req.body, config),
+            }
+          : {}),
+      });
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
 
     next();
   });
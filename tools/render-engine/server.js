@@ -1,6 +1,6 @@
 // tools-render-engine/server.js
 // Render-engine plugin for medx-ingest-api
-// - Attaches /ingest for the AvidiaTech ingest pipeline (async callback flow)
+// - Attaches /ingest for the AvidiaTech ingest pipeline (async callback flow, HMAC-signed: ingest-signature.mjs)
 // - Attaches /describe through gptInstructionsEnforcer
 // - Attaches /central-gpt via mountCentralGpt so AvidiaTech can call a single GPT orchestrator
 // - DOES NOT call app.listen; the root server.js owns the port.
@@ -8,11 +8,13 @@
 import { createRequire } from "module";
 const require = createRequire(import.meta.url);
 
-import crypto from "node:crypto";
 import { mountCentralGpt } from "./central-gpt.mjs";
+import {
+  signatureMode,
+  signCallbackHeaders,
+  verifyIngestRequest,
+} from "./ingest-signature.mjs";
 
-const ENGINE_SECRET = process.env.RENDER_ENGINE_SECRET || "dev-secret";
-const INGEST_SECRET = process.env.INGEST_SECRET || ENGINE_SECRET;
 const INGEST_CALLBACK_TIMEOUT_MS = Number(
   process.env.INGEST_CALLBACK_TIMEOUT_MS || "10000"
 ) || 10000;
@@ -21,56 +23,6 @@ const INGEST_SELF_TIMEOUT_MS = Number(
   process.env.INGEST_SELF_TIMEOUT_MS || "60000"
 ) || 60000;
 
-// If your root server runs on a different port, set this.
-// In Render, this is usually the same process/port.
-const SELF_BASE_URL =
-  process.env.INGEST_SELF_BASE_URL ||
-  (process.env.PORT ? `http://127.0.0.1:${process.env.PORT}` : "http://127.0.0.1:3000");
-
-/**
- * Best-effort HMAC verification for inbound /ingest calls from AvidiaTech.
- * We sign the *JSON string* of the body on the caller side, so we do the same here.
- */
-function verifyIngestSignature(bodyObj, headerValue) {
-  if (!INGEST_SECRET) {
-    console.warn(
-      "render-engine: INGEST_SECRET not set; skipping signature verification"
-    );
-    return true;
-  }
-
-  if (!headerValue) {
-    console.warn(
-      "render-engine: missing x-avidiatech-signature; allowing but logging"
-    );
-    return true;
-  }
-
-  try {
-    const expected = crypto
-      .createHmac("sha256", INGEST_SECRET)
-      .update(JSON.stringify(bodyObj || {}))
-      .digest("hex");
-
-    if (expected !== headerValue) {
-      console.warn(
-        "render-engine: invalid ingest signature; expected %s got %s",
-        expected,
-        headerValue
-      );
-      return false;
-    }
-    return true;
-  } catch (err) {
-    console.error(
-      "render-engine: error while verifying ingest signature:",
-      err && err.stack ? err.stack : String(err)
-    );
-    // Fail-open so we don't accidentally brick the pipeline.
-    return true;
-  }
-}
-
 function toNonEmptyString(v) {
   if (v === null || v === undefined) return null;
   const s = String(v).trim();
@@ -124,57 +76,31 @@ function coerceSpecsObject(input) {
 }
 
 /**
- * Call the local "real" ingest logic (GET /ingest?url=...).
- * This reuses the canonical scraper/normalizer pipeline already implemented in the main server.
+ * Run the local "real" ingest logic (the same pipeline as GET /ingest?url=...).
+ * `ingest` is supplied by the root server.js and runs in-process, so no API key
+ * is needed and the call is not metered twice.
  */
-async function callLocalIngest(url, options = {}) {
-  const ingestUrl = new URL(`${SELF_BASE_URL.replace(/\/$/, "")}/ingest`);
-  ingestUrl.searchParams.set("url", url);
-
+async function callLocalIngest(ingest, url, options = {}) {
   // Default flags for robust extraction (can be overridden by options)
   // These match patterns used elsewhere in repo (e.g. queueRoutes.js).
-  ingestUrl.searchParams.set("harvest", "true");
-  ingestUrl.searchParams.set("sanitize", "true");
-
-  if (options.markdown === true) ingestUrl.searchParams.set("markdown", "true");
-  if (options.debug === true) ingestUrl.searchParams.set("debug", "true");
-  if (options.wait != null) ingestUrl.searchParams.set("wait", String(options.wait));
-  if (options.timeout != null) ingestUrl.searchParams.set("timeout", String(options.timeout));
-  if (options.mode != null) ingestUrl.searchParams.set("mode", String(options.mode));
-  if (options.mainonly != null) ingestUrl.searchParams.set("mainonly", String(options.mainonly));
-
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), INGEST_SELF_TIMEOUT_MS);
-
-  try {
-    const resp = await fetch(ingestUrl.toString(), {
-      method: "GET",
-      headers: { accept: "application/json" },
-      signal: controller.signal,
-    });
-
-    const text = await resp.text().catch(() => "");
-    if (!resp.ok) {
-      const err = new Error(`local_ingest_failed status=${resp.status} body=${text.slice(0, 500)}`);
-      err.status = resp.status;
-      throw err;
-    }
-
-    let json;
-    try {
-      json = JSON.parse(text);
-    } catch (e) {
-      throw new Error(`local_ingest_invalid_json body=${text.slice(0, 500)}`);
-    }
-
-    if (json && typeof json === "object" && json.error) {
-      throw new Error(`local_ingest_error ${String(json.error)}`);
-    }
+  const q = { url, harvest: "true", sanitize: "true" };
+  if (options.markdown === true) q.markdown = "true";
+  if (options.debug === true) q.debug = "true";
+  if (options.wait != null) q.wait = String(options.wait);
+  if (options.timeout != null) q.timeout = String(options.timeout);
+  if (options.mode != null) q.mode = String(options.mode);
+  if (options.mainonly != null) q.mainonly = String(options.mainonly);
+
+  const json = await ingest(q, {
+    signal: AbortSignal.timeout(INGEST_SELF_TIMEOUT_MS),
+    reqId: options.reqId || null,
+  });
 
-    return json;
-  } finally {
-    clearTimeout(timeout);
+  if (json && typeof json === "object" && json.error) {
+    throw new Error(`local_ingest_error ${String(json.error)}`);
   }
+
+  return json;
 }
 
 /**
@@ -236,9 +162,13 @@ function buildAvidiaStandardNormalizedPayloadFromIngestResult(ingestResult, sour
  * This is called from the root server.js via:
  *
  *   import { mountRenderEngine } from "./tools/render-engine/server.js";
- *   await mountRenderEngine(app);
+ *   await mountRenderEngine(app, { ingest: (q, opts) => ... });
  */
-export async function mountRenderEngine(app) {
+export async function mountRenderEngine(app, { ingest } = {}) {
+  if (typeof ingest !== "function") {
+    throw new Error("mountRenderEngine: pass { ingest } (runs the /ingest pipeline in-process)");
+  }
+
   // Optional request logger (non-fatal if missing)
   try {
     const maybeLogger = require("./request-logger.js");
@@ -285,18 +215,21 @@ export async function mountRenderEngine(app) {
   }
 
   // POST /ingest – main AvidiaTech ingest entrypoint (async callback flow)
-  console.log("render-engine: mounting POST /ingest handler for AvidiaTech ingest");
+  console.log(
+    "render-engine: mounting POST /ingest handler for AvidiaTech ingest (signatures: %s)",
+    signatureMode()
+  );
   app.post("/ingest", async (req, res) => {
     try {
-      const headerSigRaw =
-        req.headers["x-avidiatech-signature"] ||
-        req.headers["X-AVIDIATECH-SIGNATURE"];
-      const headerSig = Array.isArray(headerSigRaw)
-        ? headerSigRaw[0]
-        : headerSigRaw;
-
-      if (!verifyIngestSignature(req.body, headerSig)) {
-        return res.status(401).json({ ok: false, error: "invalid_signature" });
+      const verdict = verifyIngestRequest(req);
+      if (!verdict.ok) {
+        console.warn(
+          "render-engine: rejected ingest request (%s)",
+          verdict.reason
+        );
+        return res
+          .status(401)
+          .json({ ok: false, error: "invalid_signature", reason: verdict.reason });
       }
 
       const {
@@ -330,8 +263,8 @@ export async function mountRenderEngine(app) {
       let error = null;
 
       try {
-        // Reuse the real scraper/normalizer via local GET /ingest
-        ingestResult = await callLocalIngest(url, options || {});
+        // Reuse the real scraper/normalizer in-process
+        ingestResult = await callLocalIngest(ingest, url, { ...(options || {}), reqId: req.reqId });
         normalizedPayload = buildAvidiaStandardNormalizedPayloadFromIngestResult(ingestResult, url);
       } catch (innerErr) {
         console.error(
@@ -368,7 +301,6 @@ export async function mountRenderEngine(app) {
           export_type: export_type || "JSON",
           action: action || "ingest",
           completed_at: completedAt,
-          self_base_url: SELF_BASE_URL,
         },
       };
 
@@ -387,20 +319,12 @@ export async function mountRenderEngine(app) {
           );
 
           const callbackJson = JSON.stringify(callbackBody);
-          const callbackSignature = INGEST_SECRET
-            ? crypto
-                .createHmac("sha256", INGEST_SECRET)
-                .update(callbackJson)
-                .digest("hex")
-            : "";
 
           const resp = await fetch(callback_url, {
             method: "POST",
             headers: {
               "content-type": "application/json",
-              ...(callbackSignature
-                ? { "x-avidiatech-signature": callbackSignature }
-                : {}),
+              ...signCallbackHeaders(callbackJson),
             },
             body: callbackJson,
             signal: controller.signal,
@@ -0,0 +1,138 @@
+// usageMeter.js
+//
+// Per-API-key usage, counted per UTC day:
+//
+//   requests         accepted calls to metered routes (apiKeys.js)
+//   renderer_calls   pages rendered by the render API or local Chromium
+//   pdf_pages        pages of every PDF parsed
+//   ocr_seconds      time spent in Tesseract (images and scanned PDFs)
+//
+// Requests run inside withUsage(key, ...); meterUsage() anywhere below
+// adds to that key (and does nothing outside a metered request). Counters
+// live in USAGE_FILE (default ./data/usage.json), written a few seconds
+// after they change and by flushUsage() on shutdown; days older than
+// USAGE_RETENTION_DAYS (default 90) are dropped.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const DEFAULT_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'usage.json');
+const USAGE_FILE = process.env.USAGE_FILE || DEFAULT_FILE;
+const RETENTION_DAYS = parseInt(process.env.USAGE_RETENTION_DAYS || '90', 10);
+const SAVE_DELAY_MS = 5000;
+
+export const USAGE_METRICS = ['requests', 'renderer_calls', 'pdf_pages', 'ocr_seconds'];
+
+/** UTC date (YYYY-MM-DD) of `t`. */
+export function usageDay(t = Date.now()) {
+  return new Date(t).toISOString().slice(0, 10);
+}
+
+function emptyDay() {
+  return Object.fromEntries(USAGE_METRICS.map(m => [m, 0]));
+}
+
+/* ================== Store ================== */
+let usage = null; // key -> { day -> counters }
+let saveTimer = null;
+
+function load() {
+  if (usage) return usage;
+  try {
+    const raw = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8'));
+    usage = raw && typeof raw.keys === 'object' ? raw.keys : {};
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`usage: could not read ${USAGE_FILE}: ${e.message}`);
+    usage = {};
+  }
+  return usage;
+}
+
+function prune() {
+  const cutoff = usageDay(Date.now() - RETENTION_DAYS * 86400000);
+  for (const days of Object.values(load())) {
+    for (const day of Object.keys(days)) if (day < cutoff) delete days[day];
+  }
+}
+
+/** Write the counters now (also called on shutdown). */
+export function flushUsage() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (!usage) return;
+  prune();
+  try {
+    fs.mkdirSync(path.dirname(USAGE_FILE), { recursive: true });
+    const tmp = `${USAGE_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ keys: usage }, null, 2) + '\n');
+    fs.renameSync(tmp, USAGE_FILE);
+  } catch (e) {
+    console.warn(`usage: could not write ${USAGE_FILE}: ${e.message}`);
+  }
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(flushUsage, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+function counters(key, day = usageDay()) {
+  const days = load()[key] || (load()[key] = {});
+  return days[day] || (days[day] = emptyDay());
+}
+
+/* ================== Metering ================== */
+const store = new AsyncLocalStorage();
+
+/** Run `fn` with everything it meters counted against `key`. */
+export function withUsage(key, fn) {
+  return store.run({ key }, fn);
+}
+
+/** The key the current request is metered against, or null outside one. */
+export function usageKey() {
+  const ctx = store.getStore();
+  return ctx ? ctx.key : null;
+}
+
+/** Add `amount` of `metric` to the current request's key. */
+export function meterUsage(metric, amount = 1) {
+  const ctx = store.getStore();
+  if (!ctx || !(amount > 0)) return;
+  const c = counters(ctx.key);
+  c[metric] = (c[metric] || 0) + amount;
+  scheduleSave();
+}
+
+/** Today's counters for `key`. */
+export function usageToday(key) {
+  return { ...emptyDay(), ...((load()[key] || {})[usageDay()] || {}) };
+}
+
+/**
+ * Usage of `key` over the last `days` days (today included), oldest first,
+ * with totals. OCR seconds are rounded to 0.1s.
+ */
+export function usageReport(key, { days = 30 } = {}) {
+  const byDay = load()[key] || {};
+  const out = [];
+  const totals = emptyDay();
+  for (let i = days - 1; i >= 0; i--) {
+    const day = usageDay(Date.now() - i * 86400000);
+    if (!byDay[day]) continue;
+    const c = { ...emptyDay(), ...byDay[day] };
+    c.ocr_seconds = Math.round(c.ocr_seconds * 10) / 10;
+    for (const m of USAGE_METRICS) totals[m] += c[m];
+    out.push({ day, ...c });
+  }
+  totals.ocr_seconds = Math.round(totals.ocr_seconds * 10) / 10;
+  return { key, days: out, totals };
+}
+
+/** Keys with any recorded usage. */
+export function usageKeys() {
+  return Object.keys(load());
+}
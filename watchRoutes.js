@@ -0,0 +1,279 @@
+// watchRoutes.js
+//
+// Scheduled watch list. A watch is a product URL re-ingested every
+// `interval`; each run keeps a content hash of the normalised record (see
+// ingestDiff.js contentHash). When the hash changes and the diff is not
+// empty, the watch's webhook gets a signed POST:
+//
+//   { event: "watch.changed", watch_id, url, checked_at,
+//     previous_hash, content_hash, diff, current }
+//
+// signed with the render-engine callback scheme (hmacSigning.js): timestamp,
+// nonce and x-avidiatech-signature "v1=<HMAC of timestamp.nonce.body>", keyed
+// with the first of WATCH_WEBHOOK_SECRET (comma separated, falls back to
+// INGEST_SECRETS / INGEST_SECRET; unsigned when none is set). Retries resend
+// the same signed delivery, so a receiver that already took it sees a replay.
+// WATCH_WEBHOOK_SIGNATURE=legacy sends the old body-only HMAC instead.
+//
+// Webhooks go through the SSRF guard (ssrfGuard.js) like ingest fetches.
+//
+// Watches live in a local JSON file (WATCHES_FILE, default
+// ./data/watches.json); no external service is needed. A watch belongs to
+// the API key that created it: only that key (or an admin-scoped one) can
+// list, read, check or delete it, and scheduled runs are metered to it.
+//
+//   POST   /watches              { url, interval, webhook_url, options? }
+//   GET    /watches
+//   GET    /watches/:id          (includes the last snapshot)
+//   POST   /watches/:id/check    run now
+//   DELETE /watches/:id
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { toIngestV2 } from './ingestSchema.js';
+import { contentHash, diffIngestResults } from './ingestDiff.js';
+import { guardedFetch } from './ssrfGuard.js';
+import { parseSecrets, signatureHeaders } from './hmacSigning.js';
+import { withUsage } from './usageMeter.js';
+
+const DEFAULT_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'watches.json');
+const WATCHES_FILE = process.env.WATCHES_FILE || DEFAULT_FILE;
+const [WEBHOOK_SECRET = ''] = parseSecrets(process.env.WATCH_WEBHOOK_SECRET || process.env.INGEST_SECRETS || process.env.INGEST_SECRET);
+const WEBHOOK_SIGNATURE = String(process.env.WATCH_WEBHOOK_SIGNATURE || 'strict').toLowerCase() === 'legacy' ? 'legacy' : 'strict';
+const MIN_INTERVAL_S = parseInt(process.env.WATCH_MIN_INTERVAL_S || '300', 10);
+const TICK_MS = parseInt(process.env.WATCH_TICK_MS || '30000', 10);
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WATCH_WEBHOOK_TIMEOUT_MS || '10000', 10);
+const WEBHOOK_ATTEMPTS = 3;
+
+const UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/** "900", 900, "15m", "6h", "1d" -> seconds; NaN when unparseable. */
+export function parseInterval(v) {
+  if (typeof v === 'number') return Math.floor(v);
+  const m = /^\s*(\d+)\s*([smhd]?)\s*$/i.exec(String(v || ''));
+  return m ? parseInt(m[1], 10) * UNITS[(m[2] || 's').toLowerCase()] : NaN;
+}
+
+/* ================== Store ================== */
+let watches = null;
+
+function load() {
+  if (watches) return watches;
+  try {
+    const raw = JSON.parse(fs.readFileSync(WATCHES_FILE, 'utf8'));
+    watches = new Map((Array.isArray(raw.watches) ? raw.watches : []).map(w => [w.id, w]));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`watches: could not read ${WATCHES_FILE}: ${e.message}`);
+    watches = new Map();
+  }
+  return watches;
+}
+
+function save() {
+  fs.mkdirSync(path.dirname(WATCHES_FILE), { recursive: true });
+  const tmp = `${WATCHES_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ watches: [...load().values()] }, null, 2) + '\n');
+  fs.renameSync(tmp, WATCHES_FILE);
+}
+
+function publicWatch(w, { full = false } = {}) {
+  if (full) return w;
+  const { last_snapshot, ...rest } = w;
+  return rest;
+}
+
+/* ================== Webhooks ================== */
+export function signWebhookHeaders(json, secret = WEBHOOK_SECRET) {
+  return signatureHeaders(json, secret, { mode: WEBHOOK_SIGNATURE });
+}
+
+async function postWebhook(url, payload) {
+  const json = JSON.stringify(payload);
+  const signed = signWebhookHeaders(json);
+  let last = { ok: false, status: 0, error: null };
+  for (let i = 1, delay = 1000; i <= WEBHOOK_ATTEMPTS; i++, delay *= 2) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+    try {
+      const resp = await guardedFetch(url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          ...signed,
+        },
+        body: json,
+        signal: controller.signal,
+      });
+      last = { ok: resp.ok, status: resp.status, error: resp.ok ? null : `status ${resp.status}` };
+      // 4xx other than 429 will not get better by retrying.
+      if (resp.ok || (resp.status >= 400 && resp.status < 500 && resp.status !== 429)) break;
+    } catch (e) {
+      last = { ok: false, status: 0, error: String((e && e.message) || e) };
+    } finally {
+      clearTimeout(timer);
+    }
+    if (i < WEBHOOK_ATTEMPTS) await new Promise(r => setTimeout(r, delay));
+  }
+  return { ...last, at: new Date().toISOString() };
+}
+
+/* ================== Runs ================== */
+let ingestFn = null;
+
+/**
+ * Re-ingest one watch now, update its hash/snapshot and fire the webhook on
+ * a meaningful change. The first run only records a baseline.
+ */
+async function checkWatch(w) {
+  const checkedAt = new Date().toISOString();
+  const result = { changed: false, webhook: null, error: null };
+  try {
+    const snapshot = toIngestV2(await ingestFn(w.url, w.options || {}));
+    const hash = contentHash(snapshot);
+    if (w.content_hash && hash !== w.content_hash) {
+      const diff = diffIngestResults(w.last_snapshot || {}, snapshot);
+      if (diff.changed) {
+        result.changed = true;
+        result.webhook = await postWebhook(w.webhook_url, {
+          event: 'watch.changed',
+          watch_id: w.id,
+          url: w.url,
+          checked_at: checkedAt,
+          previous_hash: w.content_hash,
+          content_hash: hash,
+          diff,
+          current: snapshot,
+        });
+        w.last_changed_at = checkedAt;
+        w.last_webhook = result.webhook;
+      }
+    }
+    w.content_hash = hash;
+    w.last_snapshot = snapshot;
+    w.last_status = 'ok';
+    w.last_error = null;
+  } catch (e) {
+    result.error = String((e && e.message) || e);
+    w.last_status = 'error';
+    w.last_error = result.error;
+  }
+  w.last_run_at = checkedAt;
+  w.next_run_at = new Date(Date.now() + w.interval_s * 1000).toISOString();
+  if (load().has(w.id)) save();
+  return result;
+}
+
+let ticking = false;
+
+async function tick() {
+  if (ticking || !ingestFn) return;
+  ticking = true;
+  try {
+    const now = Date.now();
+    const due = [...load().values()].filter(w => Date.parse(w.next_run_at || 0) <= now);
+    // One at a time: watches share the renderer with live traffic.
+    for (const w of due) {
+      if (!load().has(w.id)) continue;
+      await (w.owner ? withUsage(w.owner, () => checkWatch(w)) : checkWatch(w));
+    }
+  } finally {
+    ticking = false;
+  }
+}
+
+/** Start the scheduler (called once the server is listening). */
+export function startWatchScheduler() {
+  const timer = setInterval(() => { tick().catch(e => console.error('watches: tick failed', e)); }, TICK_MS);
+  timer.unref();
+  return timer;
+}
+
+/* ================== Routes ================== */
+/**
+ * Mount the /watches routes.
+ *
+ * @param {import('express').Express} app
+ * @param {{ ingest: (url: string, options: object) => Promise<object>,
+ *           isAllowedUrl?: (url: string) => boolean,
+ *           ownerFilter?: (req: import('express').Request) => string|undefined }} deps
+ *   `ingest` runs the normal pipeline and resolves to the v1 record;
+ *   `isAllowedUrl` vets watched and webhook URLs (SSRF guard);
+ *   `ownerFilter` names the only owner whose watches the caller may see
+ *   (undefined = all).
+ */
+export default function setupWatchRoutes(app, { ingest, isAllowedUrl = () => true, ownerFilter = () => undefined }) {
+  ingestFn = ingest;
+
+  const visible = (req, w) => {
+    const owner = ownerFilter(req);
+    return !owner || w.owner === owner;
+  };
+  const ownedWatch = (req) => {
+    const w = load().get(req.params.id);
+    return w && visible(req, w) ? w : null;
+  };
+
+  app.post('/watches', (req, res) => {
+    const body = req.body || {};
+    const url = String(body.url || '').trim();
+    const webhookUrl = String(body.webhook_url || '').trim();
+    const intervalS = parseInterval(body.interval);
+    if (!url || !isAllowedUrl(url)) return res.status(400).json({ error: 'Missing or invalid url' });
+    if (!webhookUrl || !isAllowedUrl(webhookUrl)) return res.status(400).json({ error: 'Missing or invalid webhook_url' });
+    if (!Number.isFinite(intervalS) || intervalS < MIN_INTERVAL_S) {
+      return res.status(400).json({ error: `interval must be at least ${MIN_INTERVAL_S}s (e.g. 900, "15m", "6h", "1d")` });
+    }
+    const options = {};
+    for (const [k, v] of Object.entries(body.options && typeof body.options === 'object' ? body.options : {})) {
+      if (v != null && k !== 'url') options[k] = String(v);
+    }
+    const now = new Date().toISOString();
+    const w = {
+      id: crypto.randomUUID(),
+      url,
+      owner: (req.apiKey && req.apiKey.name) || null,
+      interval_s: intervalS,
+      webhook_url: webhookUrl,
+      options,
+      created_at: now,
+      next_run_at: now,
+      last_run_at: null,
+      last_status: null,
+      last_error: null,
+      content_hash: null,
+      last_changed_at: null,
+      last_webhook: null,
+      last_snapshot: null,
+    };
+    load().set(w.id, w);
+    save();
+    return res.status(201).json(publicWatch(w));
+  });
+
+  app.get('/watches', (req, res) => {
+    const list = [...load().values()].filter(w => visible(req, w)).map(w => publicWatch(w));
+    res.json({ count: list.length, watches: list });
+  });
+
+  app.get('/watches/:id', (req, res) => {
+    const w = ownedWatch(req);
+    if (!w) return res.status(404).json({ error: 'Watch not found' });
+    res.json(publicWatch(w, { full: true }));
+  });
+
+  app.post('/watches/:id/check', async (req, res) => {
+    const w = ownedWatch(req);
+    if (!w) return res.status(404).json({ error: 'Watch not found' });
+    const result = await checkWatch(w);
+    res.json({ ...result, watch: publicWatch(w) });
+  });
+
+  app.delete('/watches/:id', (req, res) => {
+    if (!ownedWatch(req)) return res.status(404).json({ error: 'Watch not found' });
+    load().delete(req.params.id);
+    save();
+    res.json({ deleted: true, id: req.params.id });
+  });
+}